@@ -8,9 +8,14 @@ const cp = require("child_process");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const ora = require("ora");
+const { AsyncLocalStorage } = require("async_hooks");
+// ora is an ES module: require() returns its namespace on Node.js versions
+// that can load ES modules synchronously
+const ora = require("ora").default || require("ora");
 const history = require("../lib/history");
 const oui = require("../lib/oui");
+const batchFile = require("../lib/batch");
+const parallel = require("../lib/parallel");
 const duidCli = require("../lib/duid-cli");
 const nm = process.platform === "linux" ? require("../lib/networkmanager") : null;
 
@@ -21,13 +26,27 @@ const argv = minimist(process.argv.slice(2), {
     j: "json",
     h: "help",
   },
-  boolean: ["version", "verbose", "json", "nm-reconnect", "force", "help"],
+  boolean: ["version", "verbose", "json", "nm-reconnect", "force", "help", "dry-run", "verify-connectivity", "up", "same-vendor", "list", "yes", "atomic", "parallel"],
+  // "_": keep bare MAC addresses such as 001122334455 or 0x... from becoming numbers
+  string: ["_", "gateway", "type", "vendor", "seed", "key", "search", "prefix", "mac-format", "at", "steps",
+    "since", "until", "before", "operation", "platform", "sort", "limit", "keep", "format", "var"],
 });
 const cmd = argv._[0];
 
 // Global flags
 const VERBOSE = argv.verbose || false;
 const JSON_OUTPUT = argv.json || false;
+const DRY_RUN = argv["dry-run"] || false;
+const MAC_FORMAT = argv["mac-format"] || "colon";
+
+// Batch operation types that change the DUID
+const BATCH_DUID_TYPES = ["duid-randomize", "duid-set", "duid-sync", "duid-restore", "duid-reset"];
+
+// Output of the task running in the current async context during --parallel
+// runs, printed as one block per device once it is done (see runDeviceTasks).
+// AsyncLocalStorage needs Node.js 12.17.
+const taskOutput = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+let consoleRouted = false;
 
 // Configuration file support
 let config = null;
@@ -53,16 +72,49 @@ function logVerbose(message) {
   }
 }
 
+/**
+ * Formats a MAC address for output in the --mac-format style
+ * @param {string|null} mac
+ * @return {string|null}
+ */
+function formatMAC(mac) {
+  return (mac && spoof.format(mac, MAC_FORMAT)) || mac;
+}
+
+/**
+ * A history entry with its addresses in the --mac-format style
+ * @param {Object} entry
+ * @return {Object}
+ */
+function formatEntry(entry) {
+  return { ...entry, oldMac: formatMAC(entry.oldMac), newMac: formatMAC(entry.newMac) };
+}
+
 function outputJSON(data) {
   if (JSON_OUTPUT) {
+    const output = currentTaskOutput();
+    if (output && output.json) {
+      output.json.push(data);
+      return;
+    }
     console.log(JSON.stringify(data, null, 2));
   }
 }
 
+/**
+ * The output buffer of the --parallel task running in this async context
+ * @return {Object|undefined} { lines, json }
+ */
+function currentTaskOutput() {
+  return taskOutput ? taskOutput.getStore() : undefined;
+}
+
 let currentSpinner = null;
 
+// Spinners are left out while tasks run in parallel: they would overwrite
+// each other
 function showProgress(message) {
-  if (JSON_OUTPUT) return;
+  if (JSON_OUTPUT || currentTaskOutput()) return;
   if (currentSpinner) {
     currentSpinner.text = message;
   } else {
@@ -71,7 +123,7 @@ function showProgress(message) {
 }
 
 function hideProgress() {
-  if (JSON_OUTPUT) return;
+  if (JSON_OUTPUT || currentTaskOutput()) return;
   if (currentSpinner) {
     currentSpinner.stop();
     currentSpinner = null;
@@ -79,7 +131,7 @@ function hideProgress() {
 }
 
 function successProgress(message) {
-  if (JSON_OUTPUT) return;
+  if (JSON_OUTPUT || currentTaskOutput()) return;
   if (currentSpinner) {
     currentSpinner.succeed(message);
     currentSpinner = null;
@@ -87,7 +139,7 @@ function successProgress(message) {
 }
 
 function failProgress(message) {
-  if (JSON_OUTPUT) return;
+  if (JSON_OUTPUT || currentTaskOutput()) return;
   if (currentSpinner) {
     currentSpinner.fail(message);
     currentSpinner = null;
@@ -280,6 +332,23 @@ function handleError(err) {
 }
 
 async function init() {
+  if (config && config.history) {
+    history.configure({
+      maxEntries: config.history.maxEntries,
+      maxAgeDays: config.history.maxAgeDays,
+      audit: config.history.audit,
+    });
+  }
+  if (!spoof.MAC_FORMATS.includes(MAC_FORMAT)) {
+    throw new Error(`Invalid --mac-format: ${MAC_FORMAT} (expected ${spoof.MAC_FORMATS.join(", ")})`);
+  }
+
+  if (argv.seed !== undefined) {
+    // Shared by MAC and DUID generation, so one seed covers the whole run
+    spoof.configure({ seed: argv.seed });
+    logVerbose(`Using deterministic randomness (seed: ${argv.seed})`);
+  }
+
   if (cmd === "version" || argv.version) {
     version();
   } else if (argv.help || argv.h) {
@@ -293,6 +362,9 @@ async function init() {
   } else if (cmd === "randomize") {
     const devices = argv._.slice(1);
     await randomize(devices);
+  } else if (cmd === "derive") {
+    const device = argv._[1];
+    await derive(device, argv.key);
   } else if (cmd === "reset") {
     const devices = argv._.slice(1);
     await reset(devices);
@@ -305,6 +377,8 @@ async function init() {
   } else if (cmd === "validate") {
     const mac = argv._[1];
     validate(mac);
+  } else if (cmd === "eui64") {
+    eui64(argv._[1], argv.prefix);
   } else if (cmd === "vendor") {
     const mac = argv._[1];
     vendor(mac);
@@ -313,6 +387,12 @@ async function init() {
     await batch(file);
   } else if (cmd === "history") {
     historyCmd();
+  } else if (cmd === "undo") {
+    await undo(argv._[1]);
+  } else if (cmd === "restore") {
+    await restore(argv.at);
+  } else if (cmd === "oui") {
+    ouiCmd(argv._[1], argv._.slice(2));
   } else if (cmd === "completion" || cmd === "completions") {
     installCompletions();
   } else if (cmd === "duid") {
@@ -345,36 +425,83 @@ function help() {
 ${example}${note}
 
     Usage:
-      spoofy list [--wifi]                     List available devices.
+      spoofy list [--wifi] [--type=<kinds>] [--up]  List available devices.
       spoofy set <mac> <devices>...            Set device MAC address.
-      spoofy randomize [--local] <devices>...  Set device MAC address randomly.
+      spoofy randomize [--local | --vendor=<name> | --same-vendor] <devices>...
+                                               Set device MAC address randomly.
+      spoofy derive <device> --key=<network>   Set a stable MAC address for one network.
       spoofy reset <devices>...                Reset device MAC address to default.
       spoofy normalize <mac>                   Given a MAC address, normalize it.
       spoofy help                              Shows this help message.
       spoofy version | --version | -v          Show package version.
 
     Commands:
-      list [--wifi]                     List available devices.
+      list [--wifi] [--type=<kinds>] [--up]  List available devices.
       set <mac> <devices>...            Set device MAC address.
-      randomize [--local] <devices>...  Set device MAC address randomly.
+      randomize [--local | --vendor=<name> | --same-vendor] <devices>...
+                                        Set device MAC address randomly.
+      derive <device> --key=<network>   Set a stable per-network MAC (same network, same MAC).
       reset <devices>...                Reset device MAC address to default.
       normalize <mac>                   Normalize a MAC address format.
       info <device>                     Show detailed interface information.
-      validate <mac>                    Validate MAC address format.
+      validate <mac>                    Validate and classify a MAC address.
+      eui64 <mac> [--prefix=<prefix>]   Show the EUI-64 identifier and SLAAC IPv6 addresses of a MAC.
+      eui64 <ipv6>                      Extract the MAC address from an EUI-64 based IPv6 address.
       vendor <mac>                      Look up vendor from MAC address.
-      batch <file>                      Change multiple interfaces from config file.
-      history                            View MAC address change history.
+      vendor --search <text>            Find the OUI prefixes of vendors matching a name (fuzzy).
+      vendor --list                     List vendors with their number of prefixes.
+      batch <file> [--atomic]           Change MAC addresses and DUIDs of several interfaces from a JSON or YAML file.
+      history [device] [filters]        View MAC address and DUID change history.
+      history export [device] [filters] [--format=csv|ndjson|json]
+                                        Write the (filtered) history to standard output.
+      history prune [--keep=<n>] [--before=<time>]
+                                        Remove old entries (default: the limits in ~/.spoofyrc).
+      history clear --yes               Remove the whole history.
+      history verify                    Check the audit hash chain for edited or removed entries.
+      undo [device] [--steps=<n>]       Revert the most recent MAC or DUID change(s).
+      restore --at=<timestamp>          Return every interface to its state at that time.
+      oui import <files>...             Import IEEE OUI registry files (CSV or TXT) for vendor lookup.
+      oui status                        Show which vendor database is in use.
       completion                         Install shell completions (bash/zsh/fish/PowerShell).
       duid <command>                    DHCPv6 DUID spoofing commands (see: spoofy duid help).
 
     Options:
       --help, -h      Show this help message.
       --wifi          Try to only show wireless interfaces.
+      --type=<kinds>  Only list interfaces of these kinds (comma separated): ethernet, wifi,
+                      bridge, bond, vlan, veth, tun, loopback, other.
+      --up            Only list interfaces that are up.
       --local         Set the locally administered flag on randomized MACs.
+      --seed=<value>  Generate the same MAC addresses and DUIDs on every run (testing only).
+      --vendor=<name> Randomize using a real OUI prefix of this vendor (e.g. Apple).
+      --same-vendor   Keep the hardware MAC's vendor prefix, randomize only the rest.
       --verbose, -V   Show verbose output for debugging.
       --json, -j     Output results in JSON format.
+      --mac-format=<style>  Print MAC addresses as colon (00:1A:2B:3C:4D:5E, default), dash
+                      (00-1A-2B-3C-4D-5E), dot (001a.2b3c.4d5e), bare (001A2B3C4D5E) or lower.
       --nm-reconnect  (Linux only) Automatically reconnect NetworkManager device after MAC change.
       --force         (Linux only) Use with --nm-reconnect to force NetworkManager networking restart.
+      --dry-run       Show the commands set/randomize/reset/batch would run, without running them.
+      --verify-connectivity  After the change, wait for link, IP address (and --gateway) and restore
+                      the previous MAC if connectivity does not return.
+      --gateway=<ip>  Local gateway that must answer a ping for --verify-connectivity.
+      --prefix=<prefix>  IPv6 /64 prefix for the global address shown by eui64.
+      --steps=<n>     Number of changes to revert with undo (default: 1).
+      --at=<time>     Point in time for restore, e.g. 2024-05-01T12:00 or "2024-05-01 12:00".
+      --verify-timeout=<s>  Seconds to wait for connectivity (default: 15).
+      --since=<time>, --until=<time>  Only history entries in this period. Times are ISO 8601
+                      (2024-05-01T12:00Z) or ages such as 30m, 12h, 7d, 2w.
+      --operation=<ops>  Only history entries of these operations (comma separated), e.g. randomize.
+      --type=mac|duid --platform=<name>  Only history entries of this kind / OS (linux, darwin, win32).
+      --sort=<order>  History order: newest (default), oldest, device or operation.
+      --limit=<n>     Show or export at most n history entries.
+      --format=<fmt>  Export format: csv (default), ndjson or json.
+      --keep=<n>, --before=<time>  What history prune keeps: the n newest, entries since time.
+      --atomic        Run a batch file as a transaction: on the first failure, revert every
+                      change already made, newest first.
+      --var <name>=<value>  Set a \${name} variable of a batch file (repeatable).
+      --parallel[=N]  Change up to N devices at once (default 4) with set, randomize, reset
+                      and batch; the same interface and the DUID are still changed one at a time.
 
     Platform Support:
       ✅ macOS (Sequoia 15.4+, Tahoe 26+)
@@ -406,27 +533,17 @@ async function set(mac, devices) {
     throw new Error("Device name is required. Usage: spoofy set <mac> <device>");
   }
 
-  warnIfNotElevated();
+  if (!DRY_RUN) {
+    warnIfNotElevated();
+  }
+  warnAboutMAC(spoof.analyzeMAC(mac));
   logVerbose(`Setting MAC address ${mac} on ${devices.length} device(s)`);
   
-  for (let index = 0; index < devices.length; index++) {
-    const device = devices[index];
-    logVerbose(`Processing device ${index + 1}/${devices.length}: ${device}`);
-    showProgress(`Finding interface ${device}`);
-    
-    const it = spoof.findInterface(device);
-    hideProgress();
-
-    if (!it) {
-      throw new Error(
-        `Could not find device "${device}". ` +
-        "List available devices using: spoofy list"
-      );
-    }
-
-    logVerbose(`Found interface: ${it.device} (port: ${it.port})`);
-    await setMACAddress(it.device, mac, it.port);
-  }
+  await changeEachDevice(
+    devices,
+    () => mac,
+    (it) => setMACAddress(it.device, mac, it.port)
+  );
 }
 
 function normalize(mac) {
@@ -445,11 +562,11 @@ function normalize(mac) {
     if (JSON_OUTPUT) {
       outputJSON({
         original: mac,
-        normalized: normalized,
+        normalized: formatMAC(normalized),
         valid: true,
       });
     } else {
-      console.log(normalized);
+      console.log(formatMAC(normalized));
     }
     
     logVerbose(`Normalized: ${mac} -> ${normalized}`);
@@ -473,36 +590,77 @@ async function randomize(devices) {
     throw new Error("Device name is required. Usage: spoofy randomize <device>");
   }
 
-  warnIfNotElevated();
+  if (!DRY_RUN) {
+    warnIfNotElevated();
+  }
   const useLocal = argv.local || (config && config.randomize && config.randomize.local);
-  logVerbose(`Randomizing MAC address (local: ${useLocal})`);
+  const vendorOptions = { vendor: argv.vendor, sameVendor: argv["same-vendor"] };
+  if (vendorOptions.vendor || vendorOptions.sameVendor) {
+    logVerbose(`Randomizing MAC address (vendor: ${vendorOptions.vendor || "same as hardware"})`);
+  } else {
+    logVerbose(`Randomizing MAC address (local: ${useLocal})`);
+  }
   
-  for (let index = 0; index < devices.length; index++) {
-    const device = devices[index];
-    logVerbose(`Processing device ${index + 1}/${devices.length}: ${device}`);
-    showProgress(`Finding interface ${device}`);
-    
-    const it = spoof.findInterface(device);
-    hideProgress();
-
-    if (!it) {
-      throw new Error(
-        `Could not find device "${device}". ` +
-        "List available devices using: spoofy list"
-      );
-    }
-
-    logVerbose(`Found interface: ${it.device} (port: ${it.port})`);
-    const mac = spoof.randomize(useLocal);
+  await changeEachDevice(devices, (it) => {
+    const mac = randomMACFor(it, {
+      // The config file's default doesn't apply to vendor prefixes
+      local: vendorOptions.vendor || vendorOptions.sameVendor ? argv.local : useLocal,
+      ...vendorOptions,
+    });
     
     if (JSON_OUTPUT) {
       // Will be output in setMACAddress
     } else {
-      console.log(chalk.blue("ℹ"), `Generated random MAC address: ${chalk.bold.cyan(mac)}`);
+      console.log(chalk.blue("ℹ"), `Generated random MAC address: ${chalk.bold.cyan(formatMAC(mac))}`);
     }
-    
-    await setMACAddress(it.device, mac, it.port, "randomize");
+    return mac;
+  }, (it, mac) => setMACAddress(it.device, mac, it.port, "randomize"));
+}
+
+async function derive(device, key) {
+  if (!device) {
+    throw new Error("Device name is required. Usage: spoofy derive <device> --key=<network>");
+  }
+
+  if (!DRY_RUN) {
+    warnIfNotElevated();
+  }
+  showProgress(`Finding interface ${device}`);
+  const it = await spoof.findInterfaceAsync(device);
+  hideProgress();
+
+  if (!it) {
+    throw new Error(
+      `Could not find device "${device}". ` +
+      "List available devices using: spoofy list"
+    );
+  }
+
+  const mac = await spoof.deriveMACAsync(it.device, key);
+  logVerbose(`Derived ${mac} from the hardware address of ${it.device} and network "${key}"`);
+  if (!JSON_OUTPUT) {
+    console.log(chalk.blue("ℹ"), `Derived MAC address for network "${key}": ${chalk.bold.cyan(formatMAC(mac))}`);
+  }
+
+  await setMACAddress(it.device, mac, it.port, "derive");
+}
+
+/**
+ * Generates a random MAC address for an interface
+ * @param {Object} it - Interface from findInterface()
+ * @param {Object} options - { local, vendor, sameVendor }
+ * @return {string}
+ */
+function randomMACFor(it, options) {
+  if (options.sameVendor) {
+    if (!it.address) {
+      throw new Error(
+        `The hardware MAC address of "${it.device}" is unknown, so its vendor prefix cannot be kept`
+      );
+    }
+    return spoof.randomize({ local: options.local, prefix: it.address });
   }
+  return spoof.randomize({ local: options.local, vendor: options.vendor });
 }
 
 async function reset(devices) {
@@ -510,15 +668,51 @@ async function reset(devices) {
     throw new Error("Device name is required. Usage: spoofy reset <device>");
   }
 
-  warnIfNotElevated();
+  if (!DRY_RUN) {
+    warnIfNotElevated();
+  }
   logVerbose(`Resetting MAC address on ${devices.length} device(s)`);
   
-  for (let index = 0; index < devices.length; index++) {
-    const device = devices[index];
+  await changeEachDevice(devices, (it, device) => {
+    if (!it.address) {
+      throw new Error(
+        `Could not read hardware MAC address for "${device}". ` +
+        "The device may not have a MAC address or may be a virtual interface."
+      );
+    }
+
+    logVerbose(`Hardware MAC address: ${it.address} (source: ${it.addressSource || "platform"})`);
+    
+    if (JSON_OUTPUT) {
+      // Will be output in setMACAddress
+    } else {
+      const source = it.addressSource ? chalk.gray(` (${describeAddressSource(it.addressSource)})`) : "";
+      console.log(chalk.blue("ℹ"), `Resetting to hardware MAC address: ${chalk.bold.cyan(formatMAC(it.address))}${source}`);
+      if (it.addressSource === "current") {
+        console.warn(chalk.yellow("⚠"), "The permanent MAC address could not be determined. Install ethtool or use: spoofy set <mac> " + device);
+      }
+    }
+    return it.address;
+  }, (it, mac) => setMACAddress(it.device, mac, it.port, "reset"));
+}
+
+/**
+ * Finds the devices of set, randomize or reset and changes each of them.
+ * `prepare(it, device)` checks a device and returns its new address; it runs
+ * for every device in the order given, so seeded random addresses don't
+ * depend on timing. `change(it, mac)` applies it: one device after another,
+ * or with --parallel several at once, after every device has been found.
+ * @param {Array<string>} devices
+ * @param {Function} prepare
+ * @param {Function} change - Returns a promise
+ */
+async function changeEachDevice(devices, prepare, change) {
+  const limit = parallelLimit();
+  const findDevice = async (device, index) => {
     logVerbose(`Processing device ${index + 1}/${devices.length}: ${device}`);
     showProgress(`Finding interface ${device}`);
     
-    const it = spoof.findInterface(device);
+    const it = await spoof.findInterfaceAsync(device);
     hideProgress();
 
     if (!it) {
@@ -528,22 +722,168 @@ async function reset(devices) {
       );
     }
 
-    if (!it.address) {
-      throw new Error(
-        `Could not read hardware MAC address for "${device}". ` +
-        "The device may not have a MAC address or may be a virtual interface."
-      );
+    logVerbose(`Found interface: ${it.device} (port: ${it.port})`);
+    return it;
+  };
+
+  if (limit === 1) {
+    for (let index = 0; index < devices.length; index++) {
+      const it = await findDevice(devices[index], index);
+      await change(it, prepare(it, devices[index]));
     }
+    return;
+  }
 
-    logVerbose(`Hardware MAC address: ${it.address}`);
-    
-    if (JSON_OUTPUT) {
-      // Will be output in setMACAddress
-    } else {
-      console.log(chalk.blue("ℹ"), `Resetting to hardware MAC address: ${chalk.bold.cyan(it.address)}`);
+  const found = [];
+  for (let index = 0; index < devices.length; index++) {
+    found.push(await findDevice(devices[index], index));
+  }
+  logVerbose(`Changing ${devices.length} device(s), up to ${limit} at a time`);
+
+  const results = await runDeviceTasks(found.map((it, index) => ({
+    label: devices[index],
+    keys: [`interface:${it.device}`],
+    prepare: () => prepare(it, devices[index]),
+    run: (mac) => change(it, mac),
+  })), { limit: limit, collectJSON: true });
+
+  const failed = results.filter((result) => result.status !== "fulfilled").length;
+  if (JSON_OUTPUT) {
+    outputJSON({
+      parallel: limit,
+      total: devices.length,
+      success: devices.length - failed,
+      failed: failed,
+      results: results.map((result, index) => ({
+        device: devices[index],
+        success: result.status === "fulfilled",
+        error: result.status === "rejected" ? result.reason.message : undefined,
+        output: result.json,
+      })),
+    });
+    if (failed > 0) {
+      process.exitCode = 1;
     }
-    
-    await setMACAddress(it.device, it.address, it.port, "reset");
+  } else if (failed > 0) {
+    throw new Error(`${failed} of ${devices.length} device(s) could not be changed`);
+  }
+}
+
+/**
+ * How many devices --parallel[=N] changes at once; 1 without it. minimist
+ * reads the flag as a boolean, so `--parallel en0` doesn't take the device
+ * as its value; N comes from the raw argument.
+ * @return {number}
+ */
+function parallelLimit() {
+  if (!argv.parallel) {
+    return 1;
+  }
+  const raw = process.argv.slice(2).filter((arg) => arg.startsWith("--parallel=")).pop();
+  const value = raw ? raw.slice("--parallel=".length) : String(parallel.DEFAULT_LIMIT);
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid --parallel: ${value} (expected a positive number)`);
+  }
+  if (!taskOutput) {
+    throw new Error("--parallel needs Node.js 12.17 or later");
+  }
+  return limit;
+}
+
+/**
+ * Sends console output made inside a --parallel task to the task's buffer
+ */
+function routeConsoleToTasks() {
+  if (consoleRouted) {
+    return;
+  }
+  consoleRouted = true;
+  ["log", "warn", "error"].forEach((method) => {
+    const write = console[method].bind(console);
+    console[method] = (...args) => {
+      const output = currentTaskOutput();
+      if (output) {
+        output.lines.push(() => write(...args));
+      } else {
+        write(...args);
+      }
+    };
+  });
+}
+
+/**
+ * Runs tasks for --parallel: up to `options.limit` at once, and one at a
+ * time for tasks sharing a key (see lib/parallel.js). Each task's console
+ * output is held back and printed as a block, in task order, as soon as
+ * the tasks before it are done; with `options.collectJSON` its JSON
+ * documents are returned instead of printed.
+ * @param {Array<Object>} tasks - { label, keys, prepare, run(prepared) };
+ *   the optional `prepare` runs synchronously for every task, in order,
+ *   before any task starts. Failures of tasks with a `label` are printed
+ *   with it.
+ * @param {Object} options - { limit, collectJSON, shouldStart }
+ * @return {Promise<Array<Object>>} As runTasks() in lib/parallel.js, each
+ *   with the task's `json` documents
+ */
+async function runDeviceTasks(tasks, options) {
+  routeConsoleToTasks();
+  const outputs = tasks.map(() => ({ lines: [], json: options.collectJSON && JSON_OUTPUT ? [] : null }));
+  const prepared = tasks.map((task, index) => {
+    try {
+      return { value: task.prepare ? taskOutput.run(outputs[index], task.prepare) : undefined };
+    } catch (err) {
+      return { error: err };
+    }
+  });
+
+  const done = tasks.map(() => false);
+  let printed = 0;
+  const results = await parallel.runTasks(tasks.map((task, index) => ({
+    keys: task.keys,
+    run: () => taskOutput.run(outputs[index], async () => {
+      try {
+        if (prepared[index].error) {
+          throw prepared[index].error;
+        }
+        return await task.run(prepared[index].value);
+      } catch (err) {
+        if (task.label && !JSON_OUTPUT) {
+          console.error(chalk.red("✗"), `${task.label}: ${err.message}`);
+        }
+        throw err;
+      }
+    }),
+  })), {
+    limit: options.limit,
+    shouldStart: options.shouldStart,
+    onSettled: (index) => {
+      done[index] = true;
+      while (printed < tasks.length && done[printed]) {
+        outputs[printed].lines.forEach((print) => print());
+        printed++;
+      }
+    },
+  });
+  return results.map((result, index) => ({ ...result, json: outputs[index].json }));
+}
+
+// Where the hardware MAC address of a Linux interface was found
+// (see permanentAddressSteps in index.js)
+function describeAddressSource(source) {
+  switch (source) {
+    case "sysfs":
+      return "permanent, reported by the kernel";
+    case "ethtool":
+      return "permanent, from ethtool -P";
+    case "permaddr":
+      return "permanent, from ip link permaddr";
+    case "history":
+      return "from change history";
+    case "current":
+      return "permanent address unknown, showing current";
+    default:
+      return source;
   }
 }
 
@@ -560,7 +900,15 @@ function list() {
     }
   }
 
-  const interfaces = spoof.findInterfaces(targets);
+  const filters = {};
+  if (argv.type) {
+    filters.kind = String(argv.type);
+  }
+  if (argv.up) {
+    filters.up = true;
+  }
+
+  const interfaces = spoof.filterInterfaces(spoof.findInterfaces(targets), filters);
   hideProgress();
   logVerbose(`Found ${interfaces.length} interface(s)`);
 
@@ -569,10 +917,12 @@ function list() {
       interfaces: interfaces.map((it) => ({
         port: it.port || it.device,
         device: it.device,
-        address: it.address,
-        currentAddress: it.currentAddress,
+        address: formatMAC(it.address),
+        addressSource: it.addressSource,
+        currentAddress: formatMAC(it.currentAddress),
         status: it.status,
         description: it.description,
+        ...interfaceMetadata(it),
       })),
       count: interfaces.length,
     });
@@ -596,33 +946,111 @@ function list() {
     if (it.status && process.platform === "win32") {
       line.push(chalk.gray(`(${it.status})`));
     }
+    line.push(chalk.gray(`[${describeLink(it)}]`));
     
     if (it.address) {
-      line.push("with MAC address", chalk.bold.cyan(it.address));
+      line.push("with MAC address", chalk.bold.cyan(formatMAC(it.address)));
+      if (it.addressSource) {
+        line.push(chalk.gray(`(${describeAddressSource(it.addressSource)})`));
+      }
       const vendor = oui.lookupVendor(it.address);
       if (vendor && vendor !== "Unknown") {
         line.push(chalk.gray(`[${vendor}]`));
       }
     }
     if (it.currentAddress && it.currentAddress !== it.address) {
-      line.push("currently set to", chalk.bold.red(it.currentAddress));
+      line.push("currently set to", chalk.bold.red(formatMAC(it.currentAddress)));
       const currentVendor = oui.lookupVendor(it.currentAddress);
       if (currentVendor && currentVendor !== "Unknown") {
         line.push(chalk.gray(`[${currentVendor}]`));
       }
     }
+    if (it.spoofed) {
+      line.push(chalk.yellow("(spoofed)"));
+    }
+    const ips = [...(it.ipv4 || []), ...(it.ipv6 || [])];
+    if (ips.length > 0) {
+      line.push(chalk.gray(ips.join(", ")));
+    }
     console.log(line.join(" "));
   });
 }
 
-async function setMACAddress(device, mac, port, operation = "set") {
+/**
+ * Metadata fields shared by the list and info JSON output
+ * @param {Object} it
+ * @return {Object}
+ */
+function interfaceMetadata(it) {
+  return {
+    kind: it.kind,
+    driver: it.driver,
+    operstate: it.operstate,
+    carrier: it.carrier,
+    mtu: it.mtu,
+    ipv4: it.ipv4,
+    ipv6: it.ipv6,
+    addrAssignType: it.addrAssignType,
+    spoofed: it.spoofed,
+  };
+}
+
+/**
+ * One-line summary of kind, link state and MTU, e.g. "wifi, up, mtu 1500"
+ * @param {Object} it
+ * @return {string}
+ */
+function describeLink(it) {
+  const parts = [it.kind || "unknown"];
+  if (it.operstate) {
+    parts.push(it.carrier === false && it.operstate === "up" ? "up, no carrier" : it.operstate);
+  } else if (typeof it.carrier === "boolean") {
+    parts.push(it.carrier ? "link" : "no link");
+  }
+  if (it.mtu) {
+    parts.push(`mtu ${it.mtu}`);
+  }
+  return parts.join(", ");
+}
+
+async function setMACAddress(device, mac, port, operation = "set", details = null) {
+  try {
+    await changeMACAddress(device, mac, port, operation, details);
+  } catch (err) {
+    if (!DRY_RUN) {
+      recordFailedMACChange(device, mac, operation, details, err);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Records a MAC address change that did not happen (or was rolled back)
+ */
+function recordFailedMACChange(device, mac, operation, details, err) {
+  let currentMac = null;
+  try {
+    currentMac = spoof.getInterfaceMAC(device);
+  } catch (e) {
+    // Unknown device: the failure is still worth recording
+  }
+  const failure = history.failureDetails(err);
+  if (err.rolledBack) {
+    failure.rolledBack = true;
+  }
+  history.addHistoryEntry(device, currentMac, mac, operation, { ...details, ...failure });
+}
+
+async function changeMACAddress(device, mac, port, operation, details) {
   logVerbose(`Setting MAC address ${mac} on device ${device}`);
   
   // Get current MAC for history
   const oldMac = spoof.getInterfaceMAC(device);
   
-  // Check for admin/root privileges
-  if (process.platform === "win32") {
+  // Check for admin/root privileges (not needed when only planning)
+  if (DRY_RUN) {
+    logVerbose("Dry run: skipping privilege check");
+  } else if (process.platform === "win32") {
     logVerbose("Checking for Administrator privileges...");
     // On Windows, check if running as administrator
     try {
@@ -710,16 +1138,34 @@ async function setMACAddress(device, mac, port, operation = "set") {
     }
   }
 
+  if (DRY_RUN) {
+    showProgress("Planning MAC address change");
+    const plan = await spoof.setInterfaceMAC(device, mac, port, {
+      reconnect: nmReconnect,
+      force: argv.force || false,
+      dryRun: true,
+    });
+    hideProgress();
+    printPlan(plan, oldMac, operation);
+    return;
+  }
+
   try {
     showProgress("Changing MAC address");
     logVerbose(`Calling setInterfaceMAC(${device}, ${mac}, ${port})`);
     
     // Pass NetworkManager reconnect option
-    const nmOptions = nmReconnect ? { reconnect: true, force: argv.force || false } : null;
-    await spoof.setInterfaceMAC(device, mac, port, nmOptions);
+    const options = nmReconnect ? { reconnect: true, force: argv.force || false } : {};
+    if (argv["verify-connectivity"]) {
+      options.verifyConnectivity = connectivityOptions();
+      options.previousMac = oldMac;
+      keepRunningOnHangup();
+      showProgress("Changing MAC address and verifying connectivity");
+    }
+    await spoof.setInterfaceMAC(device, mac, port, options);
     
     // Log to history
-    history.addHistoryEntry(device, oldMac, mac, operation);
+    history.addHistoryEntry(device, oldMac, mac, operation, details);
     
     successProgress("MAC address changed successfully");
     
@@ -727,15 +1173,15 @@ async function setMACAddress(device, mac, port, operation = "set") {
       outputJSON({
         success: true,
         device: device,
-        mac: mac,
-        oldMac: oldMac,
+        mac: formatMAC(mac),
+        oldMac: formatMAC(oldMac),
         message: "MAC address changed successfully",
       });
     } else {
       console.log(
         chalk.green("✓") +
         " Successfully set MAC address to " +
-        chalk.bold.cyan(mac) +
+        chalk.bold.cyan(formatMAC(mac)) +
         " on " +
         chalk.bold.green(device)
       );
@@ -744,14 +1190,17 @@ async function setMACAddress(device, mac, port, operation = "set") {
     logVerbose("MAC address change completed successfully");
     // Note: Verification is already done in setInterfaceMAC, so we don't need to do it again here
   } catch (err) {
-    failProgress("Failed to change MAC address");
+    failProgress(err.rolledBack
+      ? "Connectivity lost, previous MAC address restored"
+      : "Failed to change MAC address");
     if (JSON_OUTPUT) {
       outputJSON({
         success: false,
         device: device,
-        mac: mac,
+        mac: formatMAC(mac),
         error: err.message,
         code: err.code,
+        rolledBack: err.rolledBack || false,
       });
     }
     // Error is already formatted by handleError in the catch block above
@@ -759,6 +1208,68 @@ async function setMACAddress(device, mac, port, operation = "set") {
   }
 }
 
+function connectivityOptions() {
+  const options = {};
+  if (argv.gateway) {
+    options.gateway = argv.gateway;
+  }
+  if (argv["verify-timeout"] !== undefined) {
+    const seconds = Number(argv["verify-timeout"]);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new Error(`Invalid --verify-timeout: ${argv["verify-timeout"]} (expected seconds)`);
+    }
+    options.timeout = seconds * 1000;
+  }
+  logVerbose(`Connectivity check: gateway=${options.gateway || "none"}, timeout=${options.timeout || 15000}ms`);
+  return options;
+}
+
+// When spoofing over SSH the session may drop with the link. Keep running
+// so the connectivity check can still roll the change back.
+function keepRunningOnHangup() {
+  process.on("SIGHUP", () => {
+    logVerbose("Received SIGHUP, continuing so the change can be rolled back");
+  });
+  process.stdout.on("error", () => {});
+  process.stderr.on("error", () => {});
+}
+
+function printPlan(plan, oldMac, operation) {
+  if (JSON_OUTPUT) {
+    outputJSON({
+      dryRun: true,
+      operation: operation,
+      device: plan.device,
+      port: plan.port,
+      oldMac: formatMAC(oldMac),
+      mac: formatMAC(plan.mac),
+      commands: plan.commands,
+      fallback: plan.fallback,
+    });
+    return;
+  }
+
+  console.log(
+    chalk.blue("ℹ") +
+    " Dry run: would set MAC address of " +
+    chalk.bold.green(plan.device) +
+    " from " +
+    chalk.bold.red(formatMAC(oldMac) || "unknown") +
+    " to " +
+    chalk.bold.cyan(formatMAC(plan.mac))
+  );
+  console.log(chalk.bold("  Commands:"));
+  plan.commands.forEach((command, index) => {
+    console.log(chalk.gray(`    ${index + 1}. `) + command);
+  });
+  if (plan.fallback.length > 0) {
+    console.log(chalk.bold("  If the first command fails:"));
+    plan.fallback.forEach((command, index) => {
+      console.log(chalk.gray(`    ${index + 1}. `) + command);
+    });
+  }
+}
+
 function info(device) {
   if (!device) {
     throw new Error("Device name is required. Usage: spoofy info <device>");
@@ -781,20 +1292,25 @@ function info(device) {
   const vendorInfo = it.address ? oui.getVendorInfo(it.address) : null;
   const currentVendorInfo = currentMac ? oui.getVendorInfo(currentMac) : null;
   const deviceHistory = history.getHistoryForDevice(device);
+  const leaks = eui64Leaks(it, currentMac);
   
   if (JSON_OUTPUT) {
     outputJSON({
       device: it.device,
       port: it.port || it.device,
       description: it.description,
-      hardwareMac: it.address,
-      currentMac: currentMac,
+      hardwareMac: formatMAC(it.address),
+      hardwareMacSource: it.addressSource || null,
+      currentMac: formatMAC(currentMac),
       hardwareVendor: vendorInfo ? vendorInfo.vendor : null,
       currentVendor: currentVendorInfo ? currentVendorInfo.vendor : null,
+      currentMacAnalysis: currentMac ? spoof.analyzeMAC(currentMac) : null,
+      eui64Leaks: leaks,
       status: it.status,
+      ...interfaceMetadata(it),
       platform: process.platform,
       historyCount: deviceHistory.length,
-      lastChange: deviceHistory[0] || null,
+      lastChange: deviceHistory[0] ? formatEntry(deviceHistory[0]) : null,
     });
     return;
   }
@@ -809,30 +1325,76 @@ function info(device) {
   if (it.status) {
     console.log(chalk.bold("Status:"), it.status);
   }
+  console.log(chalk.bold("Type:"), it.kind || "unknown");
+  if (it.driver) {
+    console.log(chalk.bold("Driver:"), it.driver);
+  }
+  if (it.operstate) {
+    console.log(chalk.bold("State:"), it.operstate);
+  }
+  if (typeof it.carrier === "boolean") {
+    console.log(chalk.bold("Carrier:"), it.carrier ? "yes" : "no");
+  }
+  if (it.mtu) {
+    console.log(chalk.bold("MTU:"), it.mtu);
+  }
+  if (it.ipv4 && it.ipv4.length > 0) {
+    console.log(chalk.bold("IPv4:"), it.ipv4.join(", "));
+  }
+  if (it.ipv6 && it.ipv6.length > 0) {
+    console.log(chalk.bold("IPv6:"), it.ipv6.join(", "));
+  }
   console.log(chalk.bold("Platform:"), process.platform);
   
   if (it.address) {
-    console.log(chalk.bold("\nHardware MAC Address:"), chalk.cyan(it.address));
+    console.log(chalk.bold("\nHardware MAC Address:"), chalk.cyan(formatMAC(it.address)));
+    if (it.addressSource) {
+      console.log(chalk.bold("Hardware MAC Source:"), describeAddressSource(it.addressSource));
+    }
     if (vendorInfo && vendorInfo.vendor !== "Unknown") {
       console.log(chalk.bold("Hardware Vendor:"), chalk.green(vendorInfo.vendor));
     }
   }
   
   if (currentMac) {
-    console.log(chalk.bold("Current MAC Address:"), chalk.cyan(currentMac));
+    console.log(chalk.bold("Current MAC Address:"), chalk.cyan(formatMAC(currentMac)));
     if (currentVendorInfo && currentVendorInfo.vendor !== "Unknown") {
       console.log(chalk.bold("Current Vendor:"), chalk.green(currentVendorInfo.vendor));
     }
-    if (currentMac !== it.address) {
+    if (currentMac !== it.address || it.spoofed) {
       console.log(chalk.yellow("⚠ MAC address has been changed from hardware address"));
     }
+    const analysis = spoof.analyzeMAC(currentMac);
+    console.log(chalk.bold("Current MAC Type:"), describeAnalysis(analysis));
+    analysis.warnings.forEach((warning) => {
+      console.log(chalk.yellow("⚠"), warning);
+    });
+    if (it.addrAssignType) {
+      console.log(chalk.bold("Address Assignment:"), it.addrAssignType);
+    }
+  }
+  
+  leaks.forEach((leak) => {
+    console.log(
+      chalk.yellow("⚠"),
+      `IPv6 address ${leak.address} is EUI-64 based and exposes ` +
+      (leak.hardware ? `the hardware MAC ${leak.mac}` : `the previous MAC ${leak.mac}`)
+    );
+  });
+  if (leaks.length > 0) {
+    console.log(chalk.gray(
+      process.platform === "linux"
+        ? `  Bring ${it.device} down and up to regenerate it, or use random identifiers: ` +
+          `sysctl -w net.ipv6.conf.${it.device}.addr_gen_mode=3`
+        : `  Bring ${it.device} down and up to regenerate it, or enable IPv6 privacy addresses`
+    ));
   }
   
   if (deviceHistory.length > 0) {
     console.log(chalk.bold("\nChange History:"), `(${deviceHistory.length} entries)`);
     deviceHistory.slice(0, 5).forEach((entry, index) => {
       const date = new Date(entry.timestamp).toLocaleString();
-      console.log(`  ${index + 1}. ${date} - ${entry.operation}: ${entry.oldMac || "N/A"} → ${entry.newMac}`);
+      console.log(`  ${index + 1}. ${date} - ${entry.operation}: ${formatMAC(entry.oldMac) || "N/A"} → ${formatMAC(entry.newMac)}`);
     });
     if (deviceHistory.length > 5) {
       console.log(chalk.gray(`  ... and ${deviceHistory.length - 5} more entries`));
@@ -841,6 +1403,90 @@ function info(device) {
   console.log();
 }
 
+/**
+ * One-line summary of an address classification, e.g.
+ * "unicast, locally administered (SLAP AAI)"
+ * @param {Object} analysis
+ * @return {string}
+ */
+function describeAnalysis(analysis) {
+  const parts = [
+    analysis.broadcast ? "broadcast" : analysis.multicast ? "multicast" : "unicast",
+    analysis.administration === "local" ? "locally administered" : "universally administered",
+  ];
+  if (analysis.slap) {
+    parts[1] += ` (SLAP ${analysis.slap.quadrant})`;
+  }
+  if (analysis.reserved) {
+    parts.push(analysis.reserved.description);
+  }
+  return parts.join(", ");
+}
+
+/**
+ * IPv6 addresses of an interface whose EUI-64 identifier embeds a MAC other
+ * than the current one, i.e. that still identify the host after a spoof
+ * @param {Object} it
+ * @param {string|null} currentMac
+ * @return {Array<Object>} [{address, mac, hardware}]
+ */
+function eui64Leaks(it, currentMac) {
+  if (!currentMac) {
+    return [];
+  }
+  const hardwareMac = spoof.normalize(it.address);
+  return (it.ipv6 || [])
+    .map((address) => ({ address, mac: spoof.eui64.macFromIPv6(address) }))
+    .filter((leak) => leak.mac && leak.mac !== currentMac)
+    .map((leak) => ({ ...leak, hardware: leak.mac === hardwareMac }));
+}
+
+function eui64(input, prefix) {
+  if (!input) {
+    throw new Error("MAC or IPv6 address is required. Usage: spoofy eui64 <mac> [--prefix=<prefix>]");
+  }
+
+  logVerbose(`Converting ${input}`);
+
+  if (spoof.eui64.parseIPv6(input)) {
+    const mac = spoof.eui64.macFromIPv6(input);
+    if (JSON_OUTPUT) {
+      outputJSON({ address: input, eui64: !!mac, mac });
+      return;
+    }
+    if (!mac) {
+      console.log(chalk.yellow(`${input} is not EUI-64 based (e.g. a privacy or stable address); it does not contain a MAC address`));
+      return;
+    }
+    console.log(chalk.bold("IPv6 Address:"), input);
+    console.log(chalk.bold("MAC Address:"), chalk.cyan(mac));
+    return;
+  }
+
+  const mac = spoof.normalize(input);
+  if (!mac) {
+    throw new Error(`"${input}" is neither a MAC address nor an IPv6 address`);
+  }
+  const result = {
+    mac,
+    eui64: spoof.eui64.toEUI64(mac),
+    linkLocal: spoof.eui64.linkLocalAddress(mac),
+    global: prefix ? spoof.eui64.ipv6Address(mac, prefix) : null,
+  };
+
+  if (JSON_OUTPUT) {
+    outputJSON(result);
+    return;
+  }
+
+  console.log(chalk.bold("MAC Address:"), result.mac);
+  console.log(chalk.bold("Modified EUI-64:"), result.eui64);
+  console.log(chalk.bold("Link-local:"), chalk.cyan(result.linkLocal));
+  if (result.global) {
+    console.log(chalk.bold("Global:"), chalk.cyan(result.global));
+  }
+}
+
 function validate(mac) {
   if (!mac) {
     throw new Error("MAC address is required. Usage: spoofy validate <mac>");
@@ -848,52 +1494,123 @@ function validate(mac) {
   
   logVerbose(`Validating MAC address: ${mac}`);
   
-  const normalized = spoof.normalize(mac);
-  const isValid = !!normalized;
-  const vendorInfo = normalized ? oui.getVendorInfo(normalized) : null;
+  const analysis = spoof.analyzeMAC(mac);
+  const normalized = analysis.normalized;
   
   if (JSON_OUTPUT) {
     outputJSON({
       original: mac,
       normalized: normalized,
-      valid: isValid,
-      vendor: vendorInfo ? vendorInfo.vendor : null,
-      prefix: vendorInfo ? vendorInfo.prefix : null,
+      valid: analysis.valid,
+      vendor: analysis.oui ? analysis.oui.vendor || "Unknown" : null,
+      prefix: analysis.oui ? analysis.oui.prefix : null,
+      unicast: analysis.unicast,
+      multicast: analysis.multicast,
+      broadcast: analysis.broadcast,
+      administration: analysis.administration,
+      slap: analysis.slap,
+      reserved: analysis.reserved,
+      registered: analysis.oui ? analysis.oui.registered : null,
+      assignable: analysis.assignable,
+      warnings: analysis.warnings,
     });
     return;
   }
   
-  if (isValid) {
+  if (analysis.valid) {
     console.log(chalk.green("✓ Valid MAC address"));
     console.log(chalk.bold("Normalized:"), normalized);
-    if (vendorInfo && vendorInfo.vendor !== "Unknown") {
-      console.log(chalk.bold("Vendor:"), chalk.green(vendorInfo.vendor));
-    }
+    printAnalysis(analysis);
+  } else if (normalized) {
+    // Well-formed, but all zeros or broadcast
+    console.log(chalk.red("✗ Invalid MAC address"));
+    console.log(chalk.bold("Normalized:"), normalized);
+    printAnalysis(analysis);
   } else {
     console.log(chalk.red("✗ Invalid MAC address"));
     console.log(chalk.yellow("Expected format: XX:XX:XX:XX:XX:XX or XX-XX-XX-XX-XX-XX"));
   }
 }
 
-function vendor(mac) {
-  if (!mac) {
-    throw new Error("MAC address is required. Usage: spoofy vendor <mac>");
+/**
+ * Prints the classification of an address (see spoof.analyzeMAC)
+ * @param {Object} analysis
+ */
+function printAnalysis(analysis) {
+  let cast = analysis.multicast ? "multicast" : "unicast";
+  if (analysis.broadcast) {
+    cast = "broadcast";
   }
-  
-  logVerbose(`Looking up vendor for MAC: ${mac}`);
-  
-  const normalized = spoof.normalize(mac);
-  if (!normalized) {
-    throw new Error(`"${mac}" is not a valid MAC address`);
+  console.log(chalk.bold("Type:"), cast);
+
+  let administration = analysis.administration === "local"
+    ? "locally administered"
+    : "universally administered";
+  if (analysis.slap) {
+    administration += ` (SLAP ${analysis.slap.quadrant}: ${analysis.slap.description})`;
   }
-  
-  const vendorInfo = oui.getVendorInfo(normalized);
-  
-  if (JSON_OUTPUT) {
-    outputJSON({
-      mac: normalized,
-      vendor: vendorInfo.vendor,
-      prefix: vendorInfo.prefix,
+  console.log(chalk.bold("Administration:"), administration);
+
+  if (analysis.reserved) {
+    console.log(chalk.bold("Reserved:"), `${analysis.reserved.description} [${analysis.reserved.range}]`);
+  }
+
+  const registry = analysis.oui;
+  if (registry.vendor) {
+    console.log(chalk.bold("Vendor:"), chalk.green(registry.vendor), chalk.gray(`(${registry.prefix}/${registry.bits})`));
+  } else if (analysis.administration === "universal") {
+    console.log(
+      chalk.bold("OUI:"),
+      registry.registered === false
+        ? chalk.yellow(`${registry.prefix} is not registered`)
+        : chalk.gray(`${registry.prefix} not in the built-in vendor list (import the IEEE registry: spoofy oui import)`)
+    );
+  }
+
+  analysis.warnings.forEach((warning) => {
+    console.log(chalk.yellow("⚠"), warning);
+  });
+}
+
+/**
+ * Warns before assigning an address that falls in a reserved range. Invalid
+ * and multicast addresses are rejected by spoof.setInterfaceMAC() itself.
+ * @param {Object} analysis
+ */
+function warnAboutMAC(analysis) {
+  if (JSON_OUTPUT || !analysis.assignable) return;
+  analysis.warnings.forEach((warning) => {
+    console.warn(chalk.yellow("⚠"), warning);
+  });
+}
+
+function vendor(mac) {
+  if (argv.search !== undefined) {
+    vendorSearch(argv.search);
+    return;
+  }
+  if (argv.list) {
+    vendorList();
+    return;
+  }
+  if (!mac) {
+    throw new Error("MAC address is required. Usage: spoofy vendor <mac>");
+  }
+  
+  logVerbose(`Looking up vendor for MAC: ${mac}`);
+  
+  const normalized = spoof.normalize(mac);
+  if (!normalized) {
+    throw new Error(`"${mac}" is not a valid MAC address`);
+  }
+  
+  const vendorInfo = oui.getVendorInfo(normalized);
+  
+  if (JSON_OUTPUT) {
+    outputJSON({
+      mac: normalized,
+      vendor: vendorInfo.vendor,
+      prefix: vendorInfo.prefix,
       found: vendorInfo.vendor !== "Unknown",
     });
     return;
@@ -908,6 +1625,45 @@ function vendor(mac) {
   }
 }
 
+function vendorSearch(pattern) {
+  if (!pattern) {
+    throw new Error('Search text is required. Usage: spoofy vendor --search "raspberry"');
+  }
+  logVerbose(`Searching vendors matching: ${pattern}`);
+
+  const matches = oui.findPrefixesByVendor(pattern);
+
+  if (JSON_OUTPUT) {
+    outputJSON({ search: pattern, matches, count: matches.length });
+    return;
+  }
+
+  if (matches.length === 0) {
+    console.log(chalk.yellow(`No vendors match "${pattern}".`));
+    return;
+  }
+  matches.forEach((match) => {
+    const bits = match.bits !== 24 ? chalk.gray(` /${match.bits}`) : "";
+    console.log(`${chalk.bold.cyan(match.prefix)}${bits}  ${match.vendor}`);
+  });
+  console.log(chalk.gray(`\n${matches.length} prefix(es)`));
+}
+
+function vendorList() {
+  const vendors = oui.listVendors();
+
+  if (JSON_OUTPUT) {
+    outputJSON({ vendors, count: vendors.length });
+    return;
+  }
+
+  const width = String(vendors.length ? vendors[0].count : 0).length;
+  vendors.forEach((entry) => {
+    console.log(`${chalk.cyan(String(entry.count).padStart(width))}  ${entry.vendor}`);
+  });
+  console.log(chalk.gray(`\n${vendors.length} vendor(s)`));
+}
+
 async function batch(file) {
   if (!file) {
     throw new Error("Batch file is required. Usage: spoofy batch <file>");
@@ -920,98 +1676,736 @@ async function batch(file) {
   logVerbose(`Loading batch file: ${file}`);
   showProgress("Loading batch configuration");
   
-  let batchConfig;
+  // Parsed and checked against batch.schema.json before anything runs
+  let loaded;
   try {
-    const content = fs.readFileSync(file, "utf8");
-    batchConfig = JSON.parse(content);
+    loaded = batchFile.loadBatchFile(file, { vars: parseBatchVars() });
   } catch (err) {
     hideProgress();
-    throw new Error(`Failed to parse batch file: ${err.message}`);
+    if (err.code === "BATCH_INVALID" && JSON_OUTPUT) {
+      outputJSON({ success: false, file: file, errors: err.errors });
+      process.exitCode = 1;
+      return;
+    }
+    throw err;
   }
   
+  // Device patterns and conditions are resolved against this host
+  let interfaces = null;
+  const listInterfaces = () => interfaces || (interfaces = spoof.findInterfaces());
+  const plan = batchFile.planSteps(loaded.steps, {
+    platform: process.platform,
+    hostname: os.hostname(),
+    findInterfaces: listInterfaces,
+    vendorOf: (mac) => oui.lookupVendor(mac),
+  });
+  const limit = parallelLimit();
   hideProgress();
   
-  if (!Array.isArray(batchConfig)) {
-    throw new Error("Batch file must contain an array of operations");
+  const mode = argv.atomic ? "transaction" : loaded.mode;
+  if (loaded.name && !JSON_OUTPUT) {
+    console.log(chalk.bold(loaded.name) + (loaded.description ? chalk.gray(` - ${loaded.description.trim()}`) : ""));
   }
   
-  logVerbose(`Found ${batchConfig.length} operation(s) in batch file`);
+  logVerbose(`Found ${loaded.steps.length} step(s) in batch file, ${plan.length} operation(s) on this host (mode: ${mode})`);
   
   const results = [];
   let successCount = 0;
   let failCount = 0;
+  let skipCount = 0;
+  // Values before each change, in order, to roll a transaction back
+  const journal = [];
+  let rollback = null;
+  const printSkipped = ({ operation, index, skipped }) => {
+    if (!JSON_OUTPUT) {
+      console.log(chalk.gray(`- Skipped step ${index + 1} (${operation.type}): ${skipped}`));
+    }
+  };
+  const addSkipped = ({ operation, index, skipped }) => {
+    results.push({ success: true, skipped: true, operation: operation, reason: skipped, index: index });
+    skipCount++;
+  };
+  const addNotRun = ({ operation, index }) => {
+    results.push({ success: false, skipped: true, operation: operation, error: "Not run: the transaction was rolled back", index: index });
+  };
   
-  for (let index = 0; index < batchConfig.length; index++) {
-    const operation = batchConfig[index];
-    const step = index + 1;
-    const total = batchConfig.length;
-    progressStep(step, total, `Processing operation ${step}`);
-    
-    try {
-      if (operation.type === "set" && operation.device && operation.mac) {
-        const it = spoof.findInterface(operation.device);
-        if (!it) {
-          throw new Error(`Device not found: ${operation.device}`);
-        }
-        await setMACAddress(it.device, operation.mac, it.port, "batch-set");
-        results.push({ success: true, operation: operation, index: index });
-        successCount++;
-      } else if (operation.type === "randomize" && operation.device) {
-        const it = spoof.findInterface(operation.device);
-        if (!it) {
-          throw new Error(`Device not found: ${operation.device}`);
+  if (limit > 1) {
+    // Operations on the same interface, and every DUID change, still run
+    // in file order; output is printed per operation, in order
+    logVerbose(`Running up to ${limit} operation(s) at a time`);
+    let failed = false;
+    const settled = await runDeviceTasks(plan.map((entry) => ({
+      keys: entry.skipped ? [] : batchOperationKeys(entry.operation, listInterfaces),
+      run: async () => {
+        if (entry.skipped) {
+          printSkipped(entry);
+          return null;
         }
-        const mac = spoof.randomize(operation.local || false);
-        await setMACAddress(it.device, mac, it.port, "batch-randomize");
-        results.push({ success: true, operation: operation, mac: mac, index: index });
-        successCount++;
-      } else if (operation.type === "reset" && operation.device) {
-        const it = spoof.findInterface(operation.device);
-        if (!it) {
-          throw new Error(`Device not found: ${operation.device}`);
+        try {
+          return await runBatchOperation(entry.operation, journal, entry.index);
+        } catch (err) {
+          failed = true;
+          throw err;
         }
-        if (!it.address) {
-          throw new Error(`No hardware MAC address for: ${operation.device}`);
-        }
-        await setMACAddress(it.device, it.address, it.port, "batch-reset");
-        results.push({ success: true, operation: operation, index: index });
+      },
+    })), {
+      limit: limit,
+      shouldStart: (position) => plan[position].skipped || mode !== "transaction" || !failed,
+    });
+    settled.forEach((result, position) => {
+      const entry = plan[position];
+      if (entry.skipped) {
+        addSkipped(entry);
+      } else if (result.status === "fulfilled") {
+        results.push({ success: true, operation: entry.operation, ...result.value, index: entry.index });
         successCount++;
+      } else if (result.status === "rejected") {
+        results.push({ success: false, operation: entry.operation, error: result.reason.message, index: entry.index });
+        failCount++;
       } else {
-        throw new Error(`Invalid operation type or missing parameters: ${JSON.stringify(operation)}`);
+        addNotRun(entry);
+      }
+    });
+    if (mode === "transaction" && failCount > 0) {
+      rollback = await rollbackBatch(journal);
+    }
+  } else {
+    for (let position = 0; position < plan.length; position++) {
+      const entry = plan[position];
+      const step = position + 1;
+      const total = plan.length;
+      progressStep(step, total, `Processing operation ${step}`);
+      
+      if (entry.skipped) {
+        printSkipped(entry);
+        addSkipped(entry);
+        continue;
+      }
+      
+      try {
+        const result = await runBatchOperation(entry.operation, journal, entry.index);
+        results.push({ success: true, operation: entry.operation, ...result, index: entry.index });
+        successCount++;
+      } catch (err) {
+        results.push({ success: false, operation: entry.operation, error: err.message, index: entry.index });
+        failCount++;
+        if (mode === "transaction") {
+          plan.slice(position + 1).forEach((rest) => (rest.skipped ? addSkipped(rest) : addNotRun(rest)));
+          progressStep(total, total, "Rolling back");
+          rollback = await rollbackBatch(journal);
+          break;
+        }
       }
-    } catch (err) {
-      results.push({ success: false, operation: operation, error: err.message, index: index });
-      failCount++;
     }
   }
   
-  progressStep(batchConfig.length, batchConfig.length, "Completed");
+  if (!rollback) {
+    progressStep(plan.length, plan.length, "Completed");
+  }
+  const rollbackFailed = rollback ? rollback.filter((r) => r.success === false).length : 0;
+  if (rollback) {
+    process.exitCode = 1;
+  }
   
   if (JSON_OUTPUT) {
     outputJSON({
-      total: batchConfig.length,
+      dryRun: DRY_RUN,
+      name: loaded.name,
+      mode: mode,
+      parallel: limit,
+      total: plan.length,
       success: successCount,
       failed: failCount,
+      skipped: skipCount,
       results: results,
+      rolledBack: rollback !== null,
+      rollback: rollback,
     });
   } else {
-    console.log(chalk.bold("\nBatch Operation Summary:"));
-    console.log(chalk.green(`  ✓ Successful: ${successCount}`));
+    console.log(chalk.bold(DRY_RUN ? "\nBatch Plan Summary (dry run):" : "\nBatch Operation Summary:"));
+    console.log(chalk.green(`  ✓ ${DRY_RUN ? "Planned" : "Successful"}: ${successCount}`));
     if (failCount > 0) {
       console.log(chalk.red(`  ✗ Failed: ${failCount}`));
     }
-    console.log(chalk.bold(`  Total: ${batchConfig.length}`));
+    if (skipCount > 0) {
+      console.log(chalk.gray(`  - Skipped: ${skipCount}`));
+    }
+    console.log(chalk.bold(`  Total: ${plan.length}`));
+    if (rollback) {
+      console.log(chalk.yellow(`  ↺ Transaction ${DRY_RUN ? "would be" : "was"} rolled back: ${rollback.length} change(s) reverted` +
+        (rollbackFailed > 0 ? chalk.red(`, ${rollbackFailed} could not be`) : "")));
+    }
+  }
+}
+
+/**
+ * What a batch operation touches, so --parallel keeps operations on the
+ * same interface in order: its interface (by device name, also when the
+ * file names the port) and, for DUID changes, the DUID, which is shared by
+ * the whole system on most platforms
+ * @param {Object} operation
+ * @param {Function} listInterfaces
+ * @return {Array<string>}
+ */
+function batchOperationKeys(operation, listInterfaces) {
+  const keys = [];
+  if (operation.device !== undefined) {
+    const name = String(operation.device).toLowerCase();
+    const it = listInterfaces().find((candidate) =>
+      candidate.device.toLowerCase() === name || (candidate.port && candidate.port.toLowerCase() === name));
+    keys.push(`interface:${it ? it.device : operation.device}`);
+  }
+  if (operation.type === "identity" || BATCH_DUID_TYPES.includes(operation.type)) {
+    keys.push("duid");
+  }
+  return keys;
+}
+
+/**
+ * Variables given with --var name=value (repeatable)
+ * @returns {Object} name -> value
+ */
+function parseBatchVars() {
+  const vars = {};
+  [].concat(argv.var === undefined ? [] : argv.var).forEach((definition) => {
+    const match = /^([A-Za-z_][\w-]*)=(.*)$/s.exec(String(definition));
+    if (!match) {
+      throw new Error(`Invalid --var: ${definition} (expected name=value)`);
+    }
+    vars[match[1]] = match[2];
+  });
+  return vars;
+}
+
+/**
+ * Runs one batch operation, recording the values it is about to change in
+ * `journal` first (see rollbackBatch)
+ * @param {Object} operation
+ * @param {Array} journal
+ * @param {number} index - Position in the batch file
+ * @returns {Promise<Object>} Extra result fields, e.g. { mac } or { duid }
+ */
+async function runBatchOperation(operation, journal, index) {
+  const snapshotMAC = (it) => {
+    journal.push({ type: "mac", device: it.device, port: it.port, from: spoof.getInterfaceMAC(it.device), index });
+  };
+  const snapshotDUID = async (iface) => {
+    let current;
+    try {
+      current = await spoof.duid.getCurrentDUIDAsync();
+    } catch (err) {
+      throw new Error(`Could not read the current DUID: ${err.message}`);
+    }
+    journal.push({ type: "duid", device: iface || "system", iface: iface || null, from: current ? spoof.duid.formatDUID(current) : null, index });
+  };
+
+  if (operation.type === "set" && operation.device && operation.mac) {
+    const it = await spoof.findInterfaceAsync(operation.device);
+    if (!it) {
+      throw new Error(`Device not found: ${operation.device}`);
+    }
+    snapshotMAC(it);
+    await setMACAddress(it.device, operation.mac, it.port, "batch-set");
+    return {};
+  } else if (operation.type === "randomize" && operation.device) {
+    const it = await spoof.findInterfaceAsync(operation.device);
+    if (!it) {
+      throw new Error(`Device not found: ${operation.device}`);
+    }
+    const mac = randomMACFor(it, {
+      local: operation.local || false,
+      vendor: operation.vendor,
+      sameVendor: operation.sameVendor,
+    });
+    snapshotMAC(it);
+    await setMACAddress(it.device, mac, it.port, "batch-randomize");
+    return { mac: mac };
+  } else if (operation.type === "derive" && operation.device) {
+    const it = await spoof.findInterfaceAsync(operation.device);
+    if (!it) {
+      throw new Error(`Device not found: ${operation.device}`);
+    }
+    const mac = await spoof.deriveMACAsync(it.device, operation.key);
+    snapshotMAC(it);
+    await setMACAddress(it.device, mac, it.port, "batch-derive");
+    return { mac: mac };
+  } else if (operation.type === "reset" && operation.device) {
+    const it = await spoof.findInterfaceAsync(operation.device);
+    if (!it) {
+      throw new Error(`Device not found: ${operation.device}`);
+    }
+    if (!it.address) {
+      throw new Error(`No hardware MAC address for: ${operation.device}`);
+    }
+    snapshotMAC(it);
+    await setMACAddress(it.device, it.address, it.port, "batch-reset");
+    return {};
+  } else if (operation.type === "identity" && operation.device) {
+    // Randomize the MAC address, then sync the DUID to it
+    const it = await spoof.findInterfaceAsync(operation.device);
+    if (!it) {
+      throw new Error(`Device not found: ${operation.device}`);
+    }
+    const duidType = parseDUIDType(operation.duidType);
+    const mac = randomMACFor(it, {
+      local: operation.local || false,
+      vendor: operation.vendor,
+      sameVendor: operation.sameVendor,
+    });
+    snapshotMAC(it);
+    await snapshotDUID(it.device);
+    await setMACAddress(it.device, mac, it.port, "batch-identity");
+    const duid = spoof.duid.formatDUID(spoof.duid.generateDUID(duidType, spoof.normalize(mac)));
+    try {
+      await applyDUIDChange("batch-identity", { device: it.device, to: duid });
+    } catch (err) {
+      throw new Error(`MAC address of ${it.device} changed to ${formatMAC(mac)}, but the DUID was not: ${err.message}`);
+    }
+    return { mac: mac, duid: duid };
+  } else if (BATCH_DUID_TYPES.includes(operation.type)) {
+    await snapshotDUID(operation.device);
+    return { duid: await batchDUID(operation) };
+  }
+  throw new Error(`Invalid operation type or missing parameters: ${JSON.stringify(operation)}`);
+}
+
+/**
+ * Reverts the changes recorded in a batch journal, newest first. Values
+ * that already match their snapshot (e.g. the step that failed before
+ * changing anything) are left alone.
+ * @param {Array} journal - Snapshots taken by runBatchOperation
+ * @returns {Promise<Array>} [{type, device, to, index, success, unchanged, error}]
+ */
+async function rollbackBatch(journal) {
+  const results = [];
+  for (const entry of journal.slice().reverse()) {
+    const result = { type: entry.type, device: entry.device, to: entry.from, index: entry.index };
+    if (DRY_RUN) {
+      // Nothing was changed; list what a failure would revert
+      results.push({ ...result, success: true, dryRun: true });
+      continue;
+    }
+    try {
+      if (entry.type === "mac") {
+        const current = spoof.getInterfaceMAC(entry.device);
+        if (!entry.from) {
+          throw new Error("The previous MAC address is unknown");
+        }
+        if (current && spoof.normalize(current) === spoof.normalize(entry.from)) {
+          results.push({ ...result, success: true, unchanged: true });
+          continue;
+        }
+        await setMACAddress(entry.device, entry.from, entry.port, "rollback");
+      } else {
+        const current = await spoof.duid.getCurrentDUIDAsync();
+        const currentStr = current ? spoof.duid.formatDUID(current) : null;
+        if (currentStr === entry.from) {
+          results.push({ ...result, success: true, unchanged: true });
+          continue;
+        }
+        if (entry.from) {
+          await applyDUIDChange("rollback", { device: entry.device, to: entry.from });
+        } else {
+          // There was no DUID: remove it again
+          await spoof.duid.resetDUIDAsync(entry.iface);
+          history.addDUIDHistoryEntry(entry.device, currentStr, null, "rollback", entry.iface);
+        }
+      }
+      results.push({ ...result, success: true });
+    } catch (err) {
+      results.push({ ...result, success: false, error: err.message });
+      if (!JSON_OUTPUT) {
+        console.error(chalk.red("✗"), `Could not roll back the ${entry.type === "duid" ? "DUID" : "MAC address"} of ${entry.device}: ${err.message}`);
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * DUID type of a batch operation: LLT, EN, LL (default), UUID or 1-4
+ * @param {string|number|undefined} value
+ * @returns {number}
+ */
+function parseDUIDType(value) {
+  if (value === undefined || value === null) {
+    return spoof.duid.DUID_TYPES.DUID_LL;
+  }
+  const name = String(value).toUpperCase();
+  const type = spoof.duid.DUID_TYPES[`DUID_${name}`] ||
+    Object.values(spoof.duid.DUID_TYPES).find((t) => String(t) === name);
+  if (!type) {
+    throw new Error(`Invalid duidType: ${value} (expected LLT, EN, LL or UUID)`);
+  }
+  return type;
+}
+
+/**
+ * Runs one duid-* batch operation. `device` is optional except for
+ * duid-sync; without it the system-wide DUID is changed.
+ * @param {Object} operation
+ * @returns {Promise<string|null>} The DUID that was (or would be) set, null
+ *   when the system picks it (duid-reset)
+ */
+async function batchDUID(operation) {
+  const iface = operation.device || null;
+  const name = operation.type.slice("duid-".length);
+  const historyOperation = `batch-${name}`;
+  const change = { device: iface || "system" };
+
+  switch (name) {
+    case "randomize":
+      change.to = spoof.duid.formatDUID(spoof.duid.generateDUID(parseDUIDType(operation.duidType)));
+      break;
+    case "set":
+      if (!operation.duid) {
+        throw new Error("duid-set needs a \"duid\" (hex string)");
+      }
+      change.to = spoof.duid.formatDUID(spoof.duid.hexToDuid(operation.duid));
+      break;
+    case "sync": {
+      if (!iface) {
+        throw new Error("duid-sync needs a \"device\" to take the MAC address from");
+      }
+      const it = await spoof.findInterfaceAsync(iface);
+      if (!it) {
+        throw new Error(`Device not found: ${iface}`);
+      }
+      change.device = it.device;
+      const mac = spoof.getInterfaceMAC(it.device) || it.currentAddress;
+      if (!mac) {
+        throw new Error(`Could not get MAC address for interface: ${it.device}`);
+      }
+      change.to = spoof.duid.formatDUID(spoof.duid.generateDUID(parseDUIDType(operation.duidType), spoof.normalize(mac)));
+      break;
+    }
+    case "restore":
+    case "reset":
+      return restoreOrResetDUID(name, iface, historyOperation);
+  }
+
+  await applyDUIDChange(historyOperation, change);
+  return change.to;
+}
+
+/**
+ * duid-restore (to the original DUID saved before the first change) and
+ * duid-reset (the system generates a new one) batch operations
+ * @param {"restore"|"reset"} name
+ * @param {string|null} iface
+ * @param {string} historyOperation
+ * @returns {Promise<string|null>} The DUID after the change
+ */
+async function restoreOrResetDUID(name, iface, historyOperation) {
+  const target = name === "restore" ? spoof.duid.getOriginalDUID() : null;
+  if (name === "restore" && !target) {
+    throw new Error("No original DUID stored, nothing to restore");
+  }
+  const to = target ? spoof.duid.formatDUID(target) : null;
+  if (DRY_RUN) {
+    if (!JSON_OUTPUT) {
+      console.log(chalk.blue("ℹ"), `Dry run: would ${name} the DUID${iface ? ` of ${iface}` : ""}${to ? ` to ${chalk.cyan(to)}` : ""}`);
+    }
+    return to;
+  }
+
+  const oldDuid = await spoof.duid.getCurrentDUIDAsync();
+  const oldDuidStr = oldDuid ? spoof.duid.formatDUID(oldDuid) : null;
+  try {
+    const result = name === "restore"
+      ? await spoof.duid.restoreDUIDAsync(iface, true)
+      : await spoof.duid.resetDUIDAsync(iface);
+    if (result === false) {
+      throw new Error(`Failed to ${name} DUID`);
+    }
+    if (result === "not_spoofed") {
+      logVerbose("DUID is already set to the original value");
+      return to;
+    }
+  } catch (err) {
+    history.addDUIDHistoryEntry(iface || "system", oldDuidStr, to, historyOperation, iface, history.failureDetails(err));
+    throw err;
+  }
+  history.addDUIDHistoryEntry(iface || "system", oldDuidStr, to, historyOperation, iface);
+  if (!JSON_OUTPUT) {
+    console.log(chalk.green("✓"), name === "restore"
+      ? `DUID${iface ? ` of ${iface}` : ""} restored to ${chalk.cyan(to)}`
+      : `DUID${iface ? ` of ${iface}` : ""} reset, the system will generate a new one`);
+  }
+  return to;
+}
+
+/**
+ * Reverts the most recent recorded changes, of one device or of any
+ * @param {string=} device
+ */
+async function undo(device) {
+  const steps = parseCount("steps") || 1;
+
+  const entries = history.getUndoableEntries(device || null, steps);
+  if (entries.length === 0) {
+    throw new Error("Nothing to undo" + (device ? ` for device "${device}"` : ""));
+  }
+  if (entries.length < steps && !JSON_OUTPUT) {
+    console.warn(chalk.yellow("⚠"), `Only ${entries.length} change(s) can be undone`);
+  }
+
+  // Entries are newest first: several steps on one device become a single
+  // change back to the value before the oldest of them
+  const changes = [];
+  for (const entry of entries) {
+    const type = entry.type === "duid" ? "duid" : "mac";
+    let change = changes.find((c) => c.type === type && c.device === entry.device);
+    if (!change) {
+      change = { type, device: entry.device, from: type === "duid" ? entry.newDuid : entry.newMac, undoes: [] };
+      changes.push(change);
+    }
+    change.to = (type === "duid" ? entry.oldDuid : entry.oldMac) || null;
+    change.undoes.push(history.entryKey(entry));
+    if (!change.to) {
+      throw new Error(
+        `Cannot undo the ${entry.operation} of ${entry.device} at ${entry.timestamp}: ` +
+        `the previous ${type === "duid" ? "DUID" : "MAC address"} was not recorded`
+      );
+    }
+  }
+
+  await applyChanges("undo", changes);
+}
+
+/**
+ * Returns every interface (and the DUID) recorded in the history to the
+ * state it had at `timestamp`
+ * @param {string} timestamp
+ */
+async function restore(timestamp) {
+  if (!timestamp) {
+    throw new Error("Timestamp is required. Usage: spoofy restore --at=<timestamp>");
+  }
+
+  const changes = [];
+  for (const state of history.getStateAt(timestamp)) {
+    if (!state.value) {
+      logVerbose(`Skipping ${state.device}: its ${state.type} at that time was not recorded`);
+      continue;
+    }
+    let current = null;
+    let value = state.value;
+    if (state.type === "duid") {
+      try {
+        const currentDuid = await spoof.duid.getCurrentDUIDAsync();
+        current = currentDuid ? spoof.duid.formatDUID(currentDuid) : null;
+      } catch (err) {
+        logVerbose(`Could not read the current DUID: ${err.message}`);
+      }
+    } else {
+      const it = await spoof.findInterfaceAsync(state.device);
+      if (!it) {
+        if (!JSON_OUTPUT) {
+          console.warn(chalk.yellow("⚠"), `Skipping ${state.device}: device not found`);
+        }
+        continue;
+      }
+      current = await spoof.getInterfaceMACAsync(it.device);
+      value = spoof.normalize(value) || value;
+    }
+    if (current !== value) {
+      changes.push({ type: state.type, device: state.device, from: current, to: value });
+    }
+  }
+
+  if (changes.length === 0) {
+    if (JSON_OUTPUT) {
+      outputJSON({ dryRun: DRY_RUN, operation: "restore", at: timestamp, plan: [], results: [] });
+    } else {
+      console.log(chalk.green("✓"), `Everything is already as it was at ${timestamp}`);
+    }
+    return;
+  }
+
+  await applyChanges("restore", changes);
+}
+
+/**
+ * Prints the planned changes, then makes them (unless --dry-run)
+ * @param {string} operation - "undo" or "restore"
+ * @param {Array} changes - [{type, device, from, to, undoes}]
+ */
+async function applyChanges(operation, changes) {
+  if (!JSON_OUTPUT) {
+    console.log(chalk.bold(`${operation === "undo" ? "Undo" : "Restore"} plan:`));
+    changes.forEach((change) => {
+      const format = change.type === "duid" ? (value) => value : formatMAC;
+      console.log(
+        `  ${chalk.bold.green(change.device)} ${change.type === "duid" ? "DUID" : "MAC"}: ` +
+        `${chalk.red(format(change.from) || "unknown")} → ${chalk.cyan(format(change.to))}`
+      );
+    });
+    console.log();
+  }
+
+  if (!DRY_RUN) {
+    warnIfNotElevated();
+  }
+
+  const results = [];
+  for (const change of changes) {
+    const details = change.undoes ? { undoes: change.undoes } : null;
+    try {
+      if (change.type === "duid") {
+        await applyDUIDChange(operation, change, details);
+      } else {
+        const it = await spoof.findInterfaceAsync(change.device);
+        if (!it) {
+          throw new Error(`Device not found: ${change.device}`);
+        }
+        await setMACAddress(it.device, change.to, it.port, operation, details);
+      }
+      results.push({ type: change.type, device: change.device, success: true });
+    } catch (err) {
+      if (!JSON_OUTPUT) {
+        console.error(chalk.red("✗"), `${change.device}: ${err.message}`);
+      }
+      results.push({ type: change.type, device: change.device, success: false, error: err.message });
+    }
+  }
+
+  const failed = results.filter((result) => !result.success).length;
+  if (JSON_OUTPUT) {
+    outputJSON({ dryRun: DRY_RUN, operation, plan: changes, results });
+  }
+  if (failed > 0) {
+    throw new Error(`${failed} of ${results.length} change(s) failed`);
+  }
+}
+
+/**
+ * Sets the DUID for undo/restore
+ * @param {string} operation
+ * @param {Object} change
+ * @param {Object|null} details - Extra history fields
+ */
+async function applyDUIDChange(operation, change, details) {
+  const iface = change.device === "system" ? null : change.device;
+  if (DRY_RUN) {
+    if (!JSON_OUTPUT) {
+      console.log(chalk.blue("ℹ"), `Dry run: would set the DUID${iface ? ` of ${iface}` : ""} to ${chalk.cyan(change.to)}`);
+    }
+    return;
+  }
+
+  const oldDuid = await spoof.duid.getCurrentDUIDAsync();
+  const oldDuidStr = oldDuid ? spoof.duid.formatDUID(oldDuid) : null;
+  try {
+    await spoof.duid.setDUIDAsync(spoof.duid.hexToDuid(change.to), iface, true);
+  } catch (err) {
+    history.addDUIDHistoryEntry(change.device, oldDuidStr, change.to, operation, iface, { ...details, ...history.failureDetails(err) });
+    throw err;
+  }
+  history.addDUIDHistoryEntry(change.device, oldDuidStr, change.to, operation, iface, details);
+  if (!JSON_OUTPUT) {
+    console.log(chalk.green("✓"), `DUID${iface ? ` of ${iface}` : ""} set to ${chalk.cyan(change.to)}`);
+  }
+}
+
+function ouiCmd(subcommand, files) {
+  if (subcommand === "import") {
+    if (files.length === 0) {
+      throw new Error("Registry file is required. Usage: spoofy oui import <oui.csv|oui.txt>...");
+    }
+    showProgress("Importing OUI registry");
+    const meta = oui.importRegistry(files);
+    hideProgress();
+
+    if (JSON_OUTPUT) {
+      outputJSON({ success: true, ...meta });
+      return;
+    }
+    console.log(chalk.green("✓"), `Imported ${meta.blocks} OUI blocks from ${meta.vendors} organizations`);
+    Object.keys(meta.registries).forEach((registry) => {
+      console.log(`  ${registry}: ${meta.registries[registry]}`);
+    });
+    console.log(chalk.gray(`Registry date: ${new Date(meta.registryDate).toLocaleString()}`));
+  } else if (subcommand === "status" || !subcommand) {
+    const status = oui.getStatus();
+
+    if (JSON_OUTPUT) {
+      outputJSON(status);
+      return;
+    }
+    const sources = {
+      imported: "imported IEEE registry",
+      custom: "custom registry",
+      "built-in": "built-in list of common prefixes",
+    };
+    console.log(chalk.bold("Vendor database:"), sources[status.source]);
+    if (status.path) {
+      console.log(chalk.bold("File:"), status.path);
+    }
+    console.log(chalk.bold("Blocks:"), status.blocks, chalk.gray(`(${status.vendors} organizations)`));
+    if (status.registries) {
+      const counts = Object.keys(status.registries).map((registry) => `${registry} ${status.registries[registry]}`);
+      console.log(chalk.bold("Registries:"), counts.join(", "));
+    }
+    if (status.registryDate) {
+      console.log(chalk.bold("Registry date:"), new Date(status.registryDate).toLocaleString());
+    }
+    if (status.importedAt) {
+      console.log(chalk.bold("Imported:"), new Date(status.importedAt).toLocaleString());
+    }
+    if (status.error) {
+      console.log(chalk.yellow(`⚠ Could not load ${status.error}`));
+    }
+    if (status.source === "built-in") {
+      console.log(chalk.gray("Import the IEEE registry with: spoofy oui import <oui.csv>"));
+    }
+  } else {
+    throw new Error(`Unknown oui command: ${subcommand}. Usage: spoofy oui <import|status>`);
   }
 }
 
 function historyCmd() {
-  const device = argv._[1]; // Optional device filter
+  const sub = argv._[1];
+  if (sub === "verify") {
+    historyVerify();
+    return;
+  }
+  if (sub === "prune") {
+    historyPrune();
+    return;
+  }
+  if (sub === "clear") {
+    historyClear();
+    return;
+  }
+  const exporting = sub === "export";
+  const device = exporting ? argv._[2] : sub; // Optional device filter
   logVerbose(device ? `Getting history for device: ${device}` : "Getting all history");
-  
-  const allHistory = history.getHistory();
-  const deviceHistory = device ? history.getHistoryForDevice(device) : allHistory;
-  
-  if (deviceHistory.length === 0) {
+
+  const filters = {
+    device,
+    since: argv.since,
+    until: argv.until,
+    operation: argv.operation,
+    type: argv.type,
+    platform: argv.platform,
+    sort: argv.sort,
+    limit: parseCount("limit"),
+  };
+  const entries = history.queryHistory(filters);
+  const skipped = history.getSkippedLines();
+  if (skipped > 0 && !JSON_OUTPUT) {
+    console.error(chalk.yellow(`⚠️  Skipped ${skipped} damaged line(s) of ${history.HISTORY_FILE}`));
+  }
+
+  if (exporting) {
+    const format = argv.format || "csv";
+    // Stored values, not --mac-format: exports are records, not display
+    process.stdout.write(history.exportHistory(entries, format));
+    return;
+  }
+
+  if (entries.length === 0) {
     if (JSON_OUTPUT) {
       outputJSON({ history: [], count: 0 });
     } else {
@@ -1022,8 +2416,8 @@ function historyCmd() {
   
   if (JSON_OUTPUT) {
     outputJSON({
-      history: deviceHistory,
-      count: deviceHistory.length,
+      history: entries.map(formatEntry),
+      count: entries.length,
       device: device || "all",
     });
     return;
@@ -1032,14 +2426,104 @@ function historyCmd() {
   console.log(chalk.bold.cyan("\nMAC Address Change History"));
   console.log(chalk.gray("─".repeat(80)));
   
-  deviceHistory.forEach((entry, index) => {
+  entries.forEach((entry, index) => {
     const date = new Date(entry.timestamp).toLocaleString();
+    const duid = entry.type === "duid";
     console.log(chalk.bold(`\n${index + 1}. ${date}`));
     console.log(`   Device: ${chalk.green(entry.device)}`);
-    console.log(`   Operation: ${chalk.cyan(entry.operation)}`);
-    console.log(`   ${chalk.gray(entry.oldMac || "N/A")} → ${chalk.cyan(entry.newMac)}`);
+    console.log(`   Operation: ${chalk.cyan(entry.operation)}${duid ? chalk.gray(" (DUID)") : ""}`);
+    if (!history.isApplied(entry)) {
+      console.log(`   ${chalk.red("✗ Failed:")} ${entry.error}${entry.errorCode ? chalk.gray(` (${entry.errorCode})`) : ""}`);
+    }
+    if (duid) {
+      console.log(`   ${chalk.gray(entry.oldDuid || "N/A")} → ${chalk.cyan(entry.newDuid)}`);
+    } else {
+      console.log(`   ${chalk.gray(formatMAC(entry.oldMac) || "N/A")} → ${chalk.cyan(formatMAC(entry.newMac))}`);
+    }
     console.log(`   Platform: ${entry.platform}`);
+    if (entry.user) {
+      console.log(`   By: ${entry.user}${entry.sudoUser ? ` (sudo from ${entry.sudoUser})` : ""} on ${entry.hostname}`);
+    }
   });
   
   console.log();
 }
+
+/**
+ * Parses a positive integer option
+ * @param {string} name - Option name
+ * @returns {number|undefined}
+ */
+function parseCount(name) {
+  if (argv[name] === undefined) {
+    return undefined;
+  }
+  const value = Number(argv[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid --${name}: ${argv[name]} (expected a positive number)`);
+  }
+  return value;
+}
+
+function historyPrune() {
+  const limits = {
+    maxEntries: parseCount("keep") || null,
+    before: argv.before !== undefined ? history.parseTime(argv.before) : null,
+  };
+  if (limits.maxEntries === null && limits.before === null) {
+    // Without options: the limits configured in ~/.spoofyrc
+    Object.assign(limits, history.configure());
+    if (limits.maxEntries === null && limits.maxAgeDays === null) {
+      throw new Error("Nothing to prune: pass --keep=<n> or --before=<time>, or configure history limits in ~/.spoofyrc");
+    }
+  }
+
+  const result = history.pruneHistory(limits);
+  if (JSON_OUTPUT) {
+    outputJSON(result);
+    return;
+  }
+  console.log(chalk.green(`✓ Removed ${result.removed} history entr${result.removed === 1 ? "y" : "ies"}, ${result.remaining} left`));
+}
+
+function historyVerify() {
+  const result = history.verifyHistory();
+  if (!result.valid) {
+    process.exitCode = 1;
+  }
+  if (JSON_OUTPUT) {
+    outputJSON(result);
+    return;
+  }
+
+  if (result.chained === 0) {
+    console.log(chalk.yellow(`No chained entries among ${result.entries}: enable "audit" in the history section of ~/.spoofyrc`));
+  }
+  result.problems.forEach((problem) => {
+    const where = problem.timestamp ? ` (${problem.device}, ${problem.timestamp})` : "";
+    console.log(chalk.red("✗"), `Line ${problem.line}${where}: ${problem.problem}`);
+  });
+  if (result.valid && result.chained > 0) {
+    console.log(chalk.green("✓"), `History intact: ${result.chained} chained entr${result.chained === 1 ? "y" : "ies"} of ${result.entries}`);
+  } else if (!result.valid) {
+    console.log(chalk.red("✗"), `History was tampered with or damaged: ${result.problems.length} problem(s)`);
+  }
+  if (result.startsAfter) {
+    console.log(chalk.gray(`Chain starts after ${result.startsAfter} (older entries were pruned or removed)`));
+  }
+  if (result.head) {
+    console.log(chalk.gray(`Head: ${result.head} (keep a copy elsewhere to detect removal of the newest entries)`));
+  }
+}
+
+function historyClear() {
+  if (!argv.yes) {
+    throw new Error("This deletes the whole change history. Run again with --yes to confirm, or export it first: spoofy history export");
+  }
+  const removed = history.clearHistory();
+  if (JSON_OUTPUT) {
+    outputJSON({ removed });
+    return;
+  }
+  console.log(chalk.green(`✓ Removed ${removed} history entr${removed === 1 ? "y" : "ies"}`));
+}
@@ -12,13 +12,13 @@ _spoofy() {
   words=("${COMP_WORDS[@]}")
 
   # Main commands
-  local commands="list ls set randomize reset normalize info validate vendor batch history duid help version"
+  local commands="list ls set randomize derive reset normalize info validate eui64 vendor batch history undo restore oui duid help version"
   
   # DUID subcommands
   local duid_commands="list show randomize set sync restore reset generate original help"
   
   # Options
-  local options="--wifi --local --verbose -V --json -j --version -v --help -h"
+  local options="--wifi --type --up --local --vendor --same-vendor --seed --key --search --list --prefix --verbose -V --json -j --mac-format --steps --at --since --until --before --operation --platform --sort --limit --format --keep --yes --atomic --var --parallel --dry-run --verify-connectivity --gateway --verify-timeout --version -v --help -h"
   
   # DUID options
   local duid_options="--type --interface -i"
@@ -94,7 +94,7 @@ _spoofy() {
         fi
       fi
       ;;
-    randomize|reset|info)
+    randomize|derive|reset|info|undo)
       # These commands take interface names
       if [[ "${cur}" == --* ]]; then
         COMPREPLY=($(compgen -W "${options}" -- "${cur}"))
@@ -110,7 +110,7 @@ _spoofy() {
         fi
       fi
       ;;
-    normalize|validate|vendor)
+    normalize|validate|eui64|vendor)
       # These commands take a MAC address
       if [[ "${cur}" == --* ]]; then
         COMPREPLY=($(compgen -W "${options}" -- "${cur}"))
@@ -126,7 +126,23 @@ _spoofy() {
         COMPREPLY=($(compgen -f -- "${cur}"))
       fi
       ;;
-    list|ls|history|help|version)
+    oui)
+      # oui <import|status>, import takes registry files
+      if [[ ${COMP_CWORD} -eq 2 ]]; then
+        COMPREPLY=($(compgen -W "import status" -- "${cur}"))
+      elif [[ "${words[2]}" == "import" ]]; then
+        COMPREPLY=($(compgen -f -- "${cur}"))
+      fi
+      ;;
+    history)
+      # history [export|prune|clear] [device]
+      if [[ "${cur}" == --* ]]; then
+        COMPREPLY=($(compgen -W "${options}" -- "${cur}"))
+      elif [[ ${COMP_CWORD} -eq 2 ]]; then
+        COMPREPLY=($(compgen -W "export prune clear verify" -- "${cur}"))
+      fi
+      ;;
+    list|ls|restore|help|version)
       # These commands only take options
       if [[ "${cur}" == --* ]] || [[ "${cur}" == -* ]]; then
         COMPREPLY=($(compgen -W "${options}" -- "${cur}"))
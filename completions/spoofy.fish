@@ -16,13 +16,18 @@ complete -c spoofy -n '__fish_use_subcommand' -a 'list' -d 'List available netwo
 complete -c spoofy -n '__fish_use_subcommand' -a 'ls' -d 'Alias for list'
 complete -c spoofy -n '__fish_use_subcommand' -a 'set' -d 'Set device MAC address'
 complete -c spoofy -n '__fish_use_subcommand' -a 'randomize' -d 'Set device MAC address randomly'
+complete -c spoofy -n '__fish_use_subcommand' -a 'derive' -d 'Set a stable MAC address for one network'
 complete -c spoofy -n '__fish_use_subcommand' -a 'reset' -d 'Reset device MAC address to default'
 complete -c spoofy -n '__fish_use_subcommand' -a 'normalize' -d 'Normalize a MAC address format'
 complete -c spoofy -n '__fish_use_subcommand' -a 'info' -d 'Show detailed interface information'
-complete -c spoofy -n '__fish_use_subcommand' -a 'validate' -d 'Validate MAC address format'
+complete -c spoofy -n '__fish_use_subcommand' -a 'validate' -d 'Validate and classify a MAC address'
+complete -c spoofy -n '__fish_use_subcommand' -a 'eui64' -d 'Show EUI-64 and SLAAC IPv6 addresses of a MAC'
 complete -c spoofy -n '__fish_use_subcommand' -a 'vendor' -d 'Look up vendor from MAC address'
 complete -c spoofy -n '__fish_use_subcommand' -a 'batch' -d 'Change multiple interfaces from config file'
 complete -c spoofy -n '__fish_use_subcommand' -a 'history' -d 'View MAC address change history'
+complete -c spoofy -n '__fish_use_subcommand' -a 'undo' -d 'Revert the most recent MAC or DUID change(s)'
+complete -c spoofy -n '__fish_use_subcommand' -a 'restore' -d 'Return interfaces to their state at a point in time'
+complete -c spoofy -n '__fish_use_subcommand' -a 'oui' -d 'Import or inspect the IEEE OUI registry'
 complete -c spoofy -n '__fish_use_subcommand' -a 'duid' -d 'DHCPv6 DUID spoofing commands'
 complete -c spoofy -n '__fish_use_subcommand' -a 'help' -d 'Show help message'
 complete -c spoofy -n '__fish_use_subcommand' -a 'version' -d 'Show package version'
@@ -30,16 +35,31 @@ complete -c spoofy -n '__fish_use_subcommand' -a 'version' -d 'Show package vers
 # Global options
 complete -c spoofy -s V -l verbose -d 'Show verbose output'
 complete -c spoofy -s j -l json -d 'Output results in JSON format'
+complete -c spoofy -l mac-format -x -a 'colon dash dot bare lower' -d 'MAC address output format'
+complete -c spoofy -l dry-run -d 'Show planned commands without running them'
+complete -c spoofy -n '__fish_seen_subcommand_from set randomize reset batch' -l parallel -d 'Change several devices at once'
+complete -c spoofy -l verify-connectivity -d 'Restore the previous MAC if connectivity is lost'
+complete -c spoofy -l seed -r -d 'Seed for reproducible random addresses (testing only)'
+complete -c spoofy -l gateway -r -d 'Gateway IP to ping when verifying connectivity'
+complete -c spoofy -l verify-timeout -r -d 'Seconds to wait for connectivity'
 complete -c spoofy -s v -l version -d 'Show version'
 complete -c spoofy -s h -l help -d 'Show help'
 
 # list command
 complete -c spoofy -n '__fish_seen_subcommand_from list ls' -l wifi -d 'Show only wireless interfaces'
+complete -c spoofy -n '__fish_seen_subcommand_from list ls' -l type -x -a 'ethernet wifi bridge bond vlan veth tun loopback other' -d 'Only show interfaces of these kinds'
+complete -c spoofy -n '__fish_seen_subcommand_from list ls' -l up -d 'Only show interfaces that are up'
 
 # randomize command
 complete -c spoofy -n '__fish_seen_subcommand_from randomize' -l local -d 'Set locally administered flag'
+complete -c spoofy -n '__fish_seen_subcommand_from randomize' -l vendor -x -d 'Use a real OUI prefix of this vendor'
+complete -c spoofy -n '__fish_seen_subcommand_from randomize' -l same-vendor -d 'Keep the hardware vendor prefix'
 complete -c spoofy -n '__fish_seen_subcommand_from randomize' -a '(__spoofy_get_interfaces)'
 
+# derive command
+complete -c spoofy -n '__fish_seen_subcommand_from derive' -l key -x -d 'Network identifier (SSID, VLAN, profile)'
+complete -c spoofy -n '__fish_seen_subcommand_from derive' -a '(__spoofy_get_interfaces)'
+
 # set command
 complete -c spoofy -n '__fish_seen_subcommand_from set; and __fish_is_nth_token 2' -f -a '(__spoofy_get_interfaces)'
 complete -c spoofy -n '__fish_seen_subcommand_from set; and __fish_is_nth_token 3' -a '(__spoofy_get_interfaces)'
@@ -47,11 +67,42 @@ complete -c spoofy -n '__fish_seen_subcommand_from set; and __fish_is_nth_token
 # reset, info commands
 complete -c spoofy -n '__fish_seen_subcommand_from reset info' -a '(__spoofy_get_interfaces)'
 
-# normalize, validate, vendor commands
-complete -c spoofy -n '__fish_seen_subcommand_from normalize validate vendor' -f
+# undo, restore commands
+complete -c spoofy -n '__fish_seen_subcommand_from undo' -l steps -x -d 'Number of changes to undo'
+complete -c spoofy -n '__fish_seen_subcommand_from undo' -f -a '(__spoofy_get_interfaces)'
+complete -c spoofy -n '__fish_seen_subcommand_from restore' -l at -x -d 'Point in time, e.g. 2024-05-01T12:00'
+
+# history command
+complete -c spoofy -n '__fish_seen_subcommand_from history; and not __fish_seen_subcommand_from export prune clear verify' -f -a 'export' -d 'Write the history as CSV or NDJSON'
+complete -c spoofy -n '__fish_seen_subcommand_from history; and not __fish_seen_subcommand_from export prune clear verify' -f -a 'prune' -d 'Remove old entries'
+complete -c spoofy -n '__fish_seen_subcommand_from history; and not __fish_seen_subcommand_from export prune clear verify' -f -a 'clear' -d 'Remove every entry'
+complete -c spoofy -n '__fish_seen_subcommand_from history; and not __fish_seen_subcommand_from export prune clear verify' -f -a 'verify' -d 'Check the audit hash chain'
+complete -c spoofy -n '__fish_seen_subcommand_from history' -l since -x -d 'Entries at or after this time (ISO 8601 or 7d)'
+complete -c spoofy -n '__fish_seen_subcommand_from history' -l until -x -d 'Entries at or before this time'
+complete -c spoofy -n '__fish_seen_subcommand_from history' -l operation -x -a 'set randomize derive reset undo restore sync' -d 'Entries of these operations'
+complete -c spoofy -n '__fish_seen_subcommand_from history' -l type -x -a 'mac duid' -d 'Entries of this kind'
+complete -c spoofy -n '__fish_seen_subcommand_from history' -l platform -x -a 'linux darwin win32' -d 'Entries of this platform'
+complete -c spoofy -n '__fish_seen_subcommand_from history' -l sort -x -a 'newest oldest device operation' -d 'Order of the entries'
+complete -c spoofy -n '__fish_seen_subcommand_from history' -l limit -x -d 'At most this many entries'
+complete -c spoofy -n '__fish_seen_subcommand_from export' -l format -x -a 'csv ndjson json' -d 'Export format'
+complete -c spoofy -n '__fish_seen_subcommand_from prune' -l keep -x -d 'Number of entries to keep'
+complete -c spoofy -n '__fish_seen_subcommand_from prune' -l before -x -d 'Remove entries older than this time'
+complete -c spoofy -n '__fish_seen_subcommand_from clear' -l yes -d 'Confirm removing the whole history'
+
+# oui command
+complete -c spoofy -n '__fish_seen_subcommand_from oui; and not __fish_seen_subcommand_from import status' -f -a 'import' -d 'Import IEEE registry files'
+complete -c spoofy -n '__fish_seen_subcommand_from oui; and not __fish_seen_subcommand_from import status' -f -a 'status' -d 'Show the vendor database in use'
+
+# normalize, validate, eui64, vendor commands
+complete -c spoofy -n '__fish_seen_subcommand_from normalize validate eui64 vendor' -f
+complete -c spoofy -n '__fish_seen_subcommand_from vendor' -l search -x -d 'Find prefixes of vendors matching a name'
+complete -c spoofy -n '__fish_seen_subcommand_from vendor' -l list -d 'List vendors with their number of prefixes'
+complete -c spoofy -n '__fish_seen_subcommand_from eui64' -l prefix -x -d 'IPv6 /64 prefix for the global address'
 
 # batch command
 complete -c spoofy -n '__fish_seen_subcommand_from batch' -f
+complete -c spoofy -n '__fish_seen_subcommand_from batch' -l atomic -d 'Roll the whole batch back if a step fails'
+complete -c spoofy -n '__fish_seen_subcommand_from batch' -l var -x -d 'Batch file variable (name=value)'
 
 # DUID subcommands
 complete -c spoofy -n '__fish_seen_subcommand_from duid' -a 'list' -d 'Show current DUID'
@@ -8,8 +8,8 @@ Register-ArgumentCompleter -Native -CommandName spoofy -ScriptBlock {
     param($wordToComplete, $commandAst, $cursorPosition)
 
     $commands = @(
-        'list', 'ls', 'set', 'randomize', 'reset', 'normalize',
-        'info', 'validate', 'vendor', 'batch', 'history', 'duid',
+        'list', 'ls', 'set', 'randomize', 'derive', 'reset', 'normalize',
+        'info', 'validate', 'eui64', 'vendor', 'batch', 'history', 'undo', 'restore', 'oui', 'duid',
         'help', 'version'
     )
 
@@ -19,7 +19,8 @@ Register-ArgumentCompleter -Native -CommandName spoofy -ScriptBlock {
     )
 
     $options = @(
-        '--wifi', '--local', '--verbose', '-V', '--json', '-j',
+        '--wifi', '--type', '--up', '--local', '--vendor', '--same-vendor', '--seed', '--key', '--search', '--list', '--prefix', '--verbose', '-V', '--json', '-j', '--mac-format', '--steps', '--at', '--since', '--until', '--before', '--operation', '--platform', '--sort', '--limit', '--format', '--keep', '--yes', '--atomic', '--var', '--parallel', '--dry-run',
+        '--verify-connectivity', '--gateway', '--verify-timeout',
         '--version', '-v', '--help', '-h'
     )
 
@@ -122,7 +123,7 @@ Register-ArgumentCompleter -Native -CommandName spoofy -ScriptBlock {
                 }
             }
         }
-        { $_ -in 'randomize', 'reset', 'info' } {
+        { $_ -in 'randomize', 'derive', 'reset', 'info', 'undo' } {
             if ($wordToComplete -like '--*' -or $wordToComplete -like '-*') {
                 return $options | Where-Object { $_ -like "$wordToComplete*" } | ForEach-Object {
                     [System.Management.Automation.CompletionResult]::new($_, $_, 'ParameterValue', $_)
@@ -133,7 +134,7 @@ Register-ArgumentCompleter -Native -CommandName spoofy -ScriptBlock {
                 }
             }
         }
-        { $_ -in 'normalize', 'validate', 'vendor', 'batch' } {
+        { $_ -in 'normalize', 'validate', 'eui64', 'vendor', 'batch' } {
             if ($wordToComplete -like '--*' -or $wordToComplete -like '-*') {
                 return $options | Where-Object { $_ -like "$wordToComplete*" } | ForEach-Object {
                     [System.Management.Automation.CompletionResult]::new($_, $_, 'ParameterValue', $_)
@@ -142,7 +143,28 @@ Register-ArgumentCompleter -Native -CommandName spoofy -ScriptBlock {
             # File completion for these commands
             return
         }
-        { $_ -in 'list', 'ls', 'history', 'help', 'version' } {
+        'oui' {
+            if ($tokenCount -eq 2) {
+                return @('import', 'status') | Where-Object { $_ -like "$wordToComplete*" } | ForEach-Object {
+                    [System.Management.Automation.CompletionResult]::new($_, $_, 'ParameterValue', $_)
+                }
+            }
+            # File completion for import
+            return
+        }
+        'history' {
+            if ($tokenCount -eq 2 -and $wordToComplete -notlike '-*') {
+                return @('export', 'prune', 'clear', 'verify') | Where-Object { $_ -like "$wordToComplete*" } | ForEach-Object {
+                    [System.Management.Automation.CompletionResult]::new($_, $_, 'ParameterValue', $_)
+                }
+            }
+            if ($wordToComplete -like '--*' -or $wordToComplete -like '-*') {
+                return $options | Where-Object { $_ -like "$wordToComplete*" } | ForEach-Object {
+                    [System.Management.Automation.CompletionResult]::new($_, $_, 'ParameterValue', $_)
+                }
+            }
+        }
+        { $_ -in 'list', 'ls', 'restore', 'help', 'version' } {
             if ($wordToComplete -like '--*' -or $wordToComplete -like '-*') {
                 return $options | Where-Object { $_ -like "$wordToComplete*" } | ForEach-Object {
                     [System.Management.Automation.CompletionResult]::new($_, $_, 'ParameterValue', $_)
@@ -1,13 +1,25 @@
 /*! spoof. MIT License. Feross Aboukhadijeh <https://feross.org/opensource> */
 module.exports = {
   findInterface,
+  findInterfaceAsync,
   findInterfaces,
+  findInterfacesAsync,
   normalize,
+  format,
   randomize,
+  deriveMAC,
+  deriveMACAsync,
   setInterfaceMAC,
   getInterfaceMAC,
+  getInterfaceMACAsync,
+  filterInterfaces,
+  verifyConnectivity,
   validateMAC,
+  analyzeMAC,
+  configure,
+  executor: require("./lib/executor"),
   duid: require("./lib/duid"),
+  eui64: require("./lib/eui64"),
 };
 
 /**
@@ -49,10 +61,189 @@ function validateMAC(mac) {
   };
 }
 
-const cp = require("child_process");
+// Well-known MAC address ranges that must not be used by a host, as
+// [first, last, description] (inclusive, 12 hex digits)
+const RESERVED_RANGES = [
+  ["0180C2000000", "0180C2000000", "Spanning Tree Protocol (IEEE 802.1D bridge group address)"],
+  ["0180C2000002", "0180C2000002", "Slow protocols (LACP, IEEE 802.3)"],
+  ["0180C200000E", "0180C200000E", "LLDP (IEEE 802.1AB nearest bridge)"],
+  ["0180C2000001", "0180C200000F", "IEEE 802.1 reserved bridge protocols"],
+  ["01000CCCCCCC", "01000CCCCCCC", "Cisco Discovery Protocol"],
+  ["01000CCCCCCD", "01000CCCCCCD", "Cisco Shared Spanning Tree (PVST+)"],
+  ["01005E000000", "01005E7FFFFF", "IPv4 multicast (RFC 1112)"],
+  ["333300000000", "3333FFFFFFFF", "IPv6 multicast (RFC 2464)"],
+  ["00005E000100", "00005E0001FF", "VRRP virtual router, IPv4 (RFC 5798)"],
+  ["00005E000200", "00005E0002FF", "VRRP virtual router, IPv6 (RFC 5798)"],
+  ["00000C07AC00", "00000C07ACFF", "HSRP version 1 virtual router"],
+  ["00000C9FF000", "00000C9FFFFF", "HSRP version 2 virtual router"],
+];
+
+// IEEE 802c Structured Local Address Plan quadrants of locally administered
+// addresses, keyed by bits 3 and 2 of the first octet
+const SLAP_QUADRANTS = {
+  0x00: { quadrant: "AAI", description: "Administratively Assigned Identifier" },
+  0x04: { quadrant: "reserved", description: "Reserved for future use" },
+  0x08: { quadrant: "ELI", description: "Extended Local Identifier (CID-based)" },
+  0x0c: { quadrant: "SAI", description: "Standard Assigned Identifier" },
+};
+
+/**
+ * Classifies a MAC address: unicast or multicast, universally or locally
+ * administered, its SLAP quadrant, well-known reserved ranges it falls in,
+ * and whether its OUI is registered. `warnings` explains why the address
+ * should not (or can not) be assigned to an interface.
+ *
+ * `oui.registered` is null when only the built-in vendor list is available,
+ * since most registered OUIs are missing from it.
+ *
+ * @param {string} mac
+ * @return {Object} {valid, normalized, error, unicast, multicast, broadcast,
+ *     administration: "universal"|"local", slap, reserved, oui, assignable,
+ *     warnings}
+ */
+function analyzeMAC(mac) {
+  const validation = validateMAC(mac);
+  const analysis = {
+    valid: validation.valid,
+    normalized: validation.normalized,
+    error: validation.error,
+    unicast: null,
+    multicast: null,
+    broadcast: null,
+    administration: null,
+    slap: null,
+    reserved: null,
+    oui: null,
+    assignable: false,
+    warnings: [],
+  };
+  if (!validation.normalized) {
+    return analysis;
+  }
+
+  const hex = validation.normalized.replace(/:/g, "");
+  const first = parseInt(hex.slice(0, 2), 16);
+
+  analysis.multicast = (first & 0x01) === 0x01;
+  analysis.unicast = !analysis.multicast;
+  analysis.broadcast = hex === "FFFFFFFFFFFF";
+  analysis.administration = first & 0x02 ? "local" : "universal";
+  if (analysis.administration === "local" && !analysis.broadcast) {
+    analysis.slap = SLAP_QUADRANTS[first & 0x0c];
+  }
+
+  const range = RESERVED_RANGES.find(([low, high]) => hex >= low && hex <= high);
+  if (range) {
+    analysis.reserved = { range: `${formatMAC(range[0])}-${formatMAC(range[1])}`, description: range[2] };
+  }
+
+  const vendorInfo = oui.getVendorInfo(validation.normalized);
+  const found = vendorInfo.vendor !== "Unknown";
+  analysis.oui = {
+    registered: found || oui.getStatus().source !== "built-in" ? found : null,
+    vendor: found ? vendorInfo.vendor : null,
+    prefix: vendorInfo.prefix,
+    bits: vendorInfo.bits,
+  };
+
+  if (analysis.multicast) {
+    analysis.warnings.push(
+      analysis.broadcast
+        ? "This is the broadcast address; it can't be assigned to an interface"
+        : "This is a multicast address (the least significant bit of the first byte is set); " +
+          "the kernel will reject it as an interface address"
+    );
+  } else if (!validation.valid) {
+    analysis.warnings.push(validation.error);
+  }
+  if (analysis.reserved && analysis.unicast) {
+    analysis.warnings.push(
+      `Reserved for ${analysis.reserved.description}; using it on a host will conflict with that protocol`
+    );
+  }
+  if (analysis.slap && analysis.unicast && analysis.slap.quadrant !== "AAI") {
+    analysis.warnings.push(
+      `Locally administered, but in the SLAP ${analysis.slap.quadrant} quadrant; ` +
+      "self-assigned addresses belong in the AAI quadrant (second hex digit 2, 6, A or E)"
+    );
+  }
+
+  analysis.assignable = validation.valid && analysis.unicast;
+  return analysis;
+}
+
+/**
+ * @param {string} hex  12 hex digits
+ * @return {string} XX:XX:XX:XX:XX:XX
+ */
+function formatMAC(hex) {
+  return chunk(hex, 2).join(":");
+}
+
+const executor = require("./lib/executor");
+const runner = require("./lib/runner");
+const sysfs = require("./lib/sysfs");
+const history = require("./lib/history");
+const oui = require("./lib/oui");
+const rng = require("./lib/random");
+const hostSecret = require("./lib/secret");
+const crypto = require("crypto");
 const quote = require("shell-quote").quote;
+const net = require("net");
 const zeroFill = require("zero-fill");
 
+// Executor used for every system command, the platform whose code path
+// is taken and the sysfs tree read on Linux. All can be swapped out with
+// configure().
+const defaultExec = executor.createSystemExecutor();
+const settings = {
+  exec: defaultExec,
+  platform: process.platform,
+  sysfsRoot: defaultExec.sysfsRoot,
+};
+
+/**
+ * Configures how system commands are executed.
+ *
+ * Passing a fixture executor (see lib/executor.js) replays recorded command
+ * output, which makes every platform code path testable offline. The platform
+ * defaults to the executor's own `platform`, and the sysfs root to its
+ * `sysfsRoot`. The DUID module (lib/duid.js) is configured with the same
+ * options.
+ *
+ * Generated MACs, DUIDs and UUIDs come from the system CSPRNG unless a
+ * `seed` is given, after which the same seed always yields the same
+ * sequence (see lib/random.js).
+ *
+ * @param {Object} options
+ * @param {Object=} options.exec       executor with execSync/execFileSync
+ * @param {string=} options.platform   darwin, linux or win32
+ * @param {?string=} options.sysfsRoot directory used instead of
+ *     /sys/class/net for Linux discovery (null to always run commands)
+ * @param {?(string|number)=} options.seed  seed for deterministic
+ *     randomness (null to go back to the CSPRNG)
+ * @return {Object} the active settings
+ */
+function configure(options = {}) {
+  if (options.exec) {
+    settings.exec = options.exec;
+    settings.platform = options.exec.platform || settings.platform;
+    settings.sysfsRoot = options.exec.sysfsRoot || null;
+  }
+  if (options.platform) {
+    settings.platform = options.platform;
+  }
+  if (options.sysfsRoot !== undefined) {
+    settings.sysfsRoot = options.sysfsRoot;
+  }
+  if (options.seed !== undefined) {
+    rng.seed(options.seed);
+  }
+  // DUID operations share the same executor
+  module.exports.duid.configure(options);
+  return settings;
+}
+
 /**
  * Custom error classes for better error handling
  */
@@ -104,19 +295,20 @@ function escapePowerShell(str) {
 }
 
 /**
- * Executes a command with timeout and better error handling
+ * Step that executes a command with timeout and better error handling
+ * (use with `yield *`)
  * @param {string} command
  * @param {Object} options
  * @param {number} timeout
  * @return {string}
  */
-function execWithTimeout(command, options = {}, timeout = 30000) {
+function * execWithTimeout(command, options = {}, timeout = 30000) {
   try {
-    return cp.execSync(command, {
+    return (yield runner.shell(command, {
       ...options,
       timeout: timeout,
       maxBuffer: 10 * 1024 * 1024, // 10MB buffer
-    }).toString();
+    })).toString();
   } catch (err) {
     if (err.signal === "SIGTERM") {
       throw new NetworkError(
@@ -129,47 +321,48 @@ function execWithTimeout(command, options = {}, timeout = 30000) {
 }
 
 /**
- * Synchronous sleep using Atomics.wait (non-blocking alternative to busy-wait)
- * Falls back to busy-wait only if SharedArrayBuffer is not available
- * @param {number} ms - Milliseconds to sleep
- */
-function sleepSync(ms) {
-  if (typeof SharedArrayBuffer !== 'undefined') {
-    const sab = new SharedArrayBuffer(4);
-    const int32 = new Int32Array(sab);
-    Atomics.wait(int32, 0, 0, ms);
-  } else {
-    // Fallback for environments without SharedArrayBuffer
-    const end = Date.now() + ms;
-    while (Date.now() < end) {
-      // Busy wait fallback
-    }
-  }
-}
-
-/**
- * Retries a function with exponential backoff
- * @param {Function} fn
+ * Retries a step generator function with exponential backoff
+ * (use with `yield *`)
+ * @param {GeneratorFunction} fn
  * @param {number} maxRetries
  * @param {number} delay
  * @return {any}
  */
-function retry(fn, maxRetries = 3, delay = 500) {
+function * retry(fn, maxRetries = 3, delay = 500) {
   let lastError;
   for (let i = 0; i < maxRetries; i++) {
     try {
-      return fn();
+      return yield * fn();
     } catch (err) {
       lastError = err;
       if (i < maxRetries - 1) {
         const waitTime = delay * Math.pow(2, i);
-        sleepSync(waitTime);
+        yield runner.sleep(waitTime);
       }
     }
   }
   throw lastError;
 }
 
+/**
+ * Drives platform steps with the configured executor, blocking until done
+ * @param {Generator} steps
+ * @return {any}
+ */
+function runSync(steps) {
+  return runner.runSync(steps, settings.exec);
+}
+
+/**
+ * Drives platform steps with the configured executor without blocking
+ * @param {Generator} steps
+ * @param {Object=} options  {signal, timeout}
+ * @return {Promise}
+ */
+function runAsync(steps, options = {}) {
+  return runner.runAsync(steps, settings.exec, options);
+}
+
 /**
  * Parses PowerShell error output for better error messages
  * @param {string} errorOutput
@@ -204,10 +397,177 @@ function parsePowerShellError(errorOutput) {
 const MAC_ADDRESS_RE =
   /([0-9A-F]{1,2})[:-]?([0-9A-F]{1,2})[:-]?([0-9A-F]{1,2})[:-]?([0-9A-F]{1,2})[:-]?([0-9A-F]{1,2})[:-]?([0-9A-F]{1,2})/i;
 
-// Regex to validate a MAC address in cisco-style
-// Example: 0123.4567.89ab
-const CISCO_MAC_ADDRESS_RE =
-  /([0-9A-F]{0,4})\.([0-9A-F]{0,4})\.([0-9A-F]{0,4})/i;
+// Values of the `kind` field of discovered interfaces
+const INTERFACE_KINDS = [
+  "ethernet",
+  "wifi",
+  "bridge",
+  "bond",
+  "vlan",
+  "veth",
+  "tun",
+  "loopback",
+  "other",
+];
+module.exports.INTERFACE_KINDS = INTERFACE_KINDS;
+
+/**
+ * Guesses the kind of an interface from its device and port names, for code
+ * paths without better information (macOS ports, ip/ifconfig parsing).
+ * @param {string} device
+ * @param {string=} port  port name or adapter description
+ * @return {string} one of INTERFACE_KINDS
+ */
+function kindFromName(device, port) {
+  const name = (device || "").toLowerCase();
+  const portName = (port || "").toLowerCase();
+
+  if (/wi-?fi|wireless|wlan|airport|802\.11/.test(portName) || /^(wlan|wlp|wlx)/.test(name)) {
+    return "wifi";
+  }
+  if (/^lo\d*$/.test(name) || portName.includes("loopback")) return "loopback";
+  if (/^(br|bridge|virbr)/.test(name) || portName.includes("bridge")) return "bridge";
+  if (/^(bond|team)/.test(name) || /multiplexor|teaming/.test(portName)) return "bond";
+  if (/^vlan|\.\d+$/.test(name)) return "vlan";
+  if (/^veth/.test(name)) return "veth";
+  if (/^(tun|tap|utun|wg)\d*/.test(name) || /\b(tap|tun|wintun|wireguard)\b/.test(portName)) {
+    return "tun";
+  }
+  return "ethernet";
+}
+
+/**
+ * Whether the interface is currently using an address other than its
+ * hardware one
+ * @param {Object} it
+ * @return {boolean}
+ */
+function isSpoofed(it) {
+  if (it.addressSource === "current") {
+    // Hardware address unknown, but the kernel knows it was changed
+    return it.addrAssignType === "set";
+  }
+  return Boolean(it.address && it.currentAddress && it.address !== it.currentAddress);
+}
+
+/**
+ * Completes an interface found by a platform code path with the common
+ * metadata fields, so every platform reports the same shape:
+ *   kind, driver, operstate, carrier, mtu, ipv4, ipv6, addrAssignType, spoofed
+ * Fields the platform can't tell are null.
+ * @param {Object} it
+ * @param {Object} networkInterfaces  as returned by os.networkInterfaces()
+ * @return {Object}
+ */
+function describeInterface(it, networkInterfaces) {
+  const entries = networkInterfaces[it.device] || [];
+  const addresses = (family) => entries
+    .filter((entry) => entry.family === `IPv${family}` || entry.family === family)
+    .map((entry) => entry.cidr || entry.address);
+
+  const described = {
+    ...it,
+    kind: it.kind || kindFromName(it.device, it.port),
+    driver: it.driver || null,
+    operstate: it.operstate || null,
+    carrier: typeof it.carrier === "boolean" ? it.carrier : null,
+    mtu: it.mtu || null,
+    ipv4: addresses(4),
+    ipv6: addresses(6),
+    addrAssignType: it.addrAssignType || null,
+  };
+  described.spoofed = isSpoofed(described);
+  return described;
+}
+
+/**
+ * Filters interfaces by kind and state.
+ * @param {Array.<Object>} interfaces  from findInterfaces()
+ * @param {Object=} filters
+ * @param {string|Array.<string>=} filters.kind  one or more INTERFACE_KINDS
+ * @param {boolean=} filters.up  only interfaces that are up (true) or
+ *     not up (false)
+ * @return {Array.<Object>}
+ */
+function filterInterfaces(interfaces, filters = {}) {
+  let kinds = filters.kind;
+  if (typeof kinds === "string") {
+    kinds = kinds.split(",").map((kind) => kind.trim().toLowerCase()).filter(Boolean);
+  }
+  if (kinds) {
+    const unknown = kinds.filter((kind) => !INTERFACE_KINDS.includes(kind));
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown interface type: ${unknown.join(", ")}`,
+        [`Valid types: ${INTERFACE_KINDS.join(", ")}`]
+      );
+    }
+  }
+
+  return interfaces.filter((it) => {
+    if (kinds && kinds.length > 0 && !kinds.includes(it.kind)) {
+      return false;
+    }
+    if (typeof filters.up === "boolean") {
+      const up = it.operstate === "up" ||
+        (it.operstate === "unknown" && it.carrier === true);
+      if (up !== filters.up) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+/**
+ * Extracts the MAC address from `ifconfig` output, preferring the
+ * `ether`/`HWaddr` field over the first MAC-like token (which may be part
+ * of an IPv6 address)
+ * @param {string} output
+ * @return {string|null}
+ */
+function parseIfconfigMAC(output) {
+  const ether = /\b(?:ether|HWaddr)\s+([0-9a-f]{1,2}(?::[0-9a-f]{1,2}){5})\b/i.exec(output);
+  if (ether) {
+    return normalize(ether[1]);
+  }
+  const address = MAC_ADDRESS_RE.exec(output);
+  return address && normalize(address[0]);
+}
+
+/**
+ * Reads the current address and link details of a device from `ifconfig`
+ * @param {string} device
+ * @return {Object} {currentAddress, operstate, carrier, mtu}
+ */
+function * ifconfigDetailsSteps(device) {
+  let output;
+  try {
+    output = (yield runner.shell(quote(["ifconfig", device]), { stdio: "pipe" }))
+      .toString();
+  } catch (err) {
+    return { currentAddress: null };
+  }
+
+  const flags = /flags=\w+<([^>]*)>/.exec(output);
+  const flagList = flags ? flags[1].split(",") : [];
+  const status = /\bstatus:\s*(\w+)/.exec(output);
+  const mtu = /\bmtu\s+(\d+)/.exec(output);
+
+  let carrier = null;
+  if (status) {
+    carrier = status[1] === "active";
+  } else if (flags) {
+    carrier = flagList.includes("RUNNING");
+  }
+
+  return {
+    currentAddress: parseIfconfigMAC(output),
+    operstate: flags ? (flagList.includes("UP") && carrier !== false ? "up" : "down") : null,
+    carrier: carrier,
+    mtu: mtu ? parseInt(mtu[1], 10) : null,
+  };
+}
 
 /**
  * Returns the list of interfaces found on this machine as reported by the
@@ -216,35 +576,55 @@ const CISCO_MAC_ADDRESS_RE =
  * @return {Array.<Object>}
  */
 function findInterfaces(targets) {
+  return runSync(findInterfacesSteps(targets));
+}
+
+/**
+ * Promise-based variant of findInterfaces() that does not block the event loop.
+ * @param {Array.<string>|null} targets
+ * @param {Object=} options  {signal: AbortSignal, timeout: per-command ms}
+ * @return {Promise.<Array.<Object>>}
+ */
+function findInterfacesAsync(targets, options) {
+  return runAsync(findInterfacesSteps(targets), options);
+}
+
+function * findInterfacesSteps(targets) {
   if (!targets) targets = [];
 
   targets = targets.map((target) => target.toLowerCase());
 
   try {
-    if (process.platform === "darwin") {
-      return findInterfacesDarwin(targets);
-    } else if (process.platform === "linux") {
-      return findInterfacesLinux(targets);
-    } else if (process.platform === "win32") {
-      return findInterfacesWin32(targets);
+    let interfaces;
+    if (settings.platform === "darwin") {
+      interfaces = yield * findInterfacesDarwin(targets);
+    } else if (settings.platform === "linux") {
+      interfaces = yield * findInterfacesLinux(targets);
+    } else if (settings.platform === "win32") {
+      interfaces = yield * findInterfacesWin32(targets);
     } else {
       throw new Error(
-        `Unsupported platform: ${process.platform}. ` +
+        `Unsupported platform: ${settings.platform}. ` +
         "Supported platforms: darwin (macOS), linux, win32 (Windows)"
       );
     }
+
+    const networkInterfaces = settings.exec.networkInterfaces
+      ? settings.exec.networkInterfaces()
+      : {};
+    return interfaces.map((it) => describeInterface(it, networkInterfaces));
   } catch (err) {
     // Provide better error messages
     if (err.message.includes("spawn") || err.message.includes("ENOENT")) {
       const suggestions = [];
-      if (process.platform === "linux") {
+      if (settings.platform === "linux") {
         suggestions.push("Install iproute2: sudo apt-get install iproute2 (Debian/Ubuntu) or sudo yum install iproute (RHEL/CentOS)");
-      } else if (process.platform === "win32") {
+      } else if (settings.platform === "win32") {
         suggestions.push("Ensure PowerShell is installed and available in PATH");
       }
       throw new PlatformError(
         `Failed to execute system command. ` +
-        `Platform: ${process.platform}. ` +
+        `Platform: ${settings.platform}. ` +
         `Error: ${err.message}`,
         suggestions
       );
@@ -253,14 +633,14 @@ function findInterfaces(targets) {
   }
 }
 
-function findInterfacesDarwin(targets) {
+function * findInterfacesDarwin(targets) {
   // Parse the output of `networksetup -listallhardwareports` which gives
   // us 3 fields per port:
   // - the port name,
   // - the device associated with this port, if any,
   // - the MAC address, if any, otherwise 'N/A'
 
-  let output = cp.execSync("networksetup -listallhardwareports").toString();
+  let output = (yield runner.shell("networksetup -listallhardwareports")).toString();
 
   const details = [];
   while (true) {
@@ -288,11 +668,15 @@ function findInterfacesDarwin(targets) {
       address = normalize(address[0]);
     }
 
+    const link = yield * ifconfigDetailsSteps(device);
     const it = {
       address: address,
-      currentAddress: getInterfaceMAC(device),
+      currentAddress: link.currentAddress,
       device: device,
       port: port,
+      operstate: link.operstate,
+      carrier: link.carrier,
+      mtu: link.mtu,
     };
 
     if (targets.length === 0) {
@@ -313,16 +697,32 @@ function findInterfacesDarwin(targets) {
   return interfaces;
 }
 
-function findInterfacesLinux(targets) {
+/**
+ * Whether Linux discovery can read sysfs instead of running commands
+ * @return {boolean}
+ */
+function useSysfs() {
+  return Boolean(settings.sysfsRoot) && sysfs.isAvailable(settings.sysfsRoot);
+}
+
+// Targets that select wireless interfaces on Linux, where there are no port
+// names like macOS's "Wi-Fi"
+const WIRELESS_TARGETS = ["wi-fi", "wifi", "wireless", "wlan"];
+
+function * findInterfacesLinux(targets) {
+  if (useSysfs()) {
+    return yield * findInterfacesSysfs(targets);
+  }
+
   // Use modern `ip link` command instead of deprecated `ifconfig`
   let output;
   try {
-    output = cp.execSync("ip -o link show", { stdio: "pipe" }).toString();
+    output = (yield runner.shell("ip -o link show", { stdio: "pipe" })).toString();
   } catch (err) {
     // Fallback to ifconfig if ip command is not available
     try {
-      output = cp.execSync("ifconfig", { stdio: "pipe" }).toString();
-      return findInterfacesLinuxLegacy(output, targets);
+      output = (yield runner.shell("ifconfig", { stdio: "pipe" })).toString();
+      return yield * findInterfacesLinuxLegacy(output, targets);
     } catch (err2) {
       return [];
     }
@@ -330,41 +730,156 @@ function findInterfacesLinux(targets) {
 
   const interfaces = [];
   const lines = output.split("\n");
+  const permaddrs = parsePermaddrs(output);
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
-    // Parse: <index>: <name>: <flags> ... link/ether <mac> ...
+    // Parse: <index>: <name>: <flags> ... link/ether <mac> ... [permaddr <mac>]
     const match = /^\d+:\s+([^:]+):\s+.*?\s+link\/ether\s+([0-9a-f:]+)/i.exec(line);
     if (!match) continue;
 
-    const device = match[1].trim();
-    let address = match[2] ? normalize(match[2]) : null;
+    // VLANs and veths are shown as <name>@<parent>
+    const device = match[1].trim().split("@")[0];
+    if (targets.length > 0 && !targets.includes(device.toLowerCase())) continue;
 
-    const it = {
-      address: address,
-      currentAddress: getInterfaceMAC(device),
+    const linkAddress = match[2] ? normalize(match[2]) : null;
+    const flags = /<([^>]*)>/.exec(line);
+    const state = /\sstate\s+(\S+)/.exec(line);
+    const mtu = /\smtu\s+(\d+)/.exec(line);
+    const permanent = yield * permanentAddressSteps(device, linkAddress, permaddrs);
+
+    interfaces.push({
+      address: permanent.address,
+      addressSource: permanent.source,
+      currentAddress: yield * getInterfaceMACSteps(device),
       device: device,
       port: device, // Linux doesn't have port names like macOS
-    };
+      operstate: state ? state[1].toLowerCase() : null,
+      carrier: flags ? flags[1].split(",").includes("LOWER_UP") : null,
+      mtu: mtu ? parseInt(mtu[1], 10) : null,
+    });
+  }
 
-    if (targets.length === 0) {
-      interfaces.push(it);
-      continue;
-    }
+  return interfaces;
+}
 
-    for (let j = 0; j < targets.length; j++) {
-      const target = targets[j];
-      if (target === device.toLowerCase()) {
-        interfaces.push(it);
-        break;
-      }
+function * findInterfacesSysfs(targets) {
+  const interfaces = [];
+  // Listed on first need, for every interface at once
+  let permaddrs = null;
+
+  for (const info of sysfs.readInterfaces(settings.sysfsRoot)) {
+    // Only Ethernet-like links have a MAC address to spoof (this also skips
+    // loopback, like the `link/ether` match of the `ip link` parser)
+    if (info.type !== sysfs.ARPHRD_ETHER || !info.address) continue;
+
+    const matches = targets.length === 0 || targets.some((target) =>
+      target === info.device.toLowerCase() ||
+      (info.kind === "wifi" && WIRELESS_TARGETS.includes(target))
+    );
+    if (!matches) continue;
+
+    const address = normalize(info.address);
+    let permanent;
+    // The kernel reports "permanent" until the address is changed
+    if (info.addrAssignType === "permanent") {
+      permanent = { address: address, source: "sysfs" };
+    } else {
+      if (!permaddrs) permaddrs = yield * listPermaddrsSteps();
+      permanent = yield * permanentAddressSteps(info.device, address, permaddrs);
     }
+
+    interfaces.push({
+      address: permanent.address,
+      addressSource: permanent.source,
+      currentAddress: address,
+      device: info.device,
+      port: info.device, // Linux doesn't have port names like macOS
+      kind: info.kind,
+      driver: info.driver,
+      operstate: info.operstate,
+      carrier: info.carrier,
+      mtu: info.mtu,
+      addrAssignType: info.addrAssignType,
+    });
   }
 
   return interfaces;
 }
 
-function findInterfacesLinuxLegacy(output, targets) {
+/**
+ * Reads the `permaddr` field of every interface in `ip -o link show` output.
+ * ip shows it (the kernel's permanent address) once the address has been
+ * changed.
+ * @param {string} output
+ * @return {Object} device => permanent address
+ */
+function parsePermaddrs(output) {
+  const permaddrs = {};
+  output.split("\n").forEach((line) => {
+    const match = /^\d+:\s+([^:@]+)[^:]*:.*\spermaddr\s+([0-9a-f:]{17})/i.exec(line);
+    if (match) {
+      permaddrs[match[1].trim()] = normalize(match[2]);
+    }
+  });
+  return permaddrs;
+}
+
+/**
+ * Lists the `permaddr` of every interface with a single `ip link` command
+ * @return {Object} device => permanent address, empty without iproute2
+ */
+function * listPermaddrsSteps() {
+  try {
+    const output = (yield runner.execFile("ip", ["-o", "link", "show"], { stdio: "pipe" })).toString();
+    return parsePermaddrs(output);
+  } catch (err) {
+    // iproute2 not installed
+    return {};
+  }
+}
+
+/**
+ * Looks up the permanent (burned-in) MAC address of a Linux interface, the
+ * equivalent of ETHTOOL_GPERMADDR. Tries, in order:
+ *   permaddr: the `permaddr` field of `ip link`, shown once the address
+ *             has been changed
+ *   ethtool:  `ethtool -P <device>`, the only command run per interface
+ *   history:  the address recorded before the first change in the history
+ *   current:  the current address, when nothing better is known
+ * The caller checks sysfs `addr_assign_type` first, which needs no command,
+ * and lists the `permaddr` fields of all interfaces once.
+ *
+ * @param {string} device
+ * @param {string|null} current  current address, used as the last resort
+ * @param {Object} permaddrs  from parsePermaddrs()
+ * @return {Object} {address, source}
+ */
+function * permanentAddressSteps(device, current, permaddrs) {
+  if (permaddrs[device]) {
+    return { address: permaddrs[device], source: "permaddr" };
+  }
+
+  try {
+    const output = (yield runner.execFile("ethtool", ["-P", device], { stdio: "pipe" })).toString();
+    const match = /Permanent address:\s*([0-9a-f:]{17})/i.exec(output);
+    // Virtual devices report an all-zero permanent address
+    if (match && match[1] !== "00:00:00:00:00:00") {
+      return { address: normalize(match[1]), source: "ethtool" };
+    }
+  } catch (err) {
+    // ethtool not installed, or not supported by the driver
+  }
+
+  const recorded = history.getFirstRecordedMAC(device);
+  if (recorded && normalize(recorded)) {
+    return { address: normalize(recorded), source: "history" };
+  }
+
+  return { address: current, source: "current" };
+}
+
+function * findInterfacesLinuxLegacy(output, targets) {
   // Legacy ifconfig parsing (fallback)
   const details = [];
   while (true) {
@@ -387,46 +902,70 @@ function findInterfacesLinuxLegacy(output, targets) {
       port = s[1].trim();
     }
 
+    const matches = targets.length === 0 || targets.some((target) =>
+      target === (port || device).toLowerCase() || target === device.toLowerCase()
+    );
+    if (!matches) continue;
+
     let address = details[i + 1].trim();
     if (address) {
       address = normalize(address);
     }
 
-    const it = {
-      address: address,
-      currentAddress: getInterfaceMAC(device),
+    // Only used when `ip` failed, so there is no permaddr to list
+    const permanent = yield * permanentAddressSteps(device, address, {});
+
+    interfaces.push({
+      address: permanent.address,
+      addressSource: permanent.source,
+      currentAddress: yield * getInterfaceMACSteps(device),
       device: device,
       port: port || device,
-    };
+    });
+  }
 
-    if (targets.length === 0) {
-      interfaces.push(it);
-      continue;
-    }
+  return interfaces;
+}
 
-    for (let j = 0; j < targets.length; j++) {
-      const target = targets[j];
-      if (target === (port || device).toLowerCase() || target === device.toLowerCase()) {
-        interfaces.push(it);
-        break;
-      }
-    }
+// NDIS_PHYSICAL_MEDIUM values reported by Get-NetAdapter
+const NDIS_PHYSICAL_MEDIUM_WIRELESS_LAN = 1;
+const NDIS_PHYSICAL_MEDIUM_NATIVE_802_11 = 9;
+
+/**
+ * Works out the kind of a Get-NetAdapter adapter
+ * @param {Object} adapter
+ * @return {string} one of INTERFACE_KINDS
+ */
+function windowsAdapterKind(adapter) {
+  const medium = adapter.NdisPhysicalMedium;
+  if (medium === NDIS_PHYSICAL_MEDIUM_NATIVE_802_11 || medium === NDIS_PHYSICAL_MEDIUM_WIRELESS_LAN) {
+    return "wifi";
   }
+  return kindFromName(adapter.Name, adapter.InterfaceDescription);
+}
 
-  return interfaces;
+/**
+ * MediaConnectionState is serialized as a number by Windows PowerShell and
+ * as a name by PowerShell 7
+ * @param {number|string=} state
+ * @return {boolean|null}
+ */
+function mediaConnected(state) {
+  if (state === 1 || state === "Connected") return true;
+  if (state === 2 || state === "Disconnected") return false;
+  return null;
 }
 
-function findInterfacesWin32(targets) {
+function * findInterfacesWin32(targets) {
   // Use PowerShell Get-NetAdapter for better reliability
-  let interfaces = [];
+  const interfaces = [];
   
   try {
-    const psCommand = `Get-NetAdapter | Select-Object Name, InterfaceDescription, MacAddress, Status | ConvertTo-Json -Compress`;
-    const output = cp
-      .execSync(
-        `powershell -Command "${psCommand}"`,
-        { stdio: "pipe", shell: true }
-      )
+    const psCommand = `Get-NetAdapter | Select-Object Name, InterfaceDescription, MacAddress, Status, PermanentAddress, MtuSize, MediaConnectionState, DriverFileName, NdisPhysicalMedium | ConvertTo-Json -Compress`;
+    const output = (yield runner.shell(
+      `powershell -Command "${psCommand}"`,
+      { stdio: "pipe", shell: true }
+    ))
       .toString()
       .trim();
 
@@ -437,13 +976,20 @@ function findInterfacesWin32(targets) {
     for (const adapter of adapterArray) {
       if (!adapter || !adapter.Name) continue;
 
+      const currentAddress = adapter.MacAddress ? normalize(adapter.MacAddress) : null;
+      const permanentAddress = adapter.PermanentAddress ? normalize(adapter.PermanentAddress) : null;
       const it = {
-        address: adapter.MacAddress ? normalize(adapter.MacAddress) : null,
-        currentAddress: adapter.MacAddress ? normalize(adapter.MacAddress) : null,
+        address: permanentAddress || currentAddress,
+        currentAddress: currentAddress,
         device: adapter.Name,
         port: adapter.InterfaceDescription || adapter.Name,
         description: adapter.InterfaceDescription,
         status: adapter.Status,
+        kind: windowsAdapterKind(adapter),
+        driver: adapter.DriverFileName || null,
+        operstate: adapter.Status ? (String(adapter.Status).toLowerCase() === "up" ? "up" : "down") : null,
+        carrier: mediaConnected(adapter.MediaConnectionState),
+        mtu: adapter.MtuSize || null,
       };
 
       if (targets.length === 0) {
@@ -465,7 +1011,7 @@ function findInterfacesWin32(targets) {
     }
   } catch (err) {
     // Fallback to ipconfig method if PowerShell fails
-    const output = cp.execSync("ipconfig /all", { stdio: "pipe" }).toString();
+    const output = (yield runner.shell("ipconfig /all", { stdio: "pipe" })).toString();
     const lines = output.split("\n");
     let it = false;
     
@@ -556,34 +1102,63 @@ function findInterface(target) {
   return interfaces && interfaces[0];
 }
 
+/**
+ * Promise-based variant of findInterface().
+ * @param  {string} target
+ * @param  {Object=} options  {signal: AbortSignal, timeout: per-command ms}
+ * @return {Promise.<Object>}
+ */
+async function findInterfaceAsync(target, options) {
+  const interfaces = await findInterfacesAsync([target], options);
+  return interfaces && interfaces[0];
+}
+
 /**
  * Returns currently-set MAC address of given interface. This is distinct from the
  * interface's hardware MAC address.
  * @return {string}
  */
 function getInterfaceMAC(device) {
-  if (process.platform === "darwin" || process.platform === "linux") {
+  return runSync(getInterfaceMACSteps(device));
+}
+
+/**
+ * Promise-based variant of getInterfaceMAC().
+ * @param {string} device
+ * @param {Object=} options  {signal: AbortSignal, timeout: per-command ms}
+ * @return {Promise.<string>}
+ */
+function getInterfaceMACAsync(device, options) {
+  return runAsync(getInterfaceMACSteps(device), options);
+}
+
+function * getInterfaceMACSteps(device) {
+  if (settings.platform === "linux" && useSysfs()) {
+    const address = sysfs.readAddress(device, settings.sysfsRoot);
+    if (address) {
+      return normalize(address);
+    }
+  }
+
+  if (settings.platform === "darwin" || settings.platform === "linux") {
     let output;
     try {
-      output = cp
-        .execSync(quote(["ifconfig", device]), { stdio: "pipe" })
+      output = (yield runner.shell(quote(["ifconfig", device]), { stdio: "pipe" }))
         .toString();
     } catch (err) {
       return null;
     }
 
-    const address = MAC_ADDRESS_RE.exec(output);
-    return address && normalize(address[0]);
-  } else if (process.platform === "win32") {
+    return parseIfconfigMAC(output);
+  } else if (settings.platform === "win32") {
     // Use PowerShell to get current MAC address
     try {
       const escapedDevice = escapePowerShell(device);
       const psCommand = `Get-NetAdapter -Name '${escapedDevice}' | Select-Object -ExpandProperty MacAddress`;
-      const output = cp
-        .execSync(
-          `powershell -Command "${psCommand}"`,
-          { stdio: "pipe", shell: true }
-        )
+      const output = (yield runner.shell(
+        `powershell -Command "${psCommand}"`,
+        { stdio: "pipe", shell: true }
+      ))
         .toString()
         .trim();
       
@@ -593,8 +1168,7 @@ function getInterfaceMAC(device) {
     } catch (err) {
       // Fallback to ipconfig method
       try {
-        const output = cp
-          .execSync(`ipconfig /all`, { stdio: "pipe" })
+        const output = (yield runner.shell(`ipconfig /all`, { stdio: "pipe" }))
           .toString();
         const regex = new RegExp(
           `adapter ${device.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}:[\\s\\S]*?Physical Address[\\s\\S]*?:\\s*([0-9A-F-]+)`,
@@ -619,11 +1193,26 @@ function getInterfaceMAC(device) {
  *   OS X, Linux: this is the interface name in ifconfig
  *   Windows: this is the network adapter name in ipconfig
  *
+ * The change runs without blocking the event loop. `options` may contain:
+ *   reconnect, force: (Linux) reconnect the NetworkManager device afterwards
+ *   signal: AbortSignal that cancels the remaining commands
+ *   timeout: per-command timeout in milliseconds
+ *   dryRun: validate and return the plan (see planInterfaceMAC) without
+ *           running anything
+ *   verifyConnectivity: true or {gateway, timeout, interval}; after the
+ *           change, wait for connectivity (see verifyConnectivity) and
+ *           restore the previous MAC if the check fails
+ *   previousMac: MAC to restore on rollback (read from the device if omitted)
+ *
  * @param {string} device
  * @param {string} mac
  * @param {string=} port
+ * @param {Object=} options
+ * @return {Promise<Object|undefined>} the plan when `options.dryRun` is set
  */
-async function setInterfaceMAC(device, mac, port, nmOptions = null) {
+async function setInterfaceMAC(device, mac, port, options = null) {
+  options = options || {};
+
   // Validate MAC address format
   if (!mac || typeof mac !== "string") {
     throw new ValidationError("MAC address must be a non-empty string");
@@ -650,6 +1239,18 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
     );
   }
 
+  // The kernel (and Windows) refuse group addresses as a station address
+  if (parseInt(normalizedMac.slice(0, 2), 16) & 0x01) {
+    throw new ValidationError(
+      `"${normalizedMac}" is a multicast address (the least significant bit of the first byte is set) ` +
+      "and will be rejected by the kernel",
+      [
+        "Clear the multicast bit: the second hex digit must be even (e.g. 02:... instead of 03:...)",
+        "Check an address using: spoofy validate " + normalizedMac
+      ]
+    );
+  }
+
   // Validate device name
   if (!device || typeof device !== "string" || device.trim().length === 0) {
     throw new ValidationError(
@@ -661,9 +1262,338 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
   // Use normalized MAC address
   mac = normalizedMac;
 
+  if (options.dryRun) {
+    return planInterfaceMAC(device, mac, port, options);
+  }
+
+  let connectivity = null;
+  let previousMac = null;
+  if (options.verifyConnectivity) {
+    connectivity = connectivityOptions(options.verifyConnectivity, options.signal);
+    previousMac = options.previousMac
+      ? normalize(options.previousMac)
+      : await runAsync(getInterfaceMACSteps(device), options);
+    if (!previousMac) {
+      throw new ValidationError(
+        `Could not read the current MAC address of ${device} to roll back to`,
+        ["Pass the address to restore explicitly (previousMac)"]
+      );
+    }
+  }
+
+  await applyInterfaceMAC(device, mac, port, options);
+
+  if (!connectivity) {
+    return;
+  }
+
+  const check = await verifyConnectivity(device, connectivity);
+  if (check.ok) {
+    return;
+  }
+
+  // Dead-man switch: the link did not come back, restore the previous MAC
+  try {
+    await applyInterfaceMAC(device, previousMac, port, options);
+  } catch (err) {
+    if (err.name === "AbortError") {
+      throw err;
+    }
+    throw new NetworkError(
+      `Connectivity check failed after changing MAC on ${device} (${check.reason}) ` +
+      `and restoring ${previousMac} also failed: ${err.message}`,
+      [
+        "Restore the address manually: spoofy set " + previousMac + " " + device,
+        "Use console access if the machine is no longer reachable"
+      ]
+    );
+  }
+
+  const err = new NetworkError(
+    `Connectivity check failed after changing MAC on ${device} (${check.reason}). ` +
+    `Restored previous MAC address ${previousMac}`,
+    [
+      "The network may filter unknown MAC addresses (e.g. port security or MAC allow-lists)",
+      "Try a MAC address from the same vendor, or increase the check timeout"
+    ]
+  );
+  err.rolledBack = true;
+  err.previousMac = previousMac;
+  err.connectivity = check;
+  throw err;
+}
+
+/**
+ * Runs the MAC change, followed by the NetworkManager reconnect when
+ * requested
+ * @param {string} device
+ * @param {string} mac
+ * @param {string=} port
+ * @param {Object} options
+ */
+async function applyInterfaceMAC(device, mac, port, options) {
+  await runAsync(setInterfaceMACSteps(device, mac, port), options);
+
+  // Handle NetworkManager reconnection if requested
+  if (settings.platform === "linux" && options.reconnect) {
+    const nm = require("./lib/networkmanager");
+    try {
+      // Small delay to ensure MAC change is fully applied
+      await runner.delay(500, options.signal);
+      
+      if (options.force) {
+        // Force reconnect by toggling networking (use with caution)
+        await nm.toggleNMNetworking(false, 20000);
+        await runner.delay(1000, options.signal);
+        await nm.toggleNMNetworking(true, 20000);
+      } else {
+        // Normal reconnect
+        await nm.reconnectNMDevice(device, 20000);
+      }
+    } catch (err) {
+      if (err.name === "AbortError") {
+        throw err;
+      }
+      // Log but don't fail - MAC change succeeded
+      console.warn(`Warning: NetworkManager reconnection failed: ${err.message}`);
+      console.warn("  The MAC address change was successful, but NetworkManager may need manual reconnection.");
+    }
+  }
+}
+
+/**
+ * Normalizes the `verifyConnectivity` option of setInterfaceMAC()
+ * @param {boolean|Object} value
+ * @param {AbortSignal=} signal
+ * @return {Object}
+ */
+function connectivityOptions(value, signal) {
+  const options = value === true ? {} : { ...value };
+  if (options.gateway && !net.isIP(options.gateway)) {
+    throw new ValidationError(
+      `"${options.gateway}" is not a valid gateway IP address`,
+      ["Example: --gateway=192.168.1.1"]
+    );
+  }
+  if (signal && !options.signal) {
+    options.signal = signal;
+  }
+  return options;
+}
+
+/**
+ * Waits until `device` has connectivity again: link carrier, a usable IPv4
+ * or IPv6 address (not loopback or link-local) and, when `gateway` is given,
+ * a reply to a ping of that address. Checks are repeated every `interval`
+ * until they pass or `timeout` expires.
+ *
+ * @param {string} device
+ * @param {Object=} options
+ * @param {string=} options.gateway   IP address that must answer a ping
+ * @param {number=} options.timeout   deadline in milliseconds (default 15000)
+ * @param {number=} options.interval  delay between checks (default 1000)
+ * @param {AbortSignal=} options.signal
+ * @return {Promise<Object>} {ok, carrier, address, gateway, reason, elapsed}
+ */
+async function verifyConnectivity(device, options = {}) {
+  options = connectivityOptions(options);
+  const timeout = options.timeout || 15000;
+  const interval = options.interval || 1000;
+  const start = Date.now();
+  let status;
+
+  for (;;) {
+    const remaining = timeout - (Date.now() - start);
+    status = await runAsync(connectivitySteps(device, options.gateway), {
+      signal: options.signal,
+      timeout: Math.max(remaining, 1000),
+    });
+
+    if (status.carrier && status.address && status.gateway !== false) {
+      return { ok: true, ...status, reason: null, elapsed: Date.now() - start };
+    }
+    if (Date.now() - start + interval > timeout) {
+      break;
+    }
+    await runner.delay(interval, options.signal);
+  }
+
+  let reason;
+  if (!status.carrier) {
+    reason = "no link carrier";
+  } else if (!status.address) {
+    reason = "no IP address assigned";
+  } else {
+    reason = `gateway ${options.gateway} unreachable`;
+  }
+  reason += ` after ${timeout}ms`;
+
+  return { ok: false, ...status, reason, elapsed: Date.now() - start };
+}
+
+/**
+ * Checks whether an address reported by the system proves connectivity
+ * (loopback, link-local and tentative IPv6 addresses don't)
+ * @param {string} line  a line of `ip addr`/`ifconfig` style output
+ * @return {boolean}
+ */
+function isUsableAddressLine(line) {
+  const match = /\binet6?\s+(?:addr:)?([0-9a-f.:]+)/i.exec(line) ||
+    /^\s*([0-9a-f.:]+)\s*$/i.exec(line);
+  if (!match || !net.isIP(match[1]) || /tentative/i.test(line)) {
+    return false;
+  }
+  const address = match[1].toLowerCase();
+  return !(
+    address.startsWith("127.") ||
+    address.startsWith("169.254.") ||
+    address === "::1" ||
+    address.startsWith("fe80:")
+  );
+}
+
+function * connectivitySteps(device, gateway) {
+  const status = { carrier: false, address: false, gateway: null };
+  let linkOutput = "";
+  let addressOutput = "";
+
+  if (settings.platform === "linux") {
+    try {
+      linkOutput = (yield runner.execFile("ip", ["-o", "link", "show", "dev", device])).toString();
+      addressOutput = (yield runner.execFile("ip", ["-o", "addr", "show", "dev", device])).toString();
+    } catch (err) {
+      // Device missing or iproute2 unavailable: no connectivity
+    }
+    status.carrier = /[<,]LOWER_UP[,>]/.test(linkOutput);
+  } else if (settings.platform === "darwin") {
+    try {
+      linkOutput = (yield runner.execFile("ifconfig", [device])).toString();
+    } catch (err) {
+      // Device missing: no connectivity
+    }
+    addressOutput = linkOutput;
+    status.carrier = /status:\s*active/.test(linkOutput);
+  } else if (settings.platform === "win32") {
+    const escapedDevice = escapePowerShell(device);
+    try {
+      linkOutput = (yield runner.shell(
+        `powershell -Command "(Get-NetAdapter -Name '${escapedDevice}').Status"`,
+        { stdio: "pipe", shell: true }
+      )).toString();
+      addressOutput = (yield runner.shell(
+        `powershell -Command "Get-NetIPAddress -InterfaceAlias '${escapedDevice}' | Select-Object -ExpandProperty IPAddress"`,
+        { stdio: "pipe", shell: true }
+      )).toString();
+    } catch (err) {
+      // Adapter missing: no connectivity
+    }
+    status.carrier = linkOutput.trim().toLowerCase() === "up";
+  }
+
+  status.address = addressOutput.split(/\r?\n/).some(isUsableAddressLine);
+
+  if (gateway && status.carrier && status.address) {
+    let args;
+    if (settings.platform === "win32") {
+      args = ["-n", "1", "-w", "1000", gateway];
+    } else if (settings.platform === "darwin") {
+      args = ["-c", "1", "-t", "1", gateway];
+    } else {
+      args = ["-c", "1", "-W", "1", "-I", device, gateway];
+    }
+    try {
+      const output = (yield runner.execFile("ping", args)).toString();
+      status.gateway = /ttl=/i.test(output);
+    } catch (err) {
+      status.gateway = false;
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Builds the ordered list of commands setInterfaceMAC() would run, without
+ * touching the system. Commands that read state (e.g. the verification
+ * `ifconfig`) are included, since they run too.
+ *
+ * On Windows the registry method is only used when Set-NetAdapter fails, so
+ * its commands are listed separately in `fallback`.
+ *
+ * @param {string} device
+ * @param {string} mac  normalized MAC address
+ * @param {string=} port
+ * @param {Object=} options  {reconnect, force}
+ * @return {Object} {dryRun, platform, device, port, mac, commands, fallback}
+ */
+function planInterfaceMAC(device, mac, port, options = {}) {
+  // Reading the live sysfs tree would verify the planned change against the
+  // interface's real, unchanged address, so plan the command-based lookup
+  const sysfsRoot = settings.sysfsRoot;
+  settings.sysfsRoot = null;
+  try {
+    return planInterfaceMACCommands(device, mac, port, options);
+  } finally {
+    settings.sysfsRoot = sysfsRoot;
+  }
+}
+
+/**
+ * planInterfaceMAC() with sysfs lookups disabled
+ * @param {string} device
+ * @param {string} mac
+ * @param {string=} port
+ * @param {Object=} options
+ * @return {Object}
+ */
+function planInterfaceMACCommands(device, mac, port, options) {
+  const commands = runner.plan(setInterfaceMACSteps(device, mac, port)).commands;
+  let fallback = [];
+
+  if (settings.platform === "win32") {
+    // Replay with Set-NetAdapter failing, using placeholders for the values
+    // the registry method looks up along the way
+    fallback = runner.plan(setInterfaceMACSteps(device, mac, port), (command) => {
+      if (command.includes("Set-NetAdapter -MacAddress")) {
+        throw new Error("Set-NetAdapter failed");
+      }
+      if (command.includes("NetCfgInstanceId")) {
+        return "<adapter registry path>";
+      }
+      if (command.includes("InterfaceGuid")) {
+        return "<InterfaceGuid>";
+      }
+      return "";
+    }).commands.slice(1);
+  }
+
+  if (settings.platform === "linux" && options.reconnect) {
+    // Mirrors the nmcli calls made by lib/networkmanager.js
+    if (options.force) {
+      commands.push("nmcli networking off", "nmcli networking on");
+    } else {
+      commands.push(
+        quote(["nmcli", "device", "disconnect", device]),
+        quote(["nmcli", "device", "connect", device])
+      );
+    }
+  }
+
+  return {
+    dryRun: true,
+    platform: settings.platform,
+    device,
+    port: port || null,
+    mac,
+    commands,
+    fallback,
+  };
+}
+
+function * setInterfaceMACSteps(device, mac, port) {
   const isWirelessPort = port && port.toLowerCase() === "wi-fi";
 
-  if (process.platform === "darwin") {
+  if (settings.platform === "darwin") {
     let macChangeError = null;
 
     if (isWirelessPort) {
@@ -671,23 +1601,23 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
       // in the brief window after WiFi is powered on but before it connects to a network.
       // We must NOT use ifconfig down as it causes "Network is down" errors.
       try {
-        cp.execSync(quote(["networksetup", "-setairportpower", device, "off"]));
-        cp.execSync(quote(["networksetup", "-setairportpower", device, "on"]));
+        yield runner.shell(quote(["networksetup", "-setairportpower", device, "off"]));
+        yield runner.shell(quote(["networksetup", "-setairportpower", device, "on"]));
         // Change MAC immediately in the window before auto-join
-        cp.execFileSync("ifconfig", [device, "ether", mac]);
+        yield runner.execFile("ifconfig", [device, "ether", mac]);
       } catch (err) {
         macChangeError = err;
       }
 
       try {
-        cp.execSync(quote(["networksetup", "-detectnewhardware"]));
+        yield runner.shell(quote(["networksetup", "-detectnewhardware"]));
       } catch (err) {
         // Ignore
       }
     } else {
       // Non-WiFi interfaces: standard down/change/up sequence
       try {
-        cp.execFileSync("ifconfig", [device, "down"]);
+        yield runner.execFile("ifconfig", [device, "down"]);
       } catch (err) {
         macChangeError = new Error(
           "Unable to bring interface down: " + err.message
@@ -696,14 +1626,14 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
 
       if (!macChangeError) {
         try {
-          cp.execFileSync("ifconfig", [device, "ether", mac]);
+          yield runner.execFile("ifconfig", [device, "ether", mac]);
         } catch (err) {
           macChangeError = err;
         }
       }
 
       try {
-        cp.execFileSync("ifconfig", [device, "up"]);
+        yield runner.execFile("ifconfig", [device, "up"]);
       } catch (err) {
         if (!macChangeError) {
           macChangeError = new Error(
@@ -715,7 +1645,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
 
     if (macChangeError) {
       // Verify if the change actually took effect
-      const newMac = getInterfaceMAC(device);
+      const newMac = yield * getInterfaceMACSteps(device);
       if (newMac && newMac.toLowerCase() === mac.toLowerCase()) {
         // Change succeeded despite error
         return;
@@ -733,7 +1663,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
     }
     
     // Verify the change took effect
-    const newMac = getInterfaceMAC(device);
+    const newMac = yield * getInterfaceMACSteps(device);
     if (newMac && newMac.toLowerCase() !== mac.toLowerCase()) {
       throw new NetworkError(
         `MAC address change verification failed. Expected ${mac}, but got ${newMac}`,
@@ -744,13 +1674,13 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
         ]
       );
     }
-  } else if (process.platform === "linux") {
+  } else if (settings.platform === "linux") {
     // Modern Linux support using ip link commands
     let macChangeError = null;
     
     try {
       // Bring interface down
-      cp.execFileSync("ip", ["link", "set", device, "down"]);
+      yield runner.execFile("ip", ["link", "set", device, "down"]);
     } catch (err) {
       macChangeError = new Error(
         "Unable to bring interface down: " + err.message
@@ -760,7 +1690,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
     if (!macChangeError) {
       try {
         // Set MAC address using ip link
-        cp.execFileSync("ip", ["link", "set", device, "address", mac]);
+        yield runner.execFile("ip", ["link", "set", device, "address", mac]);
       } catch (err) {
         macChangeError = err;
       }
@@ -768,7 +1698,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
 
     try {
       // Bring interface back up
-      cp.execFileSync("ip", ["link", "set", device, "up"]);
+      yield runner.execFile("ip", ["link", "set", device, "up"]);
     } catch (err) {
       if (!macChangeError) {
         macChangeError = new Error(
@@ -779,7 +1709,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
 
     if (macChangeError) {
       // Verify if the change actually took effect
-      const newMac = getInterfaceMAC(device);
+      const newMac = yield * getInterfaceMACSteps(device);
       if (newMac && newMac.toLowerCase() === mac.toLowerCase()) {
         // Change succeeded despite error
         return;
@@ -796,7 +1726,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
     }
     
     // Verify the change took effect
-    const newMac = getInterfaceMAC(device);
+    const newMac = yield * getInterfaceMACSteps(device);
     if (newMac && newMac.toLowerCase() !== mac.toLowerCase()) {
       throw new NetworkError(
         `MAC address change verification failed. Expected ${mac}, but got ${newMac}`,
@@ -807,30 +1737,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
         ]
       );
     }
-    
-    // Handle NetworkManager reconnection if requested
-    if (nmOptions && nmOptions.reconnect) {
-      const nm = require("./lib/networkmanager");
-      try {
-        // Small delay to ensure MAC change is fully applied
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        if (nmOptions.force) {
-          // Force reconnect by toggling networking (use with caution)
-          await nm.toggleNMNetworking(false, 20000);
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          await nm.toggleNMNetworking(true, 20000);
-        } else {
-          // Normal reconnect
-          await nm.reconnectNMDevice(device, 20000);
-        }
-      } catch (err) {
-        // Log but don't fail - MAC change succeeded
-        console.warn(`Warning: NetworkManager reconnection failed: ${err.message}`);
-        console.warn("  The MAC address change was successful, but NetworkManager may need manual reconnection.");
-      }
-    }
-  } else if (process.platform === "win32") {
+  } else if (settings.platform === "win32") {
     // Windows support using PowerShell and registry
     let macChangeError = null;
     
@@ -843,7 +1750,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
       const escapedMac = escapePowerShell(mac);
       const psCommand = `$ErrorActionPreference = 'Stop'; try { $adapter = Get-NetAdapter -Name '${escapedDevice}' -ErrorAction Stop; if ($adapter) { $adapter | Set-NetAdapter -MacAddress '${escapedMac}' -ErrorAction Stop; Write-Host 'Success' } else { throw 'Adapter not found: ${escapedDevice}' } } catch { Write-Error $_.Exception.Message; exit 1 }`;
       try {
-        execWithTimeout(
+        yield * execWithTimeout(
           `powershell -Command "${psCommand}"`,
           { shell: true },
           30000
@@ -855,11 +1762,11 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
         const getGuidCommand = `$ErrorActionPreference = 'Stop'; try { Get-NetAdapter -Name '${escapedDevice}' -ErrorAction Stop | Select-Object -ExpandProperty InterfaceGuid } catch { Write-Error $_.Exception.Message; exit 1 }`;
         let guidOutput;
         try {
-          guidOutput = execWithTimeout(
+          guidOutput = (yield * execWithTimeout(
             `powershell -Command "${getGuidCommand}"`,
             { shell: true },
             30000
-          ).toString().trim();
+          )).toString().trim();
         } catch (err) {
           const errorMsg = parsePowerShellError(err.stderr ? err.stderr.toString() : err.message);
           throw new NetworkError(
@@ -885,7 +1792,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
         // Disable adapter
         const disableCommand = `$ErrorActionPreference = 'Stop'; try { Disable-NetAdapter -Name '${escapedDevice}' -Confirm:$false -ErrorAction Stop } catch { Write-Error $_.Exception.Message; exit 1 }`;
         try {
-          execWithTimeout(
+          yield * execWithTimeout(
             `powershell -Command "${disableCommand}"`,
             { shell: true },
             30000
@@ -907,15 +1814,15 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
         const findGuidCommand = `$ErrorActionPreference = 'Stop'; try { $path = '${registryPath}'; Get-ChildItem -Path $path -ErrorAction Stop | Where-Object { (Get-ItemProperty $_.PSPath -ErrorAction SilentlyContinue).NetCfgInstanceId -eq '${escapedGuid}' } | Select-Object -ExpandProperty PSPath } catch { Write-Error $_.Exception.Message; exit 1 }`;
         let adapterPath;
         try {
-          adapterPath = execWithTimeout(
+          adapterPath = (yield * execWithTimeout(
             `powershell -Command "${findGuidCommand}"`,
             { shell: true },
             30000
-          ).toString().trim();
+          )).toString().trim();
         } catch (err) {
           // Re-enable adapter before throwing error
           try {
-            execWithTimeout(
+            yield * execWithTimeout(
               `powershell -Command "Enable-NetAdapter -Name '${escapedDevice}' -Confirm:$false"`,
               { shell: true },
               10000
@@ -936,7 +1843,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
         if (!adapterPath || adapterPath.toLowerCase().includes("error")) {
           // Re-enable adapter before throwing error
           try {
-            execWithTimeout(
+            yield * execWithTimeout(
               `powershell -Command "Enable-NetAdapter -Name '${escapedDevice}' -Confirm:$false"`,
               { shell: true },
               10000
@@ -957,7 +1864,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
         const escapedPath = escapePowerShell(adapterPath);
         const setMacCommand = `$ErrorActionPreference = 'Stop'; try { Set-ItemProperty -Path '${escapedPath}' -Name 'NetworkAddress' -Value '${macNoSeparators}' -ErrorAction Stop } catch { Write-Error $_.Exception.Message; exit 1 }`;
         try {
-          execWithTimeout(
+          yield * execWithTimeout(
             `powershell -Command "${setMacCommand}"`,
             { shell: true },
             30000
@@ -965,7 +1872,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
         } catch (err) {
           // Re-enable adapter before throwing error
           try {
-            execWithTimeout(
+            yield * execWithTimeout(
               `powershell -Command "Enable-NetAdapter -Name '${escapedDevice}' -Confirm:$false"`,
               { shell: true },
               10000
@@ -986,7 +1893,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
         // Enable adapter
         const enableCommand = `$ErrorActionPreference = 'Stop'; try { Enable-NetAdapter -Name '${escapedDevice}' -Confirm:$false -ErrorAction Stop } catch { Write-Error $_.Exception.Message; exit 1 }`;
         try {
-          execWithTimeout(
+          yield * execWithTimeout(
             `powershell -Command "${enableCommand}"`,
             { shell: true },
             30000
@@ -1009,7 +1916,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
 
     if (macChangeError) {
       // Verify if the change actually took effect
-      const newMac = getInterfaceMAC(device);
+      const newMac = yield * getInterfaceMACSteps(device);
       if (newMac && newMac.toLowerCase() === mac.toLowerCase()) {
         // Change succeeded despite error
         return;
@@ -1035,7 +1942,7 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
     // Verify the change took effect (with retry for Windows)
     let newMac;
     try {
-      newMac = retry(() => getInterfaceMAC(device), 3, 1000);
+      newMac = yield * retry(() => getInterfaceMACSteps(device), 3, 1000);
     } catch (err) {
       // If we can't verify, assume it worked (better than failing)
       return;
@@ -1057,10 +1964,28 @@ async function setInterfaceMAC(device, mac, port, nmOptions = null) {
 
 /**
  * Generates and returns a random MAC address.
- * @param  {boolean} localAdmin  locally administered address
+ *
+ * By default the prefix is a VM vendor's OUI. `options.vendor` picks a
+ * real OUI of that vendor from lib/oui.js instead, and `options.prefix`
+ * keeps the first three bytes of the given address (e.g. the hardware MAC,
+ * to stay with the same vendor) so only the NIC-specific half is random.
+ *
+ * @param  {boolean|Object=} options  `true` for a locally administered
+ *     address, or an object:
+ * @param  {boolean=} options.local  locally administered address
+ * @param  {string=} options.vendor  vendor name, e.g. "Apple"
+ * @param  {string=} options.prefix  MAC address or OUI whose prefix to keep
  * @return {string}
  */
-function randomize(localAdmin) {
+function randomize(options) {
+  if (typeof options !== "object" || options === null) {
+    options = { local: Boolean(options) };
+  }
+
+  if (options.vendor || options.prefix) {
+    return randomizeWithPrefix(options);
+  }
+
   // Randomly assign a VM vendor's MAC address prefix, which should
   // decrease chance of colliding with existing device's addresses.
 
@@ -1081,7 +2006,7 @@ function randomize(localAdmin) {
 
   const vendor = vendors[random(0, vendors.length - 1)];
 
-  if (process.platform === "win32") {
+  if (settings.platform === "win32") {
     // Parse hex string to number (fix for Windows randomize bug)
     vendor[0] = parseInt(windowsPrefixes[random(0, 3)], 16);
   }
@@ -1095,7 +2020,7 @@ function randomize(localAdmin) {
     random(0x00, 0xff),
   ];
 
-  if (localAdmin) {
+  if (options.local) {
     // Universally administered and locally administered addresses are
     // distinguished by setting the second least significant bit of the
     // most significant byte of the address. If the bit is 0, the address
@@ -1113,12 +2038,152 @@ function randomize(localAdmin) {
     .toUpperCase();
 }
 
+/**
+ * randomize() with a prefix taken from a vendor name or an existing address.
+ * @param  {Object} options  see randomize()
+ * @return {string}
+ */
+function randomizeWithPrefix(options) {
+  if (options.vendor && options.prefix) {
+    throw new ValidationError(
+      "Choose either a vendor or a prefix to keep, not both"
+    );
+  }
+  if (options.local) {
+    throw new ValidationError(
+      "A vendor prefix cannot be locally administered",
+      ["Drop the local option, or randomize without a vendor"]
+    );
+  }
+
+  let prefix;
+  if (options.vendor) {
+    const prefixes = oui.getVendorPrefixes(options.vendor);
+    if (prefixes.length === 0) {
+      const names = oui.getVendorNames();
+      throw new ValidationError(
+        `No known OUI prefixes for vendor: ${options.vendor}`,
+        [names.length <= 20
+          ? `Known vendors: ${names.join(", ")}`
+          : "Use the organization name from the IEEE registry (spoofy vendor <mac> shows it)"]
+      );
+    }
+    prefix = prefixes[random(0, prefixes.length - 1)].split(":");
+  } else {
+    const hex = String(options.prefix).replace(/[^0-9a-f]/gi, "");
+    if (hex.length < 6) {
+      throw new ValidationError(
+        `Cannot take a vendor prefix from "${options.prefix}"`,
+        ["Pass a MAC address or an OUI such as 00:1B:21"]
+      );
+    }
+    prefix = chunk(hex.slice(0, 6), 2);
+    if (parseInt(prefix[0], 16) & 1) {
+      throw new ValidationError(
+        `Cannot keep the prefix of multicast address "${options.prefix}"`
+      );
+    }
+  }
+
+  const mac = [
+    ...prefix.map((byte) => parseInt(byte, 16)),
+    random(0x00, 0xff),
+    random(0x00, 0xff),
+    random(0x00, 0xff),
+  ];
+
+  return mac
+    .map((byte) => zeroFill(2, byte.toString(16)))
+    .join(":")
+    .toUpperCase();
+}
+
+/**
+ * Derives a stable MAC address for an interface on one network.
+ *
+ * The address is an HMAC-SHA256 of the interface's hardware MAC and the
+ * network key (SSID, VLAN, profile name...), keyed with a host secret, so
+ * the same network always gets the same address while the addresses used
+ * on different networks can't be linked. Like randomize(true), the result
+ * is a locally administered unicast address.
+ *
+ * @param  {string} device
+ * @param  {string} key  network identifier
+ * @param  {(string|Buffer)=} secret  defaults to the host secret stored in
+ *     ~/.spoofy/secret (created on first use)
+ * @return {string}
+ */
+function deriveMAC(device, key, secret) {
+  return deriveInterfaceMAC(findInterface(device), device, key, secret);
+}
+
+/**
+ * Promise-based variant of deriveMAC().
+ * @param  {string} device
+ * @param  {string} key
+ * @param  {(string|Buffer)=} secret
+ * @param  {Object=} options  {signal: AbortSignal, timeout: per-command ms}
+ * @return {Promise.<string>}
+ */
+async function deriveMACAsync(device, key, secret, options) {
+  const it = await findInterfaceAsync(device, options);
+  return deriveInterfaceMAC(it, device, key, secret);
+}
+
+/**
+ * deriveMAC() for an interface that has already been looked up
+ * @param  {?Object} it  from findInterface()
+ * @param  {string} device
+ * @param  {string} key
+ * @param  {(string|Buffer)=} secret
+ * @return {string}
+ */
+function deriveInterfaceMAC(it, device, key, secret) {
+  if (typeof key !== "string" || key.length === 0) {
+    throw new ValidationError(
+      "A network key is required to derive a MAC address",
+      ["Use the SSID, VLAN or profile name, e.g. --key=HomeWiFi"]
+    );
+  }
+  if (!it) {
+    throw new ValidationError(
+      `Could not find device "${device}"`,
+      ["List available devices using: spoofy list"]
+    );
+  }
+  // The hardware address is the stable input; a changed current address
+  // would give a different result on every run
+  if (!it.address || (it.addressSource === "current" && it.spoofed)) {
+    throw new ValidationError(
+      `The hardware MAC address of "${it.device}" is unknown`,
+      ["Reset the interface to its hardware address first: spoofy reset " + it.device]
+    );
+  }
+
+  const digest = crypto
+    .createHmac("sha256", secret || hostSecret.getHostSecret())
+    .update(`${normalize(it.address)}\n${key}`)
+    .digest();
+  const mac = [...digest.subarray(0, 6)];
+
+  // Locally administered (see randomize()), and unicast
+  mac[0] = (mac[0] | 2) & 0xfe;
+
+  return mac
+    .map((byte) => zeroFill(2, byte.toString(16)))
+    .join(":")
+    .toUpperCase();
+}
+
 /**
  * Takes a MAC address in various formats:
  *
- *      - 00:00:00:00:00:00,
- *      - 00-00-00-00-00-00,
- *      - 0000.0000.0000
+ *      - 00:00:00:00:00:00, 00-00-00-00-00-00 or 00 00 00 00 00 00,
+ *        also with single-digit octets (0:1a:2b:3c:4d:5e)
+ *      - 0000.0000.0000 (Cisco) or 0000-0000-0000 (Huawei)
+ *      - 000000000000
+ *      - any of the above with 0x prefixes (0x000000000000, 0x00:0x1a:...)
+ *      - an EUI-48 embedded in an EUI-64 (00:00:00:FF:FE:00:00:00)
  *
  *  ... and returns it in the format 00:00:00:00:00:00.
  *
@@ -1136,43 +2201,86 @@ function normalize(mac) {
   if (mac.length === 0) {
     return null;
   }
-  
-  // Try Cisco format first (e.g., 0123.4567.89ab)
-  let m = CISCO_MAC_ADDRESS_RE.exec(mac);
-  if (m) {
-    const halfwords = m.slice(1);
-    // Validate all halfwords are present
-    if (halfwords.length === 3 && halfwords.every(hw => hw && hw.length > 0)) {
-      mac = halfwords
-        .map((halfword) => {
-          return zeroFill(4, halfword);
-        })
-        .join("");
-      if (mac.length === 12) {
-        return chunk(mac, 2).join(":").toUpperCase();
-      }
-    }
+
+  // Mixed separators are more likely a typo than a MAC address
+  const separators = new Set(mac.match(/[:.\-\s]/g));
+  if (separators.size > 1) {
+    return null;
   }
+  const separator = [...separators][0];
 
-  // Try standard MAC format (e.g., 00:11:22:33:44:55 or 00-11-22-33-44-55)
-  m = MAC_ADDRESS_RE.exec(mac);
-  if (m) {
-    const bytes = m.slice(1);
-    // Validate we have exactly 6 bytes
-    if (bytes.length === 6 && bytes.every(byte => byte && byte.length > 0)) {
-      const normalized = bytes
-        .map((byte) => zeroFill(2, byte))
-        .join(":")
-        .toUpperCase();
-      
-      // Final validation: should be exactly 17 characters (6 bytes + 5 colons)
-      if (normalized.length === 17) {
-        return normalized;
-      }
+  const groups = mac.split(/[:.\-\s]/).map((group) => group.replace(/^0x/i, ""));
+  if (!groups.every((group) => /^[0-9A-F]+$/i.test(group))) {
+    return null;
+  }
+
+  let hex = null;
+  if (groups.length === 1 && (groups[0].length === 12 || groups[0].length === 16)) {
+    hex = groups[0];
+  } else if ((groups.length === 6 || groups.length === 8) && groups.every((group) => group.length <= 2)) {
+    hex = groups.map((group) => zeroFill(2, group)).join("");
+  } else if (groups.length === 3 && (separator === "." || separator === "-") &&
+      groups.every((group) => group.length <= 4)) {
+    hex = groups.map((halfword) => zeroFill(4, halfword)).join("");
+  }
+  if (!hex) {
+    return null;
+  }
+
+  if (hex.length === 16) {
+    // EUI-64 built from an EUI-48 by inserting FF-FE after the OUI
+    if (!/^[0-9A-F]{6}FFFE/i.test(hex)) {
+      return null;
     }
+    hex = hex.slice(0, 6) + hex.slice(10);
+  }
+
+  return chunk(hex, 2).join(":").toUpperCase();
+}
+
+// Output styles of format()
+const MAC_FORMATS = ["colon", "dash", "dot", "bare", "lower"];
+module.exports.MAC_FORMATS = MAC_FORMATS;
+
+/**
+ * Formats a MAC address in one of MAC_FORMATS:
+ *
+ *      - colon: 00:1A:2B:3C:4D:5E (the format normalize() returns)
+ *      - dash:  00-1A-2B-3C-4D-5E
+ *      - dot:   001a.2b3c.4d5e (Cisco)
+ *      - bare:  001A2B3C4D5E
+ *      - lower: 00:1a:2b:3c:4d:5e
+ *
+ * @param {string} mac  MAC address in any format normalize() accepts
+ * @param {string=} style  defaults to "colon"
+ * @return {string|null} null if `mac` is not a valid MAC address
+ */
+function format(mac, style = "colon") {
+  if (!MAC_FORMATS.includes(style)) {
+    throw new ValidationError(
+      `Unknown MAC address format "${style}"`,
+      [`Use one of: ${MAC_FORMATS.join(", ")}`]
+    );
+  }
+
+  const normalized = normalize(mac);
+  if (!normalized) {
+    return null;
+  }
+
+  const hex = normalized.replace(/:/g, "");
+  switch (style) {
+    case "dash":
+      return normalized.replace(/:/g, "-");
+    case "dot":
+      return chunk(hex.toLowerCase(), 4).join(".");
+    case "bare":
+      return hex;
+    case "lower":
+      return normalized.toLowerCase();
+    default:
+      return normalized;
   }
-  
-  return null;
 }
 
 function chunk(str, n) {
@@ -1190,5 +2298,5 @@ function chunk(str, n) {
  * @return {number}
  */
 function random(min, max) {
-  return min + Math.floor(Math.random() * (max - min + 1));
+  return rng.int(min, max);
 }
@@ -0,0 +1,728 @@
+/**
+ * Batch files: loading, validation and defaults
+ *
+ * A batch file is JSON or YAML, either a list of steps or an object with
+ * `name`, `description`, `mode`, `defaults` and `steps`. The whole file is
+ * checked against batch.schema.json before anything runs, and every problem
+ * is reported with its line and field.
+ *
+ * String values may reference variables: ${name} from the file's `vars`
+ * or --var, and ${env.NAME} from the environment, with ${...:-fallback}
+ * for values that may be missing. planSteps() then resolves device
+ * patterns and `if`/`unless` conditions against the host the batch runs on.
+ *
+ * YAML is read with the `yaml` package and its YAML 1.2 core schema, so
+ * MAC addresses and yes/no stay strings; a file holds one document. The
+ * keys __proto__, constructor and prototype are rejected in both formats.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const YAML = require('yaml')
+const schema = require('../batch.schema.json')
+
+/**
+ * An error at a line of the parsed text
+ * @param {string} message
+ * @param {number} line
+ * @returns {Error}
+ */
+function syntaxError (message, line) {
+  const err = new Error(message)
+  err.line = line
+  return err
+}
+
+/**
+ * Appends a key or index to a JSON pointer
+ * @param {string} pointer
+ * @param {string|number} key
+ * @returns {string}
+ */
+function child (pointer, key) {
+  return pointer + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+
+// Keys that would reach an object's prototype when values are copied by
+// assignment, as variables and defaults are
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype']
+
+/**
+ * The 1-based line of an offset in a text
+ * @param {string} text
+ * @param {number} offset
+ * @returns {number}
+ */
+function lineAt (text, offset) {
+  return text.slice(0, offset).split('\n').length
+}
+
+/**
+ * The key of a mapping entry as it appears in the parsed value
+ * @param {Pair} pair
+ * @returns {string}
+ */
+function keyOf (pair) {
+  if (!YAML.isScalar(pair.key)) {
+    return pair.key ? String(pair.key) : ''
+  }
+  return pair.key.value === null ? '' : String(pair.key.value)
+}
+
+/**
+ * Parses a YAML document (JSON is YAML too), recording the line each value
+ * (or, in mappings, its key) starts on
+ * @param {string} text
+ * @returns {{value: *, lines: Map<string, number>}} `lines` maps JSON
+ *   pointers ("/steps/0/mac") to 1-based line numbers
+ */
+function parseDocument (text) {
+  const lineCounter = new YAML.LineCounter()
+  const documents = YAML.parseAllDocuments(text, { lineCounter, prettyErrors: false })
+  const lineOf = (node) => lineCounter.linePos(node.range[0]).line
+  if (documents.length > 1) {
+    throw syntaxError('Only one YAML document per batch file is supported', lineOf(documents[1]))
+  }
+  const lines = new Map()
+  if (documents.length === 0) {
+    return { value: null, lines }
+  }
+
+  const [document] = documents
+  if (document.errors.length > 0) {
+    const [error] = document.errors
+    throw syntaxError(error.message, lineCounter.linePos(error.pos[0]).line)
+  }
+
+  // Aliases are not followed: the keys they refer to are checked at their
+  // anchor, and their values are located at the alias
+  const visit = (node, pointer, line) => {
+    lines.set(pointer, line)
+    if (YAML.isMap(node)) {
+      node.items.forEach((pair) => {
+        const key = keyOf(pair)
+        const keyLine = pair.key && pair.key.range ? lineOf(pair.key) : line
+        if (RESERVED_KEYS.includes(key)) {
+          throw syntaxError(`"${key}" is not allowed as a key`, keyLine)
+        }
+        visit(pair.value, child(pointer, key), keyLine)
+      })
+    } else if (YAML.isSeq(node)) {
+      node.items.forEach((item, index) => {
+        visit(item, child(pointer, index), item && item.range ? lineOf(item) : line)
+      })
+    }
+  }
+  visit(document.contents, '', document.contents && document.contents.range ? lineOf(document.contents) : 1)
+
+  return { value: document.toJS(), lines }
+}
+
+/**
+ * Parses JSON, recording the line each value (or, in objects, its key)
+ * starts on
+ * @param {string} text
+ * @returns {{value: *, lines: Map<string, number>}} See parseDocument()
+ */
+function parseJSON (text) {
+  // The YAML parser would also take comments and trailing commas
+  const json = text.replace(/^\uFEFF/, '')
+  try {
+    JSON.parse(json)
+  } catch (err) {
+    const position = /at position (\d+)/.exec(err.message)
+    const message = err.message.replace(/ in JSON at position \d+.*$/, '')
+    throw syntaxError(`Invalid JSON: ${message}`, lineAt(json, position ? Number(position[1]) : json.length))
+  }
+  return parseDocument(text)
+}
+
+/**
+ * Parses YAML, recording the line each value (or, in mappings, its key)
+ * starts on
+ * @param {string} text
+ * @returns {{value: *, lines: Map<string, number>}} See parseDocument()
+ */
+function parseYAML (text) {
+  return parseDocument(text)
+}
+
+// ---------------------------------------------------------------------------
+// Schema validation
+
+const FORMATS = {
+  mac: (value) => {
+    // Required here so loading a batch file doesn't need the platform code
+    return require('../index').normalize(value) !== null
+  },
+  duid: (value) => /^[0-9a-f]{2}(?:[:-]?[0-9a-f]{2}){3,129}$/i.test(value)
+}
+
+function typeOf (value) {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer'
+  }
+  return typeof value
+}
+
+function matchesType (value, type) {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+function resolve (node) {
+  if (node && node.$ref) {
+    return node.$ref.slice(2).split('/').reduce((target, key) => target[key], schema)
+  }
+  return node
+}
+
+/**
+ * Closest of a few names, for "did you mean" hints
+ * @param {string} name
+ * @param {Array<string>} candidates
+ * @returns {string|null}
+ */
+function closest (name, candidates) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j)
+    for (let x = 1; x <= a.length; x++) {
+      let diagonal = row[0]
+      row[0] = x
+      for (let y = 1; y <= b.length; y++) {
+        const above = row[y]
+        row[y] = Math.min(row[y] + 1, row[y - 1] + 1, diagonal + (a[x - 1].toLowerCase() === b[y - 1].toLowerCase() ? 0 : 1))
+        diagonal = above
+      }
+    }
+    return row[b.length]
+  }
+  let best = null
+  candidates.forEach((candidate) => {
+    const d = distance(name, candidate)
+    if (d <= Math.max(1, Math.floor(candidate.length / 3)) && (!best || d < best.d)) {
+      best = { candidate, d }
+    }
+  })
+  return best && best.candidate
+}
+
+const list = (values) => values.map((v) => JSON.stringify(v)).join(', ')
+
+/**
+ * Validates a value against a (subset of) JSON Schema draft-07: type, enum,
+ * const, minLength, minItems, minProperties, format, properties, required,
+ * additionalProperties, propertyNames (enum), items, allOf, if/then/else
+ * and local $refs
+ * @param {*} value
+ * @param {Object} node - Schema
+ * @param {string} pointer - JSON pointer of `value`
+ * @param {Array} errors - Receives {pointer, message}
+ */
+function check (value, node, pointer, errors) {
+  node = resolve(node)
+  const fail = (message, at = pointer) => errors.push({ pointer: at, message })
+
+  if (node.type) {
+    const types = [].concat(node.type)
+    if (!types.some((type) => matchesType(value, type))) {
+      const hint = types.includes('string') && typeof value === 'number' ? ' (quote it)' : ''
+      fail(`must be ${types.map((type) => /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`).join(' or ')}, not ${typeOf(value)}${hint}`)
+      return
+    }
+  }
+  if (node.const !== undefined && value !== node.const) {
+    fail(`must be ${JSON.stringify(node.const)}`)
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    const suggestion = typeof value === 'string' ? closest(value, node.enum.filter((v) => typeof v === 'string')) : null
+    fail(`must be one of ${list(node.enum)}, not ${JSON.stringify(value)}${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`)
+    return
+  }
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      fail('must not be empty')
+    }
+    if (node.format && FORMATS[node.format] && value.length && !FORMATS[node.format](value)) {
+      fail(`${JSON.stringify(value)} is not a valid ${node.format === 'mac' ? 'MAC address' : node.format.toUpperCase()}`)
+    }
+  }
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      fail(`must have at least ${node.minItems} item${node.minItems === 1 ? '' : 's'}`)
+    }
+    if (node.items) {
+      value.forEach((item, index) => check(item, node.items, child(pointer, index), errors))
+    }
+  }
+  if (typeOf(value) === 'object') {
+    const properties = node.properties || {}
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        check(value[key], properties[key], child(pointer, key), errors)
+      } else if (node.additionalProperties === false) {
+        const suggestion = closest(key, Object.keys(properties))
+        fail(`unknown field${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`, child(pointer, key))
+      } else if (node.additionalProperties) {
+        check(value[key], node.additionalProperties, child(pointer, key), errors)
+      }
+    })
+    if (node.minProperties !== undefined && Object.keys(value).length < node.minProperties) {
+      fail(`must have at least ${node.minProperties} field${node.minProperties === 1 ? '' : 's'}`)
+    }
+    if (node.propertyNames && node.propertyNames.enum) {
+      Object.keys(value).forEach((key) => {
+        if (!node.propertyNames.enum.includes(key)) {
+          const owner = typeof value.type === 'string' ? `"${value.type}" steps` : 'here'
+          fail(`not used by ${owner} (fields: ${node.propertyNames.enum.join(', ')})`, child(pointer, key))
+        }
+      })
+    }
+    ;(node.required || []).forEach((key) => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        fail('is required', child(pointer, key))
+      }
+    })
+  }
+  ;(node.allOf || []).forEach((part) => check(value, part, pointer, errors))
+  if (node.if) {
+    const probe = []
+    check(value, node.if, pointer, probe)
+    const branch = probe.length === 0 ? node.then : node.else
+    if (branch) {
+      check(value, branch, pointer, errors)
+    }
+  }
+}
+
+/**
+ * Fields a step of a type accepts, from the schema
+ * @param {string} type
+ * @returns {Array<string>|null} null for unknown types
+ */
+function stepFields (type) {
+  for (const part of schema.definitions.step.allOf) {
+    const types = part.if.properties.type.enum || [part.if.properties.type.const]
+    if (types.includes(type)) {
+      return part.then.propertyNames.enum
+    }
+  }
+  return null
+}
+
+// ---------------------------------------------------------------------------
+// Variables
+
+const REFERENCE = /\$(\$?)\{([^}]*)\}/g
+const REFERENCE_BODY = /^(env\.)?([A-Za-z_][\w-]*)(?::-(.*))?$/
+
+/**
+ * Replaces ${name}, ${env.NAME} and ${name:-fallback} in the strings of a
+ * value; $${...} is a literal ${...}
+ * @param {*} value
+ * @param {string} pointer - JSON pointer of `value`
+ * @param {Object} variables - name -> value
+ * @param {Object} env - Environment variables
+ * @param {Array} errors - Receives {pointer, message}
+ * @returns {*} The value with references replaced; strings with undefined
+ *   references are kept as they are
+ */
+function substitute (value, pointer, variables, env, errors) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => substitute(item, child(pointer, index), variables, env, errors))
+  }
+  if (typeOf(value) === 'object') {
+    const result = {}
+    Object.keys(value).forEach((key) => {
+      result[key] = substitute(value[key], child(pointer, key), variables, env, errors)
+    })
+    return result
+  }
+  if (typeof value !== 'string' || !value.includes('${')) {
+    return value
+  }
+
+  let problem = null
+  const replaced = value.replace(REFERENCE, (reference, escaped, body) => {
+    if (escaped) {
+      return reference.slice(1)
+    }
+    const match = REFERENCE_BODY.exec(body)
+    if (!match) {
+      problem = problem || `invalid variable reference "${reference}"`
+      return reference
+    }
+    const [, fromEnv, name, fallback] = match
+    const source = fromEnv ? env : variables
+    if (Object.prototype.hasOwnProperty.call(source, name) && source[name] !== undefined) {
+      return String(source[name])
+    }
+    if (fallback !== undefined) {
+      return fallback
+    }
+    problem = problem || (fromEnv
+      ? `environment variable "${name}" is not set (use \${env.${name}:-value} for a fallback)`
+      : `undefined variable "${name}" (define it under "vars" or with --var ${name}=value)`)
+    return reference
+  })
+  if (problem) {
+    errors.push({ pointer, message: problem })
+    return value
+  }
+  return replaced
+}
+
+// ---------------------------------------------------------------------------
+// Loading
+
+/**
+ * Whether a file should be read as YAML: by extension, or for other names
+ * when it doesn't start like JSON
+ * @param {string} file
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isYAML (file, text) {
+  const extension = path.extname(file).toLowerCase()
+  if (extension === '.yaml' || extension === '.yml') {
+    return true
+  }
+  if (extension === '.json') {
+    return false
+  }
+  return !/^\uFEFF?\s*[[{]/.test(text)
+}
+
+/**
+ * Problems found in a batch file
+ * @param {string} file
+ * @param {Array} errors - {file, line, field, message}
+ * @returns {Error} With `errors` and code BATCH_INVALID
+ */
+function invalidBatch (file, errors) {
+  const err = new Error(`Invalid batch file ${file}:\n` + errors.map(formatError).join('\n'))
+  err.code = 'BATCH_INVALID'
+  err.errors = errors
+  return err
+}
+
+/**
+ * One problem as "file:line: field: message"
+ * @param {Object} error
+ * @returns {string}
+ */
+function formatError (error) {
+  return `  ${error.file}:${error.line}: ${error.field ? error.field + ': ' : ''}${error.message}`
+}
+
+/**
+ * "/steps/2/mac" -> "steps[2].mac"
+ * @param {string} pointer
+ * @returns {string}
+ */
+function fieldName (pointer) {
+  return pointer.split('/').slice(1)
+    .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((name, part) => /^\d+$/.test(part) ? `${name}[${part}]` : name ? `${name}.${part}` : part, '')
+}
+
+/**
+ * Parses, validates and resolves a batch file
+ * @param {string} text - File contents
+ * @param {string} [file] - Name used in errors and to pick the format
+ * @param {Object} [options]
+ * @param {Object} [options.vars] - Variables, overriding the file's `vars`
+ * @param {Object} [options.env] - Environment for ${env.NAME} (default:
+ *   process.env)
+ * @returns {{name: string|null, description: string|null, mode: string,
+ *   steps: Array}} Steps with the defaults applied
+ * @throws {Error} With `errors` ({file, line, field, message}) when the
+ *   file can't be parsed or doesn't match the schema
+ */
+function parseBatch (text, file = 'batch', options = {}) {
+  let parsed
+  try {
+    parsed = isYAML(file, text) ? parseYAML(text) : parseJSON(text)
+  } catch (err) {
+    if (err.line === undefined) {
+      throw err
+    }
+    throw invalidBatch(file, [{ file, line: err.line, field: null, message: err.message }])
+  }
+
+  // A bare list is the "steps" of a document without metadata
+  const bare = Array.isArray(parsed.value)
+  let document = bare ? { steps: parsed.value } : parsed.value
+  const origins = new Map()
+  const lineOf = (pointer) => {
+    let at = origins.get(pointer) || pointer
+    if (bare) {
+      at = at.replace(/^\/steps/, '')
+    }
+    while (!parsed.lines.has(at) && at) {
+      at = at.slice(0, at.lastIndexOf('/'))
+    }
+    return parsed.lines.get(at) || 1
+  }
+
+  // Variables are replaced before anything is checked, so the values they
+  // produce are validated like any other
+  const errors = []
+  const env = options.env || process.env
+  if (document && typeOf(document) === 'object') {
+    const declared = typeOf(document.vars) === 'object' ? substitute(document.vars, '/vars', {}, env, errors) : {}
+    const variables = { ...declared, ...options.vars }
+    const resolved = {}
+    Object.keys(document).forEach((key) => {
+      resolved[key] = key === 'vars' || key === '$schema'
+        ? document[key]
+        : substitute(document[key], '/' + key, variables, env, errors)
+    })
+    document = resolved
+  }
+
+  // Defaults go into the steps first, so required fields may come from them
+  let steps = null
+  if (document && typeof document === 'object' && Array.isArray(document.steps)) {
+    const defaults = document.defaults && typeOf(document.defaults) === 'object' ? document.defaults : {}
+    steps = document.steps.map((step, index) => {
+      const fields = step && typeOf(step) === 'object' ? stepFields(step.type) : null
+      if (!fields) {
+        return step
+      }
+      const resolved = { ...step }
+      Object.keys(defaults).filter((key) => fields.includes(key) && resolved[key] === undefined).forEach((key) => {
+        resolved[key] = defaults[key]
+        origins.set(`/steps/${index}/${key}`, `/defaults/${key}`)
+      })
+      return resolved
+    })
+  }
+
+  if (bare) {
+    check(steps, schema.definitions.steps, '/steps', errors)
+  } else {
+    check(steps ? { ...document, steps } : document, schema, '', errors)
+  }
+  ;(steps || []).forEach((step, index) => {
+    if (typeOf(step) === 'object' && step.device === undefined) {
+      ['if', 'unless'].filter((key) => typeOf(step[key]) === 'object').forEach((key) => {
+        INTERFACE_CONDITIONS.filter((name) => step[key][name] !== undefined).forEach((name) => {
+          errors.push({ pointer: `/steps/${index}/${key}/${name}`, message: 'needs a "device" to check' })
+        })
+      })
+    }
+  })
+  if (errors.length > 0) {
+    // One problem per field: an unknown field is also "not used" by a step,
+    // and a bad default is reported at the default, not in every step
+    const reported = new Set()
+    throw invalidBatch(file, errors
+      .map((error) => ({ ...error, pointer: origins.get(error.pointer) || error.pointer }))
+      .filter((error) => !reported.has(error.pointer) && reported.add(error.pointer))
+      .map((error) => ({ file, line: lineOf(error.pointer), field: fieldName(error.pointer) || null, message: error.message }))
+      .sort((a, b) => a.line - b.line))
+  }
+
+  return {
+    name: document.name || null,
+    description: document.description || null,
+    mode: document.mode || 'continue',
+    steps
+  }
+}
+
+/**
+ * Reads and parses a batch file (see parseBatch())
+ * @param {string} file
+ * @param {Object} [options] - See parseBatch()
+ * @returns {Object}
+ */
+function loadBatchFile (file, options) {
+  return parseBatch(fs.readFileSync(file, 'utf8'), file, options)
+}
+
+// ---------------------------------------------------------------------------
+// Planning
+
+// Conditions that are checked on the step's interface rather than the host
+const INTERFACE_CONDITIONS = ['vendor', 'spoofed']
+const PLATFORM_ALIASES = { macos: 'darwin', windows: 'win32' }
+
+const isGlob = (name) => /[*?[]/.test(name)
+
+/**
+ * Compiles a shell-style glob (*, ?, [abc], [!abc]) to a case-insensitive
+ * regular expression
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globPattern (glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const end = glob[i] === '[' ? glob.indexOf(']', i + 2) : -1
+    if (glob[i] === '*') {
+      source += '.*'
+    } else if (glob[i] === '?') {
+      source += '.'
+    } else if (end > 0) {
+      const members = glob.slice(i + 1, end).replace(/\\/g, '\\\\')
+      source += '[' + (members[0] === '!' ? '^' + members.slice(1) : members) + ']'
+      i = end
+    } else {
+      source += glob[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp('^' + source + '$', 'i')
+}
+
+/**
+ * "wlan*" or { name: "wlan*", type: "wifi" } as text for messages
+ * @param {string|Object} device
+ * @returns {string}
+ */
+function describeDevice (device) {
+  if (typeof device === 'string') {
+    return JSON.stringify(device)
+  }
+  return Object.keys(device).map((key) => `${key} ${JSON.stringify(device[key])}`).join(', ')
+}
+
+/**
+ * Checks the fields of a condition that can be checked: host fields
+ * always, interface fields when `it` is given
+ * @param {Object} condition
+ * @param {Object} host - See planSteps()
+ * @param {Object|null} it - Interface
+ * @returns {Array<{field: string, holds: boolean, actual: string}>}
+ */
+function checkCondition (condition, host, it) {
+  const results = []
+  Object.keys(condition).forEach((field) => {
+    const wanted = condition[field]
+    if (field === 'platform') {
+      const platforms = [].concat(wanted).map((name) => PLATFORM_ALIASES[name] || name)
+      results.push({ field, holds: platforms.includes(host.platform), actual: host.platform })
+    } else if (field === 'hostname') {
+      results.push({ field, holds: globPattern(wanted).test(host.hostname), actual: host.hostname })
+    } else if (it && field === 'vendor') {
+      const vendor = host.vendorOf(it.address || it.currentAddress)
+      results.push({ field, holds: Boolean(vendor) && require('./oui').vendorMatches(vendor, wanted), actual: vendor || 'unknown vendor' })
+    } else if (it && field === 'spoofed') {
+      results.push({ field, holds: Boolean(it.spoofed) === wanted, actual: it.spoofed ? 'spoofed' : 'not spoofed' })
+    }
+  })
+  return results
+}
+
+/**
+ * Why a step's conditions keep it from running, if they do
+ * @param {Object} step
+ * @param {Object} host
+ * @param {Object|null} it - Interface, null to check only host fields
+ * @returns {string|null}
+ */
+function skipReason (step, host, it) {
+  if (step.if) {
+    const unmet = checkCondition(step.if, host, it).find((result) => !result.holds)
+    if (unmet) {
+      return `condition if.${unmet.field} not met (${unmet.actual})`
+    }
+  }
+  if (step.unless) {
+    const results = checkCondition(step.unless, host, it)
+    if (results.length === Object.keys(step.unless).length && results.every((result) => result.holds)) {
+      return `unless condition met (${results.map((result) => result.actual).join(', ')})`
+    }
+  }
+  return null
+}
+
+/**
+ * Turns the steps of a batch file into the operations to run on this host.
+ * A step whose device is a pattern (a glob or a selector object) runs once
+ * per matching interface, in the order they are listed; steps whose
+ * `if`/`unless` conditions rule them out, and patterns that match nothing,
+ * are kept as skipped so they show up in the results.
+ * @param {Array} steps - From parseBatch()
+ * @param {Object} host
+ * @param {string} host.platform - As process.platform
+ * @param {string} host.hostname
+ * @param {Function} host.findInterfaces - Returns the interfaces, as
+ *   findInterfaces() in index.js; called once, and only if a step needs them
+ * @param {Function} host.vendorOf - Vendor name of a MAC address, or null
+ * @returns {Array<{index: number, operation: Object, skipped: string|null}>}
+ *   `index` is the step's position in the file; operations have no
+ *   conditions and a plain device name
+ */
+function planSteps (steps, host) {
+  let interfaces = null
+  const getInterfaces = () => interfaces || (interfaces = host.findInterfaces())
+  const plan = []
+
+  steps.forEach((step, index) => {
+    const { if: when, unless, ...operation } = step
+    const add = (target, skipped) => plan.push({ index, operation: target, skipped: skipped || null })
+
+    // Host conditions first, so skipped steps don't need the interfaces
+    const hostReason = when ? skipReason({ if: when }, host, null) : null
+    if (hostReason) {
+      add(operation, hostReason)
+      return
+    }
+
+    const device = operation.device
+    const needsInterface = [when, unless].some((condition) => condition && INTERFACE_CONDITIONS.some((field) => condition[field] !== undefined))
+    const pattern = device !== undefined && (typeof device !== 'string' || isGlob(device))
+    let targets
+    if (device === undefined) {
+      targets = [null]
+    } else if (!pattern) {
+      // Unknown devices are left to fail when the operation runs
+      const same = (name) => typeof name === 'string' && name.toLowerCase() === device.toLowerCase()
+      targets = [needsInterface ? getInterfaces().find((it) => same(it.device) || same(it.port)) || null : null]
+    } else {
+      const selector = typeof device === 'string' ? { name: device } : device
+      const filters = {}
+      if (selector.type !== undefined) {
+        filters.kind = selector.type
+      }
+      if (selector.up !== undefined) {
+        filters.up = selector.up
+      }
+      const name = selector.name ? globPattern(selector.name) : null
+      targets = require('../index').filterInterfaces(getInterfaces(), filters)
+        .filter((it) => !name || name.test(it.device) || (it.port && name.test(it.port)))
+      if (targets.length === 0) {
+        add(operation, `no interface matches ${describeDevice(device)}`)
+        return
+      }
+    }
+
+    targets.forEach((it) => {
+      const target = pattern ? { ...operation, device: it.device } : operation
+      add(target, skipReason(step, host, needsInterface ? it : null))
+    })
+  })
+
+  return plan
+}
+
+module.exports = {
+  schema,
+  parseJSON,
+  parseYAML,
+  parseBatch,
+  loadBatchFile,
+  planSteps,
+  formatError
+}
@@ -94,6 +94,26 @@ function checkPrivileges () {
   }
 }
 
+/**
+ * Records a DUID change that failed or was refused
+ * @param {string} operation
+ * @param {string|null} iface
+ * @param {Error|Object} error - Its message and code are recorded
+ * @param {string|null} [newDuidStr] - The DUID that was to be set, if known
+ */
+function recordFailure (operation, iface, error, newDuidStr = null) {
+  let oldDuidStr = null
+  try {
+    const current = duid.getCurrentDUID()
+    oldDuidStr = current ? duid.formatDUID(current) : null
+  } catch (e) {
+    // Unreadable without privileges: the attempt is still recorded
+  }
+  history.addDUIDHistoryEntry(iface || 'system', oldDuidStr, newDuidStr, operation, iface, history.failureDetails(error))
+}
+
+const PRIVILEGE_ERROR = { message: 'Requires root/administrator privileges', code: 'EPERM' }
+
 const commands = {
   list () {
     try {
@@ -249,6 +269,7 @@ const commands = {
    */
   randomize (args) {
     if (!checkPrivileges()) {
+      recordFailure('randomize', args[0] || null, PRIVILEGE_ERROR)
       if (JSON_OUTPUT) {
         outputJSON({ error: 'Requires root/administrator privileges', success: false })
       } else {
@@ -303,6 +324,7 @@ const commands = {
         console.log(chalk.blue('ℹ'), 'The original DUID has been backed up and can be restored with: spoofy duid restore')
       }
     } catch (e) {
+      recordFailure('randomize', iface, e)
       if (JSON_OUTPUT) {
         outputJSON({ error: e.message, success: false })
       } else {
@@ -317,6 +339,7 @@ const commands = {
    */
   set (args) {
     if (!checkPrivileges()) {
+      recordFailure('set', args[1] || null, PRIVILEGE_ERROR)
       if (JSON_OUTPUT) {
         outputJSON({ error: 'Requires root/administrator privileges', success: false })
       } else {
@@ -368,6 +391,7 @@ const commands = {
         console.log(chalk.blue('ℹ'), 'The original DUID has been backed up and can be restored with: spoofy duid restore')
       }
     } catch (e) {
+      recordFailure('set', iface, e, duidHex)
       if (JSON_OUTPUT) {
         outputJSON({ error: e.message, success: false })
       } else {
@@ -382,6 +406,7 @@ const commands = {
    */
   reset (args) {
     if (!checkPrivileges()) {
+      recordFailure('reset', args[0] || null, PRIVILEGE_ERROR)
       if (JSON_OUTPUT) {
         outputJSON({ error: 'Requires root/administrator privileges', success: false })
       } else {
@@ -416,6 +441,7 @@ const commands = {
         console.log(chalk.blue('ℹ'), 'The system will generate a new DUID on the next DHCPv6 request.')
       }
     } catch (e) {
+      recordFailure('reset', iface, e)
       if (JSON_OUTPUT) {
         outputJSON({ error: e.message, success: false })
       } else {
@@ -430,6 +456,7 @@ const commands = {
    */
   restore (args) {
     if (!checkPrivileges()) {
+      recordFailure('restore', args[0] || null, PRIVILEGE_ERROR)
       if (JSON_OUTPUT) {
         outputJSON({ error: 'Requires root/administrator privileges', success: false })
       } else {
@@ -488,6 +515,7 @@ const commands = {
           console.log(chalk.blue('ℹ'), 'You may need to renew your DHCPv6 lease for changes to take effect.')
         }
       } else {
+        recordFailure('restore', iface, new Error('Failed to restore DUID'))
         if (JSON_OUTPUT) {
           outputJSON({ error: 'Failed to restore DUID', success: false })
         } else {
@@ -495,6 +523,7 @@ const commands = {
         }
       }
     } catch (e) {
+      recordFailure('restore', iface, e)
       if (JSON_OUTPUT) {
         outputJSON({ error: e.message, success: false })
       } else {
@@ -548,6 +577,7 @@ const commands = {
 
   sync (args) {
     if (!checkPrivileges()) {
+      recordFailure('sync', args[0] || null, PRIVILEGE_ERROR)
       if (JSON_OUTPUT) {
         outputJSON({ error: 'Requires root/administrator privileges', success: false })
       } else {
@@ -617,6 +647,7 @@ const commands = {
         console.log(chalk.blue('ℹ'), 'The original DUID has been backed up and can be restored with: spoofy duid restore')
       }
     } catch (e) {
+      recordFailure('sync', iface, e)
       if (JSON_OUTPUT) {
         outputJSON({ error: e.message, success: false })
       } else {
@@ -661,6 +692,9 @@ const commands = {
       console.log(chalk.bold(`\n${index + 1}. ${date}`))
       console.log(`   Device: ${chalk.green(entry.device)}`)
       console.log(`   Operation: ${chalk.cyan(entry.operation)}`)
+      if (!history.isApplied(entry)) {
+        console.log(`   ${chalk.red('✗ Failed:')} ${entry.error}${entry.errorCode ? chalk.gray(` (${entry.errorCode})`) : ''}`)
+      }
       console.log(`   ${chalk.gray(entry.oldDuid || 'N/A')} → ${chalk.cyan(entry.newDuid || 'System Generated')}`)
       console.log(`   Platform: ${entry.platform}`)
     })
@@ -699,6 +733,8 @@ ${chalk.bold('OPTIONS:')}
   --type=<type>           DUID type: LLT (1), EN (2), LL (3), UUID (4)
                           Default: LL
   --mac=<address>         MAC address to use for DUID generation
+  --seed=<value>          Generate the same DUIDs on every run (testing only;
+                          LLT DUIDs still contain the current time)
 
 ${chalk.bold('EXAMPLES:')}
   spoofy duid list
@@ -755,7 +791,28 @@ ${chalk.bold('NOTES:')}
 function run (args, verbose = false, json = false) {
   VERBOSE = verbose
   JSON_OUTPUT = json
-  
+
+  // When run through bin/cmd.js the seed has already been applied and
+  // removed; standalone, accept both --seed=<value> and --seed <value>
+  const rest = []
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--seed' || args[i].startsWith('--seed=')) {
+      const value = args[i] === '--seed' ? args[++i] : args[i].slice('--seed='.length)
+      if (value === undefined) {
+        if (JSON_OUTPUT) {
+          outputJSON({ error: '--seed requires a value', success: false })
+        } else {
+          console.error(chalk.red('✗'), 'Usage: --seed=<value>')
+        }
+        process.exit(1)
+      }
+      duid.configure({ seed: value })
+    } else {
+      rest.push(args[i])
+    }
+  }
+  args = rest
+
   const command = args[0] || 'help'
   const commandArgs = args.slice(1)
 
@@ -4,12 +4,61 @@
  * Enhanced with cross-platform support and better error handling
  */
 
-const { execSync } = require('child_process')
 const fs = require('fs')
 const path = require('path')
 const os = require('os')
+const executor = require('./executor')
+const runner = require('./runner')
+const random = require('./random')
+
+// Executor used for system commands and the platform whose implementation
+// is used (see configure())
+const settings = {
+  exec: executor.createSystemExecutor(),
+  platform: os.platform()
+}
+
+/**
+ * Configure how system commands are executed
+ * @param {Object} options
+ * @param {Object} [options.exec] - Executor (see lib/executor.js)
+ * @param {string} [options.platform] - Platform to emulate; defaults to the executor's platform
+ * @param {string|number|null} [options.seed] - Seed for reproducible DUIDs
+ *     (testing only), or null to go back to the system CSPRNG; see lib/random.js
+ * @returns {Object} The active settings
+ */
+function configure (options = {}) {
+  if (options.exec) {
+    settings.exec = options.exec
+    settings.platform = options.exec.platform || settings.platform
+  }
+  if (options.platform) {
+    settings.platform = options.platform
+  }
+  if (options.seed !== undefined) {
+    random.seed(options.seed)
+  }
+  return settings
+}
+
+/**
+ * Run platform steps with the configured executor, blocking until done
+ * @param {Generator} steps
+ * @returns {any}
+ */
+function runSync (steps) {
+  return runner.runSync(steps, settings.exec)
+}
 
-const platform = os.platform()
+/**
+ * Run platform steps with the configured executor without blocking
+ * @param {Generator} steps
+ * @param {Object} [options] - { signal: AbortSignal, timeout: per-command ms }
+ * @returns {Promise<any>}
+ */
+function runAsync (steps, options = {}) {
+  return runner.runAsync(steps, settings.exec, options)
+}
 
 const DUID_TYPES = {
   DUID_LLT: 1, // Link-layer + Time
@@ -21,37 +70,53 @@ const DUID_TYPES = {
 const HW_TYPE_ETHERNET = 1
 
 function generateRandomMAC () {
-  const bytes = []
-  for (let i = 0; i < 6; i++) {
-    bytes.push(Math.floor(Math.random() * 256))
-  }
+  const bytes = [...random.bytes(6)]
   // Set locally administered bit, clear multicast bit
   bytes[0] = (bytes[0] | 0x02) & 0xFE
   return bytes.map(b => b.toString(16).padStart(2, '0')).join(':')
 }
 
+/**
+ * Get the current MAC address of an interface
+ * @param {string} iface
+ * @returns {string|null}
+ */
 function getCurrentMACAddress (iface) {
+  return runSync(getCurrentMACAddressSteps(iface))
+}
+
+/**
+ * Promise-based variant of getCurrentMACAddress()
+ * @param {string} iface
+ * @param {Object} [options] - { signal: AbortSignal, timeout: per-command ms }
+ * @returns {Promise<string|null>}
+ */
+function getCurrentMACAddressAsync (iface, options) {
+  return runAsync(getCurrentMACAddressSteps(iface), options)
+}
+
+function * getCurrentMACAddressSteps (iface) {
   if (!iface) {
     throw new Error('Interface name required')
   }
 
   try {
-    if (platform === 'darwin' || platform === 'linux') {
+    if (settings.platform === 'darwin' || settings.platform === 'linux') {
       let output
-      if (platform === 'darwin') {
-        output = execSync(`ifconfig ${iface}`, { encoding: 'utf8' })
+      if (settings.platform === 'darwin') {
+        output = yield runner.shell(`ifconfig ${iface}`, { encoding: 'utf8' })
         const match = output.match(/ether\s+([0-9a-f:]{17})/i)
         return match ? match[1] : null
       } else {
-        output = execSync(`ip link show ${iface}`, { encoding: 'utf8' })
+        output = yield runner.shell(`ip link show ${iface}`, { encoding: 'utf8' })
         const match = output.match(/link\/ether\s+([0-9a-f:]{17})/i)
         return match ? match[1] : null
       }
-    } else if (platform === 'win32') {
-      const output = execSync(
+    } else if (settings.platform === 'win32') {
+      const output = (yield runner.shell(
         `powershell -Command "Get-NetAdapter -Name '${iface}' | Select-Object -ExpandProperty MacAddress"`,
         { encoding: 'utf8' }
-      ).trim()
+      )).trim()
       return output ? output.replace(/-/g, ':').toLowerCase() : null
     }
   } catch (e) {
@@ -109,12 +174,7 @@ function generateDUID (type = DUID_TYPES.DUID_LL, mac = null) {
       const buf = Buffer.alloc(18)
       buf.writeUInt16BE(DUID_TYPES.DUID_UUID, 0)
       // Generate random UUID v4
-      for (let i = 0; i < 16; i++) {
-        buf.writeUInt8(Math.floor(Math.random() * 256), 2 + i)
-      }
-      // Set version (4) and variant bits
-      buf[8] = (buf[8] & 0x0F) | 0x40
-      buf[10] = (buf[10] & 0x3F) | 0x80
+      random.uuid().copy(buf, 2)
       return buf
     }
 
@@ -141,20 +201,43 @@ function formatDUID (duid) {
   return hex.match(/.{2}/g).join(':').toUpperCase()
 }
 
+/**
+ * Set the DUID to one generated from the interface's current MAC address
+ * @param {string} iface - Network interface
+ * @param {number} [type] - DUID type (default: DUID-LL)
+ * @param {boolean} [verify=true] - Whether to verify the change
+ * @returns {Buffer} The DUID that was set
+ */
 function syncDUID (iface, type = DUID_TYPES.DUID_LL, verify = true) {
-  const currentMac = getCurrentMACAddress(iface)
+  return runSync(syncDUIDSteps(iface, type, verify))
+}
+
+/**
+ * Promise-based variant of syncDUID()
+ * @param {string} iface
+ * @param {number} [type]
+ * @param {boolean} [verify=true]
+ * @param {Object} [options] - { signal: AbortSignal, timeout: per-command ms }
+ * @returns {Promise<Buffer>}
+ */
+function syncDUIDAsync (iface, type = DUID_TYPES.DUID_LL, verify = true, options) {
+  return runAsync(syncDUIDSteps(iface, type, verify), options)
+}
+
+function * syncDUIDSteps (iface, type, verify) {
+  const currentMac = yield * getCurrentMACAddressSteps(iface)
   if (!currentMac) {
     throw new Error(`Could not get MAC address for interface: ${iface}`)
   }
   const duid = generateDUID(type, currentMac)
-  setDUID(duid, iface, verify)
+  yield * setDUIDSteps(duid, iface, verify)
   return duid
 }
 
 // Original DUID storage (persists across reboots)
 
 function getOriginalDUIDPath () {
-  switch (platform) {
+  switch (settings.platform) {
     case 'darwin':
       return '/var/db/dhcpclient/DUID.original'
     case 'linux': {
@@ -200,7 +283,7 @@ function storeOriginalDUID (duid) {
   const metadata = {
     duid: duid.toString('hex'),
     storedAt: new Date().toISOString(),
-    platform,
+    platform: settings.platform,
     hostname: os.hostname()
   }
 
@@ -256,14 +339,14 @@ function clearOriginalDUID () {
 const macos = {
   DUID_PATH: '/var/db/dhcpclient/DUID',
 
-  getCurrentDUID () {
+  * getCurrentDUID () {
     try {
       if (fs.existsSync(this.DUID_PATH)) {
         return fs.readFileSync(this.DUID_PATH)
       }
-      const result = execSync('defaults read /var/db/dhcpclient/DUID 2>/dev/null || true', {
+      const result = (yield runner.shell('defaults read /var/db/dhcpclient/DUID 2>/dev/null || true', {
         encoding: 'utf8'
-      }).trim()
+      })).trim()
       if (result) {
         return hexToDuid(result)
       }
@@ -274,8 +357,8 @@ const macos = {
   /**
    * Backup original DUID (only once, preserves the true original)
    */
-  backupOriginal () {
-    const current = this.getCurrentDUID()
+  * backupOriginal () {
+    const current = yield * this.getCurrentDUID()
     if (current) {
       const stored = storeOriginalDUID(current)
       return stored
@@ -283,22 +366,22 @@ const macos = {
     return false
   },
 
-  setDUID (duid, iface = null) {
-    this.backupOriginal()
+  * setDUID (duid, iface = null) {
+    yield * this.backupOriginal()
     if (iface) {
       try {
-        execSync(`networksetup -setv6off "${iface}"`, { stdio: 'pipe' })
+        yield runner.shell(`networksetup -setv6off "${iface}"`, { stdio: 'pipe' })
       } catch (e) {
-        const hwPort = this.getHardwarePort(iface)
+        const hwPort = yield * this.getHardwarePort(iface)
         if (hwPort) {
-          execSync(`networksetup -setv6off "${hwPort}"`, { stdio: 'pipe' })
+          yield runner.shell(`networksetup -setv6off "${hwPort}"`, { stdio: 'pipe' })
         }
       }
     }
 
     try {
-      execSync('rm -f /var/db/dhcpclient/DUID*', { stdio: 'pipe' })
-      execSync('rm -rf /var/db/dhcpclient/leases/*', { stdio: 'pipe' })
+      yield runner.shell('rm -f /var/db/dhcpclient/DUID*', { stdio: 'pipe' })
+      yield runner.shell('rm -rf /var/db/dhcpclient/leases/*', { stdio: 'pipe' })
     } catch (e) {}
 
     const duidDir = path.dirname(this.DUID_PATH)
@@ -308,11 +391,11 @@ const macos = {
     fs.writeFileSync(this.DUID_PATH, duid)
     if (iface) {
       try {
-        execSync(`networksetup -setv6automatic "${iface}"`, { stdio: 'pipe' })
+        yield runner.shell(`networksetup -setv6automatic "${iface}"`, { stdio: 'pipe' })
       } catch (e) {
-        const hwPort = this.getHardwarePort(iface)
+        const hwPort = yield * this.getHardwarePort(iface)
         if (hwPort) {
-          execSync(`networksetup -setv6automatic "${hwPort}"`, { stdio: 'pipe' })
+          yield runner.shell(`networksetup -setv6automatic "${hwPort}"`, { stdio: 'pipe' })
         }
       }
     }
@@ -325,7 +408,7 @@ const macos = {
    * @param {string} [iface] - Network interface
    * @returns {boolean|string} true if restored, false if no original, 'not_spoofed' if current matches original
    */
-  restoreDUID (iface = null) {
+  * restoreDUID (iface = null) {
     const original = getOriginalDUID()
 
     if (!original) {
@@ -333,7 +416,7 @@ const macos = {
     }
 
     // Check if we're already at original
-    const current = this.getCurrentDUID()
+    const current = yield * this.getCurrentDUID()
     if (current && current.equals(original)) {
       return 'not_spoofed' // Already at original
     }
@@ -341,19 +424,19 @@ const macos = {
     // Disable IPv6 temporarily
     if (iface) {
       try {
-        execSync(`networksetup -setv6off "${iface}"`, { stdio: 'pipe' })
+        yield runner.shell(`networksetup -setv6off "${iface}"`, { stdio: 'pipe' })
       } catch (e) {
-        const hwPort = this.getHardwarePort(iface)
+        const hwPort = yield * this.getHardwarePort(iface)
         if (hwPort) {
-          execSync(`networksetup -setv6off "${hwPort}"`, { stdio: 'pipe' })
+          yield runner.shell(`networksetup -setv6off "${hwPort}"`, { stdio: 'pipe' })
         }
       }
     }
 
     // Clear existing DHCP leases and DUID
     try {
-      execSync('rm -f /var/db/dhcpclient/DUID', { stdio: 'pipe' })
-      execSync('rm -rf /var/db/dhcpclient/leases/*', { stdio: 'pipe' })
+      yield runner.shell('rm -f /var/db/dhcpclient/DUID', { stdio: 'pipe' })
+      yield runner.shell('rm -rf /var/db/dhcpclient/leases/*', { stdio: 'pipe' })
     } catch (e) {}
 
     // Write original DUID back
@@ -362,11 +445,11 @@ const macos = {
     // Re-enable IPv6
     if (iface) {
       try {
-        execSync(`networksetup -setv6automatic "${iface}"`, { stdio: 'pipe' })
+        yield runner.shell(`networksetup -setv6automatic "${iface}"`, { stdio: 'pipe' })
       } catch (e) {
-        const hwPort = this.getHardwarePort(iface)
+        const hwPort = yield * this.getHardwarePort(iface)
         if (hwPort) {
-          execSync(`networksetup -setv6automatic "${hwPort}"`, { stdio: 'pipe' })
+          yield runner.shell(`networksetup -setv6automatic "${hwPort}"`, { stdio: 'pipe' })
         }
       }
     }
@@ -378,25 +461,25 @@ const macos = {
    * Reset DUID (remove spoofed DUID, system will regenerate)
    * Note: This generates a NEW DUID, not the original. Use restoreDUID() to get original back.
    */
-  resetDUID (iface = null) {
+  * resetDUID (iface = null) {
     // Disable IPv6
     if (iface) {
-      const hwPort = this.getHardwarePort(iface) || iface
+      const hwPort = (yield * this.getHardwarePort(iface)) || iface
       try {
-        execSync(`networksetup -setv6off "${hwPort}"`, { stdio: 'pipe' })
+        yield runner.shell(`networksetup -setv6off "${hwPort}"`, { stdio: 'pipe' })
       } catch (e) {}
     }
 
     // Remove DUID file (but NOT the .original backup!)
     try {
-      execSync('rm -f /var/db/dhcpclient/DUID', { stdio: 'pipe' })
+      yield runner.shell('rm -f /var/db/dhcpclient/DUID', { stdio: 'pipe' })
     } catch (e) {}
 
     // Re-enable IPv6 (system will generate new DUID)
     if (iface) {
-      const hwPort = this.getHardwarePort(iface) || iface
+      const hwPort = (yield * this.getHardwarePort(iface)) || iface
       try {
-        execSync(`networksetup -setv6automatic "${hwPort}"`, { stdio: 'pipe' })
+        yield runner.shell(`networksetup -setv6automatic "${hwPort}"`, { stdio: 'pipe' })
       } catch (e) {}
     }
 
@@ -406,9 +489,9 @@ const macos = {
   /**
    * Get hardware port name from device name
    */
-  getHardwarePort (device) {
+  * getHardwarePort (device) {
     try {
-      const output = execSync('networksetup -listallhardwareports', { encoding: 'utf8' })
+      const output = yield runner.shell('networksetup -listallhardwareports', { encoding: 'utf8' })
       const lines = output.split('\n')
       for (let i = 0; i < lines.length; i++) {
         if (lines[i].includes(`Device: ${device}`)) {
@@ -436,19 +519,19 @@ const linux = {
   /**
    * Detect which DHCP client is in use
    */
-  detectDHCPClient () {
+  * detectDHCPClient () {
     try {
-      execSync('systemctl is-active systemd-networkd', { stdio: 'pipe' })
+      yield runner.shell('systemctl is-active systemd-networkd', { stdio: 'pipe' })
       return 'systemd'
     } catch (e) {}
 
     try {
-      execSync('pgrep dhclient', { stdio: 'pipe' })
+      yield runner.shell('pgrep dhclient', { stdio: 'pipe' })
       return 'dhclient'
     } catch (e) {}
 
     try {
-      execSync('pgrep NetworkManager', { stdio: 'pipe' })
+      yield runner.shell('pgrep NetworkManager', { stdio: 'pipe' })
       return 'networkmanager'
     } catch (e) {}
 
@@ -458,13 +541,13 @@ const linux = {
   /**
    * Get current DUID on Linux
    */
-  getCurrentDUID () {
-    const client = this.detectDHCPClient()
+  * getCurrentDUID () {
+    const client = yield * this.detectDHCPClient()
 
     switch (client) {
       case 'systemd': {
         try {
-          const output = execSync('networkctl status 2>/dev/null | grep -i duid', {
+          const output = yield runner.shell('networkctl status 2>/dev/null | grep -i duid', {
             encoding: 'utf8'
           })
           const match = output.match(/DUID:\s*([0-9a-fA-F:]+)/i)
@@ -490,7 +573,7 @@ const linux = {
 
       case 'networkmanager': {
         try {
-          const output = execSync('nmcli -g dhcp6.duid connection show', {
+          const output = yield runner.shell('nmcli -g dhcp6.duid connection show', {
             encoding: 'utf8'
           })
           if (output.trim()) {
@@ -507,8 +590,8 @@ const linux = {
   /**
    * Backup original DUID (only once, preserves the true original)
    */
-  backupOriginal () {
-    const current = this.getCurrentDUID()
+  * backupOriginal () {
+    const current = yield * this.getCurrentDUID()
     if (current) {
       const stored = storeOriginalDUID(current)
       return stored
@@ -519,11 +602,11 @@ const linux = {
   /**
    * Set DUID on Linux
    */
-  setDUID (duid, iface = null) {
+  * setDUID (duid, iface = null) {
     // Store original DUID if this is the first time spoofing
-    this.backupOriginal()
+    yield * this.backupOriginal()
 
-    const client = this.detectDHCPClient()
+    const client = yield * this.detectDHCPClient()
     const duidHex = formatDUID(duid).toLowerCase()
 
     switch (client) {
@@ -564,7 +647,7 @@ DUIDRawData=${rawDuid}
 
         // Restart networkd
         try {
-          execSync('systemctl restart systemd-networkd', { stdio: 'pipe' })
+          yield runner.shell('systemctl restart systemd-networkd', { stdio: 'pipe' })
         } catch (e) {}
 
         return true
@@ -590,8 +673,8 @@ DUIDRawData=${rawDuid}
         // Restart dhclient if running
         if (iface) {
           try {
-            execSync(`dhclient -6 -r ${iface} 2>/dev/null || true`, { stdio: 'pipe' })
-            execSync(`dhclient -6 ${iface} 2>/dev/null || true`, { stdio: 'pipe' })
+            yield runner.shell(`dhclient -6 -r ${iface} 2>/dev/null || true`, { stdio: 'pipe' })
+            yield runner.shell(`dhclient -6 ${iface} 2>/dev/null || true`, { stdio: 'pipe' })
           } catch (e) {}
         }
 
@@ -602,15 +685,15 @@ DUIDRawData=${rawDuid}
         if (iface) {
           // Get connection name for interface
           try {
-            const connName = execSync(`nmcli -g GENERAL.CONNECTION device show ${iface}`, {
+            const connName = (yield runner.shell(`nmcli -g GENERAL.CONNECTION device show ${iface}`, {
               encoding: 'utf8'
-            }).trim()
+            })).trim()
 
             if (connName) {
-              execSync(`nmcli connection modify "${connName}" ipv6.dhcp-duid ${duidHex}`, {
+              yield runner.shell(`nmcli connection modify "${connName}" ipv6.dhcp-duid ${duidHex}`, {
                 stdio: 'pipe'
               })
-              execSync(`nmcli connection down "${connName}" && nmcli connection up "${connName}"`, {
+              yield runner.shell(`nmcli connection down "${connName}" && nmcli connection up "${connName}"`, {
                 stdio: 'pipe'
               })
             }
@@ -627,7 +710,7 @@ DUIDRawData=${rawDuid}
   /**
    * Restore DUID to the original (pre-spoofing) value
    */
-  restoreDUID (iface = null) {
+  * restoreDUID (iface = null) {
     const original = getOriginalDUID()
 
     if (!original) {
@@ -635,13 +718,13 @@ DUIDRawData=${rawDuid}
     }
 
     // Check if we're already at original
-    const current = this.getCurrentDUID()
+    const current = yield * this.getCurrentDUID()
     if (current && current.equals(original)) {
       return 'not_spoofed' // Already at original
     }
 
     // Set the original DUID back
-    const client = this.detectDHCPClient()
+    const client = yield * this.detectDHCPClient()
     const duidHex = formatDUID(original).toLowerCase()
 
     switch (client) {
@@ -653,7 +736,7 @@ DUIDRawData=${rawDuid}
 `
         fs.writeFileSync(`${this.SYSTEMD_DUID_PATH}/00-duid.conf`, content)
         try {
-          execSync('systemctl restart systemd-networkd', { stdio: 'pipe' })
+          yield runner.shell('systemctl restart systemd-networkd', { stdio: 'pipe' })
         } catch (e) {}
         break
       }
@@ -675,8 +758,8 @@ DUIDRawData=${rawDuid}
 
         if (iface) {
           try {
-            execSync(`dhclient -6 -r ${iface} 2>/dev/null || true`, { stdio: 'pipe' })
-            execSync(`dhclient -6 ${iface} 2>/dev/null || true`, { stdio: 'pipe' })
+            yield runner.shell(`dhclient -6 -r ${iface} 2>/dev/null || true`, { stdio: 'pipe' })
+            yield runner.shell(`dhclient -6 ${iface} 2>/dev/null || true`, { stdio: 'pipe' })
           } catch (e) {}
         }
         break
@@ -685,15 +768,15 @@ DUIDRawData=${rawDuid}
       case 'networkmanager': {
         if (iface) {
           try {
-            const connName = execSync(`nmcli -g GENERAL.CONNECTION device show ${iface}`, {
+            const connName = (yield runner.shell(`nmcli -g GENERAL.CONNECTION device show ${iface}`, {
               encoding: 'utf8'
-            }).trim()
+            })).trim()
 
             if (connName) {
-              execSync(`nmcli connection modify "${connName}" ipv6.dhcp-duid ${duidHex}`, {
+              yield runner.shell(`nmcli connection modify "${connName}" ipv6.dhcp-duid ${duidHex}`, {
                 stdio: 'pipe'
               })
-              execSync(`nmcli connection down "${connName}" && nmcli connection up "${connName}"`, {
+              yield runner.shell(`nmcli connection down "${connName}" && nmcli connection up "${connName}"`, {
                 stdio: 'pipe'
               })
             }
@@ -710,8 +793,8 @@ DUIDRawData=${rawDuid}
    * Reset DUID to system default (generates NEW DUID, not original)
    * Use restoreDUID() to get the original back
    */
-  resetDUID (iface = null) {
-    const client = this.detectDHCPClient()
+  * resetDUID (iface = null) {
+    const client = yield * this.detectDHCPClient()
 
     switch (client) {
       case 'systemd': {
@@ -728,7 +811,7 @@ DUIDRawData=${rawDuid}
         })
 
         try {
-          execSync('systemctl restart systemd-networkd', { stdio: 'pipe' })
+          yield runner.shell('systemctl restart systemd-networkd', { stdio: 'pipe' })
         } catch (e) {}
         break
       }
@@ -745,13 +828,13 @@ DUIDRawData=${rawDuid}
       case 'networkmanager': {
         if (iface) {
           try {
-            const connName = execSync(`nmcli -g GENERAL.CONNECTION device show ${iface}`, {
+            const connName = (yield runner.shell(`nmcli -g GENERAL.CONNECTION device show ${iface}`, {
               encoding: 'utf8'
-            }).trim()
+            })).trim()
 
             if (connName) {
               // Reset to default (stable)
-              execSync(`nmcli connection modify "${connName}" ipv6.dhcp-duid stable-llt`, {
+              yield runner.shell(`nmcli connection modify "${connName}" ipv6.dhcp-duid stable-llt`, {
                 stdio: 'pipe'
               })
             }
@@ -775,9 +858,9 @@ const windows = {
   /**
    * Get current DUID on Windows
    */
-  getCurrentDUID () {
+  * getCurrentDUID () {
     try {
-      const output = execSync(
+      const output = yield runner.shell(
         `reg query "${this.REGISTRY_PATH}" /v Dhcpv6DUID 2>nul`,
         { encoding: 'utf8' }
       )
@@ -794,8 +877,8 @@ const windows = {
   /**
    * Backup original DUID (only once, preserves the true original)
    */
-  backupOriginal () {
-    const current = this.getCurrentDUID()
+  * backupOriginal () {
+    const current = yield * this.getCurrentDUID()
     if (current) {
       const stored = storeOriginalDUID(current)
       return stored
@@ -806,15 +889,15 @@ const windows = {
   /**
    * Set DUID on Windows
    */
-  setDUID (duid, iface = null) {
+  * setDUID (duid, iface = null) {
     // Store original DUID if this is the first time spoofing
-    this.backupOriginal()
+    yield * this.backupOriginal()
 
     const duidHex = duid.toString('hex').toUpperCase()
 
     // Set registry value
     try {
-      execSync(
+      yield runner.shell(
         `reg add "${this.REGISTRY_PATH}" /v Dhcpv6DUID /t REG_BINARY /d ${duidHex} /f`,
         { stdio: 'pipe' }
       )
@@ -826,12 +909,12 @@ const windows = {
     if (iface) {
       try {
         // Disable and re-enable IPv6
-        execSync(`netsh interface ipv6 set interface "${iface}" disabled`, { stdio: 'pipe' })
-        execSync(`netsh interface ipv6 set interface "${iface}" enabled`, { stdio: 'pipe' })
+        yield runner.shell(`netsh interface ipv6 set interface "${iface}" disabled`, { stdio: 'pipe' })
+        yield runner.shell(`netsh interface ipv6 set interface "${iface}" enabled`, { stdio: 'pipe' })
       } catch (e) {
         // Try PowerShell method
         try {
-          execSync(
+          yield runner.shell(
             `powershell -Command "Disable-NetAdapterBinding -Name '${iface}' -ComponentID ms_tcpip6; Enable-NetAdapterBinding -Name '${iface}' -ComponentID ms_tcpip6"`,
             { stdio: 'pipe' }
           )
@@ -845,7 +928,7 @@ const windows = {
   /**
    * Restore DUID to the original (pre-spoofing) value
    */
-  restoreDUID (iface = null) {
+  * restoreDUID (iface = null) {
     const original = getOriginalDUID()
 
     if (!original) {
@@ -853,7 +936,7 @@ const windows = {
     }
 
     // Check if we're already at original
-    const current = this.getCurrentDUID()
+    const current = yield * this.getCurrentDUID()
     if (current && current.equals(original)) {
       return 'not_spoofed' // Already at original
     }
@@ -862,7 +945,7 @@ const windows = {
 
     // Set registry value
     try {
-      execSync(
+      yield runner.shell(
         `reg add "${this.REGISTRY_PATH}" /v Dhcpv6DUID /t REG_BINARY /d ${duidHex} /f`,
         { stdio: 'pipe' }
       )
@@ -873,11 +956,11 @@ const windows = {
     // Restart IPv6 on the interface
     if (iface) {
       try {
-        execSync(`netsh interface ipv6 set interface "${iface}" disabled`, { stdio: 'pipe' })
-        execSync(`netsh interface ipv6 set interface "${iface}" enabled`, { stdio: 'pipe' })
+        yield runner.shell(`netsh interface ipv6 set interface "${iface}" disabled`, { stdio: 'pipe' })
+        yield runner.shell(`netsh interface ipv6 set interface "${iface}" enabled`, { stdio: 'pipe' })
       } catch (e) {
         try {
-          execSync(
+          yield runner.shell(
             `powershell -Command "Disable-NetAdapterBinding -Name '${iface}' -ComponentID ms_tcpip6; Enable-NetAdapterBinding -Name '${iface}' -ComponentID ms_tcpip6"`,
             { stdio: 'pipe' }
           )
@@ -892,9 +975,9 @@ const windows = {
    * Reset DUID (delete registry key, system will regenerate)
    * Note: This generates a NEW DUID, not the original. Use restoreDUID() to get original back.
    */
-  resetDUID (iface = null) {
+  * resetDUID (iface = null) {
     try {
-      execSync(`reg delete "${this.REGISTRY_PATH}" /v Dhcpv6DUID /f`, { stdio: 'pipe' })
+      yield runner.shell(`reg delete "${this.REGISTRY_PATH}" /v Dhcpv6DUID /f`, { stdio: 'pipe' })
     } catch (e) {
       // May not exist
     }
@@ -902,8 +985,8 @@ const windows = {
     // Restart IPv6 to trigger regeneration
     if (iface) {
       try {
-        execSync(`netsh interface ipv6 set interface "${iface}" disabled`, { stdio: 'pipe' })
-        execSync(`netsh interface ipv6 set interface "${iface}" enabled`, { stdio: 'pipe' })
+        yield runner.shell(`netsh interface ipv6 set interface "${iface}" disabled`, { stdio: 'pipe' })
+        yield runner.shell(`netsh interface ipv6 set interface "${iface}" enabled`, { stdio: 'pipe' })
       } catch (e) {}
     }
 
@@ -919,7 +1002,7 @@ const windows = {
  * Get platform-specific implementation
  */
 function getPlatformImpl () {
-  switch (platform) {
+  switch (settings.platform) {
     case 'darwin':
       return macos
     case 'linux':
@@ -927,54 +1010,65 @@ function getPlatformImpl () {
     case 'win32':
       return windows
     default:
-      throw new Error(`Unsupported platform: ${platform}`)
+      throw new Error(`Unsupported platform: ${settings.platform}`)
   }
 }
 
+/**
+ * Wrap the step methods of a platform implementation as blocking methods,
+ * so the `platforms` export keeps its synchronous interface
+ * @param {Object} impl
+ * @returns {Object}
+ */
+function syncPlatform (impl) {
+  const wrapped = {}
+  for (const key of Object.keys(impl)) {
+    const value = impl[key]
+    wrapped[key] = typeof value === 'function'
+      ? (...args) => runSync(value.apply(impl, args))
+      : value
+  }
+  return wrapped
+}
+
 /**
  * Get current DUID
  * @returns {Buffer|null}
  */
 function getCurrentDUID () {
-  return getPlatformImpl().getCurrentDUID()
+  return runSync(getCurrentDUIDSteps())
 }
 
 /**
- * Synchronous sleep using Atomics.wait (non-blocking alternative to busy-wait)
- * Falls back to busy-wait only if SharedArrayBuffer is not available
- * @param {number} ms - Milliseconds to sleep
+ * Promise-based variant of getCurrentDUID()
+ * @param {Object} [options] - { signal: AbortSignal, timeout: per-command ms }
+ * @returns {Promise<Buffer|null>}
  */
-function sleepSync (ms) {
-  if (typeof SharedArrayBuffer !== 'undefined') {
-    const sab = new SharedArrayBuffer(4)
-    const int32 = new Int32Array(sab)
-    Atomics.wait(int32, 0, 0, ms)
-  } else {
-    // Fallback for environments without SharedArrayBuffer
-    const end = Date.now() + ms
-    while (Date.now() < end) {
-      // Busy wait fallback
-    }
-  }
+function getCurrentDUIDAsync (options) {
+  return runAsync(getCurrentDUIDSteps(), options)
+}
+
+function * getCurrentDUIDSteps () {
+  return yield * getPlatformImpl().getCurrentDUID()
 }
 
 /**
- * Retries a function with exponential backoff (sync version)
- * @param {Function} fn
+ * Retries a step generator function with exponential backoff
+ * @param {GeneratorFunction} fn
  * @param {number} maxRetries
  * @param {number} delay
  * @return {any}
  */
-function retry (fn, maxRetries = 3, delay = 500) {
+function * retry (fn, maxRetries = 3, delay = 500) {
   let lastError
   for (let i = 0; i < maxRetries; i++) {
     try {
-      return fn()
+      return yield * fn()
     } catch (err) {
       lastError = err
       if (i < maxRetries - 1) {
         const waitTime = delay * Math.pow(2, i)
-        sleepSync(waitTime)
+        yield runner.sleep(waitTime)
       }
     }
   }
@@ -989,19 +1083,34 @@ function retry (fn, maxRetries = 3, delay = 500) {
  * @returns {Buffer} The DUID that was set
  */
 function setDUID (duid, iface = null, verify = true) {
+  return runSync(setDUIDSteps(duid, iface, verify))
+}
+
+/**
+ * Promise-based variant of setDUID()
+ * @param {Buffer|string} duid
+ * @param {string} [iface]
+ * @param {boolean} [verify=true]
+ * @param {Object} [options] - { signal: AbortSignal, timeout: per-command ms }
+ * @returns {Promise<Buffer>}
+ */
+function setDUIDAsync (duid, iface = null, verify = true, options) {
+  return runAsync(setDUIDSteps(duid, iface, verify), options)
+}
+
+function * setDUIDSteps (duid, iface, verify) {
   const duidBuf = Buffer.isBuffer(duid) ? duid : hexToDuid(duid)
-  const oldDuid = getCurrentDUID()
-  
+
   // Set the DUID
-  getPlatformImpl().setDUID(duidBuf, iface)
-  
+  yield * getPlatformImpl().setDUID(duidBuf, iface)
+
   // Verify the change if requested
   if (verify) {
     let newDuid
     try {
       // Retry verification with exponential backoff (DUID changes may take time to propagate)
-      newDuid = retry(() => {
-        const current = getCurrentDUID()
+      newDuid = yield * retry(function * () {
+        const current = yield * getCurrentDUIDSteps()
         if (!current) {
           throw new Error('DUID not found after setting')
         }
@@ -1009,35 +1118,34 @@ function setDUID (duid, iface = null, verify = true) {
       }, 3, 1000)
     } catch (err) {
       // If verification fails, try one more time after a longer delay
-      const { execSync } = require('child_process')
       try {
         // Wait a bit longer for DHCP client to pick up the change
-        sleepSync(2000)
-        newDuid = getCurrentDUID()
+        yield runner.sleep(2000)
+        newDuid = yield * getCurrentDUIDSteps()
       } catch (e) {
         // If still can't verify, throw error
         throw new Error(
-          `DUID change verification failed. ` +
+          'DUID change verification failed. ' +
           `Expected: ${formatDUID(duidBuf)}, but could not read current DUID. ` +
-          `The DUID may have been set but verification failed. ` +
+          'The DUID may have been set but verification failed. ' +
           `Original error: ${err.message}`
         )
       }
     }
-    
+
     // Compare DUIDs (handle both Buffer and hex string comparison)
     const expectedHex = duidBuf.toString('hex').toLowerCase()
     const actualHex = newDuid.toString('hex').toLowerCase()
-    
+
     if (actualHex !== expectedHex) {
       throw new Error(
-        `DUID change verification failed. ` +
+        'DUID change verification failed. ' +
         `Expected: ${formatDUID(duidBuf)}, but got: ${formatDUID(newDuid)}. ` +
-        `The DUID may not have been set correctly.`
+        'The DUID may not have been set correctly.'
       )
     }
   }
-  
+
   return duidBuf
 }
 
@@ -1054,27 +1162,56 @@ function randomizeDUID (type = DUID_TYPES.DUID_LL, iface = null, mac = null, ver
   return duid
 }
 
+/**
+ * Promise-based variant of randomizeDUID()
+ * @param {number} [type]
+ * @param {string} [iface]
+ * @param {string} [mac]
+ * @param {boolean} [verify=true]
+ * @param {Object} [options] - { signal: AbortSignal, timeout: per-command ms }
+ * @returns {Promise<Buffer>}
+ */
+async function randomizeDUIDAsync (type = DUID_TYPES.DUID_LL, iface = null, mac = null, verify = true, options) {
+  const duid = generateDUID(type, mac)
+  await setDUIDAsync(duid, iface, verify, options)
+  return duid
+}
+
 /**
  * Restore DUID from backup
  * @param {string} [iface] - Network interface
  * @param {boolean} [verify=true] - Whether to verify the change
  */
 function restoreDUID (iface = null, verify = true) {
+  return runSync(restoreDUIDSteps(iface, verify))
+}
+
+/**
+ * Promise-based variant of restoreDUID()
+ * @param {string} [iface]
+ * @param {boolean} [verify=true]
+ * @param {Object} [options] - { signal: AbortSignal, timeout: per-command ms }
+ * @returns {Promise<boolean|string>}
+ */
+function restoreDUIDAsync (iface = null, verify = true, options) {
+  return runAsync(restoreDUIDSteps(iface, verify), options)
+}
+
+function * restoreDUIDSteps (iface, verify) {
   const original = getOriginalDUID()
   if (!original) {
     return false // No original stored
   }
-  
-  const oldDuid = getCurrentDUID()
-  const result = getPlatformImpl().restoreDUID(iface)
-  
+
+  const result = yield * getPlatformImpl().restoreDUID(iface)
+
   // Verify the change if requested and restore was successful
   if (verify && result === true) {
     let newDuid
     try {
       // Retry verification with exponential backoff
-      newDuid = retry(() => {
-        const current = getCurrentDUID()
+      newDuid = yield * retry(function * () {
+        const current = yield * getCurrentDUIDSteps()
         if (!current) {
           throw new Error('DUID not found after restore')
         }
@@ -1082,30 +1219,30 @@ function restoreDUID (iface = null, verify = true) {
       }, 3, 1000)
     } catch (err) {
       // Wait a bit longer and try once more
-      sleepSync(2000)
-      newDuid = getCurrentDUID()
+      yield runner.sleep(2000)
+      newDuid = yield * getCurrentDUIDSteps()
       if (!newDuid) {
         throw new Error(
-          `DUID restore verification failed. ` +
-          `Expected to restore original DUID, but could not read current DUID. ` +
+          'DUID restore verification failed. ' +
+          'Expected to restore original DUID, but could not read current DUID. ' +
           `Original error: ${err.message}`
         )
       }
     }
-    
+
     // Verify it matches the original
     const expectedHex = original.toString('hex').toLowerCase()
     const actualHex = newDuid.toString('hex').toLowerCase()
-    
+
     if (actualHex !== expectedHex) {
       throw new Error(
-        `DUID restore verification failed. ` +
+        'DUID restore verification failed. ' +
         `Expected: ${formatDUID(original)}, but got: ${formatDUID(newDuid)}. ` +
-        `The DUID may not have been restored correctly.`
+        'The DUID may not have been restored correctly.'
       )
     }
   }
-  
+
   return result
 }
 
@@ -1114,7 +1251,17 @@ function restoreDUID (iface = null, verify = true) {
  * @param {string} [iface] - Network interface
  */
 function resetDUID (iface = null) {
-  return getPlatformImpl().resetDUID(iface)
+  return runSync(getPlatformImpl().resetDUID(iface))
+}
+
+/**
+ * Promise-based variant of resetDUID()
+ * @param {string} [iface]
+ * @param {Object} [options] - { signal: AbortSignal, timeout: per-command ms }
+ * @returns {Promise<boolean>}
+ */
+function resetDUIDAsync (iface = null, options) {
+  return runAsync(getPlatformImpl().resetDUID(iface), options)
 }
 
 /**
@@ -1191,6 +1338,7 @@ module.exports = {
   generateDUID,
   generateRandomMAC,
   getCurrentMACAddress,
+  getCurrentMACAddressAsync,
 
   // Conversion utilities
   duidToHex,
@@ -1206,6 +1354,7 @@ module.exports = {
   getOriginalDUIDPath,
 
   // Cross-platform API
+  configure,
   getCurrentDUID,
   setDUID,
   randomizeDUID,
@@ -1213,10 +1362,18 @@ module.exports = {
   resetDUID,
   syncDUID,
 
+  // Promise-based API (non-blocking, accepts { signal, timeout })
+  getCurrentDUIDAsync,
+  setDUIDAsync,
+  randomizeDUIDAsync,
+  restoreDUIDAsync,
+  resetDUIDAsync,
+  syncDUIDAsync,
+
   // Platform-specific (for advanced use)
   platforms: {
-    macos,
-    linux,
-    windows
+    macos: syncPlatform(macos),
+    linux: syncPlatform(linux),
+    windows: syncPlatform(windows)
   }
 }
@@ -0,0 +1,175 @@
+/**
+ * Modified EUI-64 interface identifiers and the IPv6 addresses built from them
+ * RFC 4291 (appendix A) and RFC 4862 (SLAAC)
+ *
+ * An EUI-64 based address embeds the MAC address it was generated from:
+ * FF:FE is inserted in the middle and the universal/local bit is flipped.
+ * Such an address keeps exposing the old MAC after it has been spoofed, so
+ * the reverse conversion is used to detect it.
+ */
+
+const net = require('net')
+
+const LINK_LOCAL_PREFIX = 'fe80::/64'
+
+/**
+ * Parses a MAC address in any of the usual notations
+ * @param {string} mac
+ * @returns {Buffer} 6 bytes
+ */
+function parseMAC (mac) {
+  const hex = typeof mac === 'string' ? mac.trim().replace(/[:\-.]/g, '') : ''
+  if (!/^[0-9a-f]{12}$/i.test(hex)) {
+    throw new Error(`Invalid MAC address: ${mac}`)
+  }
+  return Buffer.from(hex, 'hex')
+}
+
+/**
+ * @param {Buffer} bytes
+ * @returns {string} XX:XX:...
+ */
+function formatBytes (bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(':').toUpperCase()
+}
+
+/**
+ * Parses an IPv6 address, ignoring a zone index (%en0) and prefix length (/64)
+ * @param {string} address
+ * @returns {Buffer|null} 16 bytes, or null if not an IPv6 address
+ */
+function parseIPv6 (address) {
+  if (typeof address !== 'string') {
+    return null
+  }
+  let text = address.trim().replace(/\/\d+$/, '').replace(/%.*$/, '')
+  if (!net.isIPv6(text)) {
+    return null
+  }
+
+  // Embedded IPv4 (e.g. ::ffff:192.0.2.1) becomes two groups
+  const ipv4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text)
+  if (ipv4) {
+    const b = ipv4.slice(1).map(Number)
+    text = text.slice(0, ipv4.index) + ((b[0] << 8) | b[1]).toString(16) + ':' + ((b[2] << 8) | b[3]).toString(16)
+  }
+
+  const [head, tail] = text.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const missing = 8 - headGroups.length - tailGroups.length
+  const groups = tail === undefined
+    ? headGroups
+    : headGroups.concat(new Array(missing).fill('0'), tailGroups)
+
+  const bytes = Buffer.alloc(16)
+  groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2))
+  return bytes
+}
+
+/**
+ * Formats an IPv6 address in the canonical text form of RFC 5952 (lower
+ * case, longest run of zero groups compressed)
+ * @param {Buffer} bytes - 16 bytes
+ * @returns {string}
+ */
+function formatIPv6 (bytes) {
+  const groups = []
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(bytes.readUInt16BE(i))
+  }
+
+  // Longest run of at least two zero groups (first one wins a tie)
+  let best = { start: -1, length: 1 }
+  for (let i = 0; i < 8; i++) {
+    let length = 0
+    while (i + length < 8 && groups[i + length] === 0) {
+      length++
+    }
+    if (length > best.length) {
+      best = { start: i, length }
+    }
+    i += length
+  }
+
+  const hex = groups.map(group => group.toString(16))
+  if (best.start === -1) {
+    return hex.join(':')
+  }
+  return hex.slice(0, best.start).join(':') + '::' + hex.slice(best.start + best.length).join(':')
+}
+
+/**
+ * Converts a MAC address to its modified EUI-64 interface identifier
+ * @param {string} mac
+ * @returns {Buffer} 8 bytes
+ */
+function interfaceIdentifier (mac) {
+  const bytes = parseMAC(mac)
+  return Buffer.from([bytes[0] ^ 0x02, bytes[1], bytes[2], 0xff, 0xfe, bytes[3], bytes[4], bytes[5]])
+}
+
+/**
+ * Modified EUI-64 identifier of a MAC address, e.g.
+ * 00:1A:2B:3C:4D:5E -> 02:1A:2B:FF:FE:3C:4D:5E
+ * @param {string} mac
+ * @returns {string}
+ */
+function toEUI64 (mac) {
+  return formatBytes(interfaceIdentifier(mac))
+}
+
+/**
+ * SLAAC address of a MAC address in a /64 prefix
+ * @param {string} mac
+ * @param {string} prefix - e.g. "2001:db8:1:2::/64" (the length may be omitted)
+ * @returns {string}
+ */
+function ipv6Address (mac, prefix) {
+  const length = /\/(\d+)$/.exec(prefix || '')
+  if (length && Number(length[1]) !== 64) {
+    throw new Error(`SLAAC addresses need a /64 prefix, got /${length[1]}`)
+  }
+  const network = parseIPv6(prefix)
+  if (!network) {
+    throw new Error(`Invalid IPv6 prefix: ${prefix}`)
+  }
+
+  const bytes = Buffer.alloc(16)
+  network.copy(bytes, 0, 0, 8)
+  interfaceIdentifier(mac).copy(bytes, 8)
+  return formatIPv6(bytes)
+}
+
+/**
+ * Link-local (fe80::/64) address of a MAC address
+ * @param {string} mac
+ * @returns {string}
+ */
+function linkLocalAddress (mac) {
+  return ipv6Address(mac, LINK_LOCAL_PREFIX)
+}
+
+/**
+ * Extracts the MAC address from an EUI-64 based IPv6 address
+ * @param {string} address
+ * @returns {string|null} The MAC address, or null if the interface
+ *   identifier is not EUI-64 based (e.g. a privacy or stable address)
+ */
+function macFromIPv6 (address) {
+  const bytes = parseIPv6(address)
+  if (!bytes || bytes[11] !== 0xff || bytes[12] !== 0xfe) {
+    return null
+  }
+  return formatBytes([bytes[8] ^ 0x02, bytes[9], bytes[10], bytes[13], bytes[14], bytes[15]])
+}
+
+module.exports = {
+  LINK_LOCAL_PREFIX,
+  parseIPv6,
+  formatIPv6,
+  toEUI64,
+  ipv6Address,
+  linkLocalAddress,
+  macFromIPv6
+}
@@ -0,0 +1,257 @@
+/**
+ * Command executor abstraction
+ * All system commands issued by index.js go through an executor, so the
+ * platform code paths can be driven by recorded transcripts instead of a
+ * live system (e.g. exercising macOS and Windows parsing on a Linux CI box).
+ *
+ * An executor is a plain object:
+ *   {
+ *     platform: 'darwin' | 'linux' | 'win32',
+ *     sysfsRoot: '/sys/class/net' | null,
+ *     execSync (command, options) -> Buffer|string,
+ *     execFileSync (file, args, options) -> Buffer|string,
+ *     exec (command, options) -> Promise<Buffer|string>,
+ *     execFile (file, args, options) -> Promise<Buffer|string>,
+ *     networkInterfaces () -> Object  (shaped like os.networkInterfaces())
+ *   }
+ *
+ * The async methods accept the `timeout` option of child_process.exec/execFile
+ * and a `signal` (AbortSignal) that kills the running command. `sysfsRoot` is the directory Linux
+ * interface discovery reads instead of running commands (see lib/sysfs.js);
+ * null disables it.
+ */
+
+const cp = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+/**
+ * Prepares options for child_process.exec/execFile so that results match
+ * their sync counterparts (Buffer output unless an encoding is given)
+ * @param {Object} options
+ * @returns {Object}
+ */
+function asyncOptions (options) {
+  const { stdio, signal, ...rest } = options
+  return {
+    encoding: 'buffer',
+    maxBuffer: 10 * 1024 * 1024,
+    ...rest
+  }
+}
+
+/**
+ * Wraps a child_process callback so failures look like execSync errors
+ * (exit code in `status`, output in `stdout`/`stderr`), and commands killed
+ * by an abort reject with an AbortError
+ * @param {Function} resolve
+ * @param {Function} reject
+ * @param {AbortSignal} [signal]
+ * @returns {Function}
+ */
+function settle (resolve, reject, signal) {
+  return (err, stdout, stderr) => {
+    if (err) {
+      if (typeof err.code === 'number') {
+        err.status = err.code
+      }
+      if (signal && signal.aborted) {
+        err.name = 'AbortError'
+        err.code = 'ABORT_ERR'
+      }
+      err.stdout = stdout
+      err.stderr = stderr
+      reject(err)
+      return
+    }
+    resolve(stdout)
+  }
+}
+
+/**
+ * Kills a child process when the signal aborts. child_process only takes a
+ * `signal` option from Node.js 15.4, so this is done here on every version
+ * (older versions can pass a polyfilled AbortSignal).
+ * @param {ChildProcess} child
+ * @param {AbortSignal} [signal]
+ */
+function killOnAbort (child, signal) {
+  if (!signal) {
+    return
+  }
+  const onAbort = () => child.kill()
+  if (signal.aborted) {
+    onAbort()
+    return
+  }
+  signal.addEventListener('abort', onAbort, { once: true })
+  child.once('exit', () => signal.removeEventListener('abort', onAbort))
+}
+
+/**
+ * Creates the default executor backed by child_process
+ * @returns {Object}
+ */
+function createSystemExecutor () {
+  return {
+    platform: process.platform,
+    sysfsRoot: process.platform === 'linux' ? '/sys/class/net' : null,
+
+    execSync (command, options = {}) {
+      return cp.execSync(command, options)
+    },
+
+    execFileSync (file, args = [], options = {}) {
+      return cp.execFileSync(file, args, options)
+    },
+
+    exec (command, options = {}) {
+      return new Promise((resolve, reject) => {
+        killOnAbort(cp.exec(command, asyncOptions(options), settle(resolve, reject, options.signal)), options.signal)
+      })
+    },
+
+    execFile (file, args = [], options = {}) {
+      return new Promise((resolve, reject) => {
+        killOnAbort(cp.execFile(file, args, asyncOptions(options), settle(resolve, reject, options.signal)), options.signal)
+      })
+    },
+
+    networkInterfaces () {
+      return os.networkInterfaces()
+    }
+  }
+}
+
+/**
+ * Loads a transcript from a JSON file or returns the object as-is
+ * @param {Object|string} transcript - Transcript object or path to a JSON file
+ * @returns {Object}
+ */
+function loadTranscript (transcript) {
+  if (typeof transcript === 'string') {
+    return JSON.parse(fs.readFileSync(transcript, 'utf8'))
+  }
+  return transcript || {}
+}
+
+/**
+ * Builds the error thrown for a recorded non-zero exit status, shaped like
+ * the errors thrown by child_process.execSync
+ * @param {string} command
+ * @param {Object} response
+ * @returns {Error}
+ */
+function createCommandError (command, response) {
+  const stderr = response.stderr || ''
+  const err = new Error(`Command failed: ${command}\n${stderr}`)
+  err.status = response.status
+  err.signal = response.signal || null
+  err.stdout = Buffer.from(response.stdout || '')
+  err.stderr = Buffer.from(stderr)
+  return err
+}
+
+/**
+ * Creates an executor that replays recorded command output.
+ *
+ * Transcript format:
+ *   {
+ *     "platform": "darwin",
+ *     "commands": [
+ *       { "command": "networksetup -listallhardwareports", "stdout": "..." },
+ *       { "contains": "Get-NetAdapter -Name 'Ethernet'", "stdout": "..." },
+ *       { "command": "ip link set eth0 down", "status": 2, "stderr": "..." }
+ *     ]
+ *   }
+ *
+ * Entries are matched by exact command line (`command`) or by substring
+ * (`contains`). When several entries match the same command they are served
+ * in order, and the last one keeps being served once the others are used up,
+ * which allows replaying "before" and "after" output of the same command.
+ * Commands run via execFileSync are matched against `file` and `args` joined
+ * with single spaces, as they would appear in a recorded terminal session.
+ *
+ * Every call is recorded in `executor.calls`.
+ *
+ * A transcript may also name a fake sysfs tree (`"sysfsRoot"`, relative to
+ * the transcript file); otherwise sysfs discovery is disabled so that only
+ * recorded commands are used. IP addresses are answered from the optional
+ * `"networkInterfaces"` object, in the format of os.networkInterfaces().
+ *
+ * @param {Object|string} transcript - Transcript object or path to a JSON file
+ * @param {Object} [options]
+ * @param {string} [options.platform] - Overrides the transcript platform
+ * @param {string} [options.sysfsRoot] - Overrides the transcript sysfs root
+ * @returns {Object}
+ */
+function createFixtureExecutor (transcript, options = {}) {
+  const data = loadTranscript(transcript)
+  let sysfsRoot = options.sysfsRoot || data.sysfsRoot || null
+  if (sysfsRoot && typeof transcript === 'string') {
+    sysfsRoot = path.resolve(path.dirname(transcript), sysfsRoot)
+  }
+  const entries = (data.commands || []).map(entry => ({ ...entry, used: false }))
+  const calls = []
+
+  function respond (command, execOptions = {}) {
+    calls.push(command)
+
+    const matching = entries.filter(entry =>
+      entry.command !== undefined
+        ? entry.command === command
+        : entry.contains !== undefined && command.includes(entry.contains)
+    )
+
+    if (matching.length === 0) {
+      const err = new Error(`No recorded output for command: ${command}`)
+      err.code = 'ENOENT'
+      err.status = 127
+      throw err
+    }
+
+    const response = matching.find(entry => !entry.used) || matching[matching.length - 1]
+    response.used = true
+
+    if (response.status) {
+      throw createCommandError(command, response)
+    }
+
+    const stdout = response.stdout || ''
+    return execOptions.encoding && execOptions.encoding !== 'buffer'
+      ? stdout
+      : Buffer.from(stdout)
+  }
+
+  return {
+    platform: options.platform || data.platform || process.platform,
+    sysfsRoot,
+    calls,
+
+    execSync (command, execOptions = {}) {
+      return respond(command, execOptions)
+    },
+
+    execFileSync (file, args = [], execOptions = {}) {
+      return respond([file, ...args].join(' '), execOptions)
+    },
+
+    exec (command, execOptions = {}) {
+      return new Promise(resolve => resolve(respond(command, execOptions)))
+    },
+
+    execFile (file, args = [], execOptions = {}) {
+      return new Promise(resolve => resolve(respond([file, ...args].join(' '), execOptions)))
+    },
+
+    networkInterfaces () {
+      return data.networkInterfaces || {}
+    }
+  }
+}
+
+module.exports = {
+  createSystemExecutor,
+  createFixtureExecutor
+}
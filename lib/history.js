@@ -1,50 +1,453 @@
+/**
+ * Change history of MAC addresses and DUIDs
+ *
+ * Entries are appended, oldest first, to a JSON-lines file
+ * (~/.spoofy/history.jsonl), one JSON object per line. Writers take a lock
+ * file so concurrent spoofy runs don't interleave or lose entries, and a
+ * damaged line only loses that entry: it is skipped when reading. Nothing
+ * is dropped unless a retention limit is configured.
+ *
+ * The JSON array file used by older versions (~/.spoofy_history.json) is
+ * converted on first use and kept as ~/.spoofy_history.json.migrated.
+ *
+ * In audit mode (configure({audit: true})) every entry also records who
+ * made the change, where and how, and the SHA-256 hash of the previous
+ * entry, so verifyHistory() can tell when entries were edited or removed.
+ */
+
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
 
-const HISTORY_FILE = path.join(os.homedir(), ".spoofy_history.json");
+const HISTORY_FILE = path.join(os.homedir(), ".spoofy", "history.jsonl");
+const LEGACY_HISTORY_FILE = path.join(os.homedir(), ".spoofy_history.json");
+const LOCK_FILE = HISTORY_FILE + ".lock";
 
-function getHistory() {
-  if (!fs.existsSync(HISTORY_FILE)) {
-    return [];
+// How long a writer waits for the lock, and when a lock left behind by a
+// crashed process is taken over (milliseconds)
+const LOCK_TIMEOUT = 5000;
+const STALE_LOCK_AGE = 30000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Retention limits (null: unlimited) and audit mode, see configure()
+const settings = {
+  maxEntries: null,
+  maxAgeDays: null,
+  audit: false,
+};
+
+// Number of unreadable lines skipped by the last read
+let skippedLines = 0;
+
+/**
+ * Sets the retention limits applied when entries are added, and audit mode
+ * @param {Object} options
+ * @param {number|null} [options.maxEntries] - Keep at most this many entries
+ * @param {number|null} [options.maxAgeDays] - Drop entries older than this
+ * @param {boolean} [options.audit] - Record the acting user, host and
+ *   command line, and chain entries by hash
+ * @returns {Object} The active settings
+ */
+function configure(options = {}) {
+  if (options.audit !== undefined) {
+    if (typeof options.audit !== "boolean") {
+      throw new Error(`Invalid history audit: ${options.audit} (expected true or false)`);
+    }
+    settings.audit = options.audit;
+  }
+  for (const key of ["maxEntries", "maxAgeDays"]) {
+    if (options[key] === undefined) {
+      continue;
+    }
+    const value = options[key];
+    if (value !== null && !(typeof value === "number" && value > 0)) {
+      throw new Error(`Invalid history ${key}: ${value} (expected a positive number or null)`);
+    }
+    settings[key] = value;
+  }
+  return settings;
+}
+
+function debug(message) {
+  if (process.env.DEBUG || process.env.SPOOFY_VERBOSE) {
+    console.warn(`Warning: ${message}`);
+  }
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Whether a lock file was left behind by a process that is gone
+ * @returns {boolean}
+ */
+function isStaleLock() {
+  let stat;
+  let pid;
+  try {
+    stat = fs.statSync(LOCK_FILE);
+    pid = parseInt(fs.readFileSync(LOCK_FILE, "utf8"), 10);
+  } catch (err) {
+    // Released in the meantime
+    return false;
+  }
+  if (Date.now() - stat.mtimeMs > STALE_LOCK_AGE) {
+    return true;
+  }
+  if (pid > 0 && pid !== process.pid) {
+    try {
+      process.kill(pid, 0);
+    } catch (err) {
+      return err.code === "ESRCH";
+    }
+  }
+  return false;
+}
+
+/**
+ * Runs `fn` while holding the history lock
+ * @param {Function} fn
+ * @returns {*} The result of `fn`
+ */
+function withLock(fn) {
+  fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true, mode: 0o700 });
+
+  const deadline = Date.now() + LOCK_TIMEOUT;
+  let fd;
+  for (;;) {
+    try {
+      fd = fs.openSync(LOCK_FILE, "wx");
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") {
+        throw err;
+      }
+      if (isStaleLock()) {
+        debug(`Removing stale history lock ${LOCK_FILE}`);
+        try {
+          fs.unlinkSync(LOCK_FILE);
+        } catch (e) {
+          // Another process removed it first
+        }
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the history lock (${LOCK_FILE})`);
+      }
+      sleep(25);
+    }
+  }
+
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    try {
+      fs.unlinkSync(LOCK_FILE);
+    } catch (err) {
+      // Taken over as stale by another process
+    }
+  }
+}
+
+/**
+ * Parses JSON lines, skipping the ones that can't be read
+ * @param {string} content
+ * @returns {Array} Entries, oldest first
+ */
+function parseLines(content) {
+  const entries = [];
+  skippedLines = 0;
+  content.split("\n").forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      const entry = JSON.parse(line);
+      if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+        throw new Error("not an object");
+      }
+      entries.push(entry);
+    } catch (err) {
+      skippedLines++;
+      debug(`Skipping damaged line ${index + 1} of ${HISTORY_FILE}`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Reads the entries of the pre-JSON-lines history file
+ * @returns {Array|null} Entries, oldest first, or null if unreadable
+ */
+function readLegacyHistory() {
+  try {
+    const entries = JSON.parse(fs.readFileSync(LEGACY_HISTORY_FILE, "utf8"));
+    return Array.isArray(entries) ? entries.slice().reverse() : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Writes entries to the history file, replacing it atomically
+ * @param {Array} entries - Oldest first
+ */
+function writeEntries(entries) {
+  const tmp = `${HISTORY_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, entries.map((entry) => JSON.stringify(entry) + "\n").join(""), { mode: 0o600 });
+  fs.renameSync(tmp, HISTORY_FILE);
+}
+
+/**
+ * Converts the JSON array history of older versions, once
+ */
+function migrateLegacyHistory() {
+  if (fs.existsSync(HISTORY_FILE) || !fs.existsSync(LEGACY_HISTORY_FILE)) {
+    return;
+  }
+  try {
+    withLock(() => {
+      if (fs.existsSync(HISTORY_FILE)) {
+        return;
+      }
+      const entries = readLegacyHistory();
+      if (!entries) {
+        // Leave it for the user to inspect rather than guess
+        debug(`Could not read ${LEGACY_HISTORY_FILE}; it was not migrated`);
+        return;
+      }
+      writeEntries(entries);
+      fs.renameSync(LEGACY_HISTORY_FILE, LEGACY_HISTORY_FILE + ".migrated");
+    });
+  } catch (err) {
+    debug(`Could not migrate ${LEGACY_HISTORY_FILE}: ${err.message}`);
+  }
+}
+
+/**
+ * Reads all entries without taking the lock (appends are atomic lines)
+ * @returns {Array} Entries, oldest first
+ */
+function readEntries() {
+  migrateLegacyHistory();
+  let content;
+  try {
+    content = fs.readFileSync(HISTORY_FILE, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      debug(`Could not read ${HISTORY_FILE}: ${err.message}`);
+    }
+    // Not migrated (e.g. read-only home): show the old history as it is
+    return readLegacyHistory() || [];
+  }
+  return parseLines(content);
+}
+
+/**
+ * Entries within retention limits
+ * @param {Array} entries - Oldest first
+ * @param {Object} limits
+ * @param {number|null} [limits.maxEntries]
+ * @param {number|null} [limits.maxAgeDays]
+ * @param {number|null} [limits.before] - Drop entries older than this time (ms)
+ * @returns {Array} The kept entries, oldest first
+ */
+function retain(entries, { maxEntries = null, maxAgeDays = null, before = null }) {
+  let kept = entries;
+  const cutoff = Math.max(
+    maxAgeDays !== null ? Date.now() - maxAgeDays * DAY : -Infinity,
+    before !== null ? before : -Infinity
+  );
+  if (cutoff > -Infinity) {
+    kept = kept.filter((entry) => !(Date.parse(entry.timestamp) < cutoff));
+  }
+  if (maxEntries !== null && kept.length > maxEntries) {
+    kept = kept.slice(kept.length - maxEntries);
+  }
+  return kept;
+}
+
+/**
+ * Drops entries beyond the retention limits. Must hold the lock.
+ */
+function applyRetention() {
+  if (settings.maxEntries === null && settings.maxAgeDays === null) {
+    return;
   }
+  const entries = parseLines(fs.readFileSync(HISTORY_FILE, "utf8"));
+  const kept = retain(entries, settings);
+  if (kept.length < entries.length) {
+    writeEntries(kept);
+  }
+}
+
+/**
+ * Whether the history file ends without a newline
+ * @returns {boolean}
+ */
+function endsWithPartialLine() {
+  let fd;
   try {
-    const content = fs.readFileSync(HISTORY_FILE, "utf8");
-    return JSON.parse(content);
+    fd = fs.openSync(HISTORY_FILE, "r");
   } catch (err) {
-    return [];
+    return false;
+  }
+  try {
+    const size = fs.fstatSync(fd).size;
+    if (size === 0) {
+      return false;
+    }
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] !== 0x0a;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * SHA-256 of an entry, covering every field but `hash` in stored order
+ * @param {Object} entry
+ * @returns {string} Hex digest
+ */
+function hashEntry(entry) {
+  const { hash, ...fields } = entry;
+  return crypto.createHash("sha256").update(JSON.stringify(fields)).digest("hex");
+}
+
+/**
+ * Who made the change, where and how
+ * @returns {Object}
+ */
+function auditFields() {
+  let user = null;
+  try {
+    user = os.userInfo().username;
+  } catch (err) {
+    user = process.env.USER || process.env.USERNAME || null;
+  }
+  return {
+    user,
+    // The account behind sudo, when run through it
+    sudoUser: process.env.SUDO_USER || null,
+    hostname: os.hostname(),
+    pid: process.pid,
+    argv: process.argv.slice(2),
+  };
+}
+
+/**
+ * Hash of the last chained entry. Must hold the lock.
+ * @returns {string|null}
+ */
+function lastHash() {
+  let content;
+  try {
+    content = fs.readFileSync(HISTORY_FILE, "utf8");
+  } catch (err) {
+    return null;
+  }
+  const entries = parseLines(content);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (typeof entries[i].hash === "string") {
+      return entries[i].hash;
+    }
   }
+  return null;
 }
 
-function saveHistory(history) {
+/**
+ * Appends an entry to the history file
+ * @param {Object} entry
+ * @returns {boolean} Whether the entry was written
+ */
+function appendEntry(entry) {
   try {
-    fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2), "utf8");
+    migrateLegacyHistory();
+    withLock(() => {
+      if (settings.audit) {
+        Object.assign(entry, auditFields(), { prevHash: lastHash() });
+        entry.hash = hashEntry(entry);
+      }
+      // A crash mid-write leaves a partial line; start a new one after it
+      const prefix = endsWithPartialLine() ? "\n" : "";
+      fs.appendFileSync(HISTORY_FILE, prefix + JSON.stringify(entry) + "\n", { mode: 0o600 });
+      applyRetention();
+    });
     return true;
   } catch (err) {
     // Log warning if we can't write history (only in verbose mode or if DEBUG is set)
-    if (process.env.DEBUG || process.env.SPOOFY_VERBOSE) {
-      console.warn(`Warning: Could not save history to ${HISTORY_FILE}: ${err.message}`);
-    }
+    debug(`Could not save history to ${HISTORY_FILE}: ${err.message}`);
     return false;
   }
 }
 
-function addHistoryEntry(device, oldMac, newMac, operation) {
-  const history = getHistory();
+/**
+ * All entries, newest first
+ * @returns {Array}
+ */
+function getHistory() {
+  return readEntries().reverse();
+}
+
+/**
+ * Number of damaged lines skipped by the last read
+ * @returns {number}
+ */
+function getSkippedLines() {
+  return skippedLines;
+}
+
+/**
+ * Entry fields recording a change that failed
+ * @param {Error|Object} err
+ * @returns {{success: false, error: string, errorCode: string|null}}
+ */
+function failureDetails(err) {
+  return {
+    success: false,
+    error: (err && err.message) || String(err),
+    errorCode: (err && err.code) || null,
+  };
+}
+
+/**
+ * Whether an entry records a change that took effect (entries written
+ * before failures were recorded have no `success` field)
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+function isApplied(entry) {
+  return entry.success !== false;
+}
+
+/**
+ * Add MAC change history entry
+ * @param {string} device
+ * @param {string|null} oldMac
+ * @param {string} newMac
+ * @param {string} operation - 'set', 'randomize', 'reset', 'undo', 'restore', ...
+ * @param {Object} [details] - Extra fields, e.g. `undoes` (see getUndoableEntries)
+ *   or failureDetails() for an attempt that failed
+ * @returns {Object} The history entry
+ */
+function addHistoryEntry(device, oldMac, newMac, operation, details = null) {
   const entry = {
     timestamp: new Date().toISOString(),
     device: device,
     oldMac: oldMac,
     newMac: newMac,
-    operation: operation, // 'set', 'randomize', 'reset'
+    operation: operation,
     platform: process.platform,
+    success: true,
+    ...details,
   };
-  history.unshift(entry); // Add to beginning
-  // Keep only last 100 entries
-  if (history.length > 100) {
-    history.splice(100);
-  }
-  saveHistory(history);
+  appendEntry(entry);
   return entry;
 }
 
@@ -55,7 +458,24 @@ function getHistoryForDevice(device) {
 
 function getLastEntryForDevice(device) {
   const history = getHistory();
-  return history.find((entry) => entry.device === device);
+  return history.find((entry) => entry.device === device && isApplied(entry));
+}
+
+/**
+ * Get the MAC address a device had before its first recorded change
+ * @param {string} device - Device name
+ * @returns {string|null} The earliest recorded oldMac, or null
+ */
+function getFirstRecordedMAC(device) {
+  const history = getHistory();
+  // History is returned newest first
+  for (let i = history.length - 1; i >= 0; i--) {
+    const entry = history[i];
+    if (entry.type !== "duid" && entry.device === device && entry.oldMac && isApplied(entry)) {
+      return entry.oldMac;
+    }
+  }
+  return null;
 }
 
 /**
@@ -65,25 +485,23 @@ function getLastEntryForDevice(device) {
  * @param {string} newDuid - New DUID (formatted hex string)
  * @param {string} operation - Operation type ('set', 'randomize', 'restore', 'reset', 'sync')
  * @param {string} [iface] - Optional interface name
+ * @param {Object} [details] - Extra fields, e.g. `undoes` (see getUndoableEntries)
+ *   or failureDetails() for an attempt that failed
  * @returns {Object} The history entry
  */
-function addDUIDHistoryEntry(device, oldDuid, newDuid, operation, iface = null) {
-  const history = getHistory();
+function addDUIDHistoryEntry(device, oldDuid, newDuid, operation, iface = null, details = null) {
   const entry = {
     timestamp: new Date().toISOString(),
     type: 'duid', // Mark as DUID entry
     device: device || iface || 'system',
     oldDuid: oldDuid || null,
     newDuid: newDuid || null,
-    operation: operation, // 'set', 'randomize', 'restore', 'reset', 'sync'
+    operation: operation, // 'set', 'randomize', 'restore', 'reset', 'sync', 'undo'
     platform: process.platform,
+    success: true,
+    ...details,
   };
-  history.unshift(entry); // Add to beginning
-  // Keep only last 100 entries
-  if (history.length > 100) {
-    history.splice(100);
-  }
-  saveHistory(history);
+  appendEntry(entry);
   return entry;
 }
 
@@ -106,13 +524,350 @@ function getDUIDHistory() {
   return history.filter((entry) => entry.type === 'duid');
 }
 
+/**
+ * Identifies an entry in the `undoes` list of an undo entry
+ * @param {Object} entry
+ * @returns {string}
+ */
+function entryKey(entry) {
+  return `${entry.type === "duid" ? "duid" : "mac"}/${entry.device}/${entry.timestamp}`;
+}
+
+/**
+ * The most recent changes that can still be undone, newest first. Undo
+ * entries record the changes they reverted (`undoes`); those changes and
+ * the undo entries themselves are skipped, so repeated undos keep walking
+ * back in time. Failed attempts are skipped as well.
+ * @param {string|null} [device] - Only changes of this device
+ * @param {number} [steps] - Number of changes
+ * @returns {Array}
+ */
+function getUndoableEntries(device = null, steps = 1) {
+  const entries = getHistory();
+  const undone = new Set();
+  entries.forEach((entry) => {
+    // A failed undo changed nothing, so its targets can still be undone
+    if (entry.operation === "undo" && Array.isArray(entry.undoes) && isApplied(entry)) {
+      entry.undoes.forEach((key) => undone.add(key));
+    }
+  });
+  return entries
+    .filter((entry) => entry.operation !== "undo" && isApplied(entry) && !undone.has(entryKey(entry)))
+    .filter((entry) => !device || entry.device === device)
+    .slice(0, steps);
+}
+
+/**
+ * The MAC address and DUID every recorded device had at a point in time:
+ * the result of its last change until then or, for devices only changed
+ * later, the value before their first change
+ * @param {string|number|Date} time
+ * @returns {Array} [{type: "mac"|"duid", device, value, since}], where
+ *   `since` is the timestamp of the change that set the value (null if it
+ *   predates the history) and `value` may be null if it was never recorded
+ */
+function getStateAt(time) {
+  const at = parseTime(time);
+
+  const states = new Map();
+  readEntries().filter(isApplied).forEach((entry) => {
+    const type = entry.type === "duid" ? "duid" : "mac";
+    const key = `${type}/${entry.device}`;
+    if (Date.parse(entry.timestamp) <= at) {
+      states.set(key, {
+        type,
+        device: entry.device,
+        value: (type === "duid" ? entry.newDuid : entry.newMac) || null,
+        since: entry.timestamp,
+      });
+    } else if (!states.has(key)) {
+      states.set(key, {
+        type,
+        device: entry.device,
+        value: (type === "duid" ? entry.oldDuid : entry.oldMac) || null,
+        since: null,
+      });
+    }
+  });
+  return Array.from(states.values());
+}
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: DAY,
+  w: 7 * DAY,
+};
+
+/**
+ * Parses a point in time: an ISO 8601 timestamp (or anything Date.parse
+ * accepts), or an age relative to now such as "90m", "12h", "7d" or "2w"
+ * @param {string|number|Date} time
+ * @returns {number} Milliseconds since the epoch
+ */
+function parseTime(time) {
+  if (time instanceof Date) {
+    return time.getTime();
+  }
+  if (typeof time === "number") {
+    return time;
+  }
+  const relative = /^(\d+)\s*([mhdw])$/i.exec(String(time).trim());
+  const at = relative
+    ? Date.now() - Number(relative[1]) * DURATION_UNITS[relative[2].toLowerCase()]
+    : Date.parse(time);
+  if (Number.isNaN(at)) {
+    throw new Error(`Invalid timestamp: ${time}`);
+  }
+  return at;
+}
+
+const SORT_ORDERS = ["newest", "oldest", "device", "operation"];
+
+/**
+ * Entries matching a set of filters
+ * @param {Object} [filters]
+ * @param {string} [filters.device]
+ * @param {string|number|Date} [filters.since] - Changes at or after this time (see parseTime)
+ * @param {string|number|Date} [filters.until] - Changes at or before this time
+ * @param {string|Array} [filters.operation] - One or more operations ("randomize,set")
+ * @param {string} [filters.type] - "mac" or "duid"
+ * @param {string} [filters.platform] - e.g. "linux", "darwin", "win32"
+ * @param {string} [filters.sort] - One of SORT_ORDERS (default "newest");
+ *   device and operation sort newest first within a group
+ * @param {number} [filters.limit] - At most this many entries, after sorting
+ * @returns {Array}
+ */
+function queryHistory(filters = {}) {
+  const { device, type, platform, sort = "newest", limit } = filters;
+  const since = filters.since !== undefined && filters.since !== null ? parseTime(filters.since) : null;
+  const until = filters.until !== undefined && filters.until !== null ? parseTime(filters.until) : null;
+  const operations = typeof filters.operation === "string"
+    ? filters.operation.split(",").map((op) => op.trim()).filter(Boolean)
+    : filters.operation || [];
+
+  if (type && type !== "mac" && type !== "duid") {
+    throw new Error(`Invalid history type: ${type} (expected mac or duid)`);
+  }
+  if (!SORT_ORDERS.includes(sort)) {
+    throw new Error(`Invalid sort order: ${sort} (expected ${SORT_ORDERS.join(", ")})`);
+  }
+  if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+    throw new Error(`Invalid limit: ${limit} (expected a positive integer)`);
+  }
+
+  const entries = getHistory().filter((entry) => {
+    const time = Date.parse(entry.timestamp);
+    return (!device || entry.device === device) &&
+      (!type || (entry.type === "duid" ? "duid" : "mac") === type) &&
+      (!platform || entry.platform === platform) &&
+      (operations.length === 0 || operations.includes(entry.operation)) &&
+      (since === null || time >= since) &&
+      (until === null || time <= until);
+  });
+
+  if (sort === "oldest") {
+    entries.reverse();
+  } else if (sort === "device" || sort === "operation") {
+    // Array#sort is stable: newest first within a group
+    entries.sort((a, b) => String(a[sort]).localeCompare(String(b[sort])));
+  }
+  return limit ? entries.slice(0, limit) : entries;
+}
+
+/**
+ * Removes old entries now, rather than on the next change
+ * @param {Object} [limits] - See retain(); the configured limits by default
+ * @returns {{removed: number, remaining: number}}
+ */
+function pruneHistory(limits = settings) {
+  migrateLegacyHistory();
+  return withLock(() => {
+    if (!fs.existsSync(HISTORY_FILE)) {
+      return { removed: 0, remaining: 0 };
+    }
+    const entries = parseLines(fs.readFileSync(HISTORY_FILE, "utf8"));
+    const kept = retain(entries, limits);
+    if (kept.length < entries.length || skippedLines > 0) {
+      writeEntries(kept);
+    }
+    return { removed: entries.length - kept.length, remaining: kept.length };
+  });
+}
+
+/**
+ * Removes every entry
+ * @returns {number} Number of entries removed
+ */
+function clearHistory() {
+  migrateLegacyHistory();
+  return withLock(() => {
+    if (!fs.existsSync(HISTORY_FILE)) {
+      return 0;
+    }
+    const removed = parseLines(fs.readFileSync(HISTORY_FILE, "utf8")).length;
+    writeEntries([]);
+    return removed;
+  });
+}
+
+/**
+ * Checks the hash chain of audit mode entries. Entries written before audit
+ * mode was turned on are not covered; everything after the first chained
+ * entry must be chained. Removing the newest entries, or all chained ones,
+ * can't be detected from the file alone: compare `head` with a copy kept
+ * elsewhere for that.
+ * @returns {Object} {valid, entries, chained, startsAfter, head, problems},
+ *   where `startsAfter` is the hash the oldest chained entry follows (not
+ *   null when older entries were pruned or removed) and `problems` lists
+ *   {line, timestamp, device, problem}
+ */
+function verifyHistory() {
+  migrateLegacyHistory();
+  let content = "";
+  try {
+    content = fs.readFileSync(HISTORY_FILE, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+
+  const result = { valid: true, entries: 0, chained: 0, startsAfter: null, head: null, problems: [] };
+  const problem = (line, entry, text) => {
+    result.problems.push({ line, timestamp: entry ? entry.timestamp : null, device: entry ? entry.device : null, problem: text });
+  };
+  let started = false;
+  let previous = null;
+
+  content.split("\n").forEach((text, index) => {
+    if (!text.trim()) {
+      return;
+    }
+    const line = index + 1;
+    let entry;
+    try {
+      entry = JSON.parse(text);
+    } catch (err) {
+      problem(line, null, "unreadable line");
+      return;
+    }
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      problem(line, null, "unreadable line");
+      return;
+    }
+    result.entries++;
+
+    if (typeof entry.hash !== "string") {
+      if (started) {
+        problem(line, entry, "not chained: added or rewritten outside audit mode");
+      }
+      return;
+    }
+    result.chained++;
+    if (hashEntry(entry) !== entry.hash) {
+      problem(line, entry, "modified: contents do not match its hash");
+    }
+    if (!started) {
+      result.startsAfter = entry.prevHash || null;
+      started = true;
+    } else if (entry.prevHash !== previous) {
+      problem(line, entry, "chain broken: the entry before it was removed, modified or reordered");
+    }
+    // The stored hash, so one edit is reported once rather than cascading
+    previous = entry.hash;
+  });
+
+  result.head = previous;
+  result.valid = result.problems.length === 0;
+  return result;
+}
+
+const EXPORT_FORMATS = ["csv", "ndjson", "json"];
+
+const CSV_COLUMNS = ["timestamp", "type", "device", "operation", "old", "new", "platform",
+  "success", "error", "errorCode", "user", "sudoUser", "hostname"];
+
+/**
+ * Quotes a CSV field when needed (RFC 4180). Fields starting with a
+ * formula character are prefixed with ' so spreadsheets don't run them.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes entries for export
+ * @param {Array} entries
+ * @param {string} format - One of EXPORT_FORMATS. CSV has one row per
+ *   entry with old/new holding the MAC address or DUID, whether it was
+ *   applied (failed attempts have success "false" and the error) and, in
+ *   audit mode, who made it; NDJSON and JSON keep every field of the entries.
+ * @returns {string}
+ */
+function exportHistory(entries, format) {
+  switch (format) {
+    case "csv":
+      return [CSV_COLUMNS.join(",")].concat(entries.map((entry) => {
+        const duid = entry.type === "duid";
+        return [
+          entry.timestamp,
+          duid ? "duid" : "mac",
+          entry.device,
+          entry.operation,
+          duid ? entry.oldDuid : entry.oldMac,
+          duid ? entry.newDuid : entry.newMac,
+          entry.platform,
+          isApplied(entry),
+          entry.error,
+          entry.errorCode,
+          entry.user,
+          entry.sudoUser,
+          entry.hostname,
+        ].map(csvField).join(",");
+      })).join("\r\n") + "\r\n";
+    case "ndjson":
+      return entries.map((entry) => JSON.stringify(entry) + "\n").join("");
+    case "json":
+      return JSON.stringify(entries, null, 2) + "\n";
+    default:
+      throw new Error(`Invalid export format: ${format} (expected ${EXPORT_FORMATS.join(", ")})`);
+  }
+}
+
 module.exports = {
+  configure,
   getHistory,
+  getSkippedLines,
+  failureDetails,
+  isApplied,
   addHistoryEntry,
   getHistoryForDevice,
   getLastEntryForDevice,
+  getFirstRecordedMAC,
   addDUIDHistoryEntry,
   getDUIDHistoryForDevice,
   getDUIDHistory,
+  entryKey,
+  getUndoableEntries,
+  getStateAt,
+  parseTime,
+  queryHistory,
+  pruneHistory,
+  clearHistory,
+  verifyHistory,
+  exportHistory,
+  SORT_ORDERS,
+  EXPORT_FORMATS,
   HISTORY_FILE,
+  LEGACY_HISTORY_FILE,
 };
@@ -1,7 +1,23 @@
 // OUI (Organizationally Unique Identifier) database
-// Common MAC address vendor prefixes
-// This is a subset - can be expanded with full IEEE OUI database
+//
+// Vendors are looked up in the IEEE registries (MA-L, MA-M, MA-S, IAB and
+// CID) when a compiled index is available, with longest-prefix matching on
+// 24, 28 and 36-bit blocks, and in the built-in subset below otherwise.
+//
+// The compiled index is a text file: a header line, the vendor names (one
+// per line), an empty line, then fixed-width sorted records
+//   PPPPPPPPPCVVVVV\n
+// where P is the block prefix in hex (right-padded with 0 to 9 digits), C
+// the block size (L = 24, M = 28, S = 36 bits) and V the vendor's line
+// number in base 36. Lookups binary-search the records in place, so loading
+// the index is a file read and a split of the vendor table, and nothing is
+// read until the first lookup.
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Common MAC address vendor prefixes, used when no registry is loaded
 const OUI_DB = {
   // Virtual Machine vendors
   "00:05:69": "VMware",
@@ -186,37 +202,607 @@ const OUI_DB = {
   "70:56:51": "Realtek",
 };
 
-function lookupVendor(mac) {
+// Block size in bits of each IEEE registry
+const REGISTRY_BITS = {
+  "MA-L": 24,
+  "MA-M": 28,
+  "MA-S": 36,
+  IAB: 36,
+  CID: 24,
+};
+
+const BLOCK_CLASSES = { 24: "L", 28: "M", 36: "S" };
+const INDEX_HEADER = "spoofy-oui-index 1";
+const KEY_LENGTH = 10;
+const RECORD_LENGTH = 16;
+
+// Registry imported with `spoofy oui import`; the JSON file describes where
+// it came from
+const IMPORTED_INDEX = path.join(os.homedir(), ".spoofy", "oui-index.txt");
+const IMPORTED_META = path.join(os.homedir(), ".spoofy", "oui-index.json");
+
+// Active registry index: undefined until first needed, null if none. The
+// source says where it came from (imported, custom or built-in).
+let activeIndex;
+let activeSource = null;
+let loadError = null;
+
+/**
+ * Splits one CSV line, honouring double-quoted fields
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function splitCSVLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Name of the registry a block of this size belongs to (TXT files don't say)
+ * @param {string} prefix
+ * @param {number} bits
+ * @returns {string}
+ */
+function registryForBlock(prefix, bits) {
+  if (bits === 28) return "MA-M";
+  if (bits === 36) {
+    return /^(0050C2|40D855)/.test(prefix) ? "IAB" : "MA-S";
+  }
+  return "MA-L";
+}
+
+/**
+ * Parses an IEEE registry file in the official CSV format
+ * (Registry,Assignment,Organization Name,Organization Address) or TXT format
+ * (the "(hex)" / "(base 16)" listing).
+ * @param {string} text
+ * @returns {Array<Object>} [{ registry, prefix, bits, vendor }], prefix in
+ *     hex with bits / 4 digits
+ */
+function parseRegistry(text) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const entries = [];
+
+  if (/^Registry,Assignment/i.test(lines[0])) {
+    for (const line of lines.slice(1)) {
+      if (!line.trim()) continue;
+      const [registry, assignment, vendor] = splitCSVLine(line);
+      const bits = REGISTRY_BITS[registry];
+      const prefix = (assignment || "").toUpperCase();
+      if (bits && prefix.length === bits / 4 && /^[0-9A-F]+$/.test(prefix)) {
+        entries.push({ registry, prefix, bits, vendor: cleanVendor(vendor) });
+      }
+    }
+    return entries;
+  }
+
+  let hex = null;
+  for (const line of lines) {
+    let m = /^\s*([0-9A-F]{2}(?:-[0-9A-F]{1,2})+)\s+\(hex\)\s*(.*)$/i.exec(line);
+    if (m) {
+      hex = m[1].replace(/-/g, "").toUpperCase();
+      continue;
+    }
+    m = /^\s*([0-9A-F]+)(?:-([0-9A-F]+))?\s+\(base 16\)\s*(.*)$/i.exec(line);
+    if (!m || !hex) continue;
+
+    let prefix;
+    let bits;
+    if (m[2]) {
+      // Range of the low 24 bits of a MA-M / MA-S / IAB block
+      const size = parseInt(m[2], 16) - parseInt(m[1], 16) + 1;
+      bits = 48 - Math.log2(size);
+      prefix = (hex.slice(0, 6) + m[1].toUpperCase()).slice(0, bits / 4);
+    } else {
+      prefix = hex.length > 6 ? hex : m[1].toUpperCase();
+      bits = prefix.length * 4;
+    }
+
+    if (BLOCK_CLASSES[bits] && prefix.length === bits / 4) {
+      entries.push({
+        registry: registryForBlock(prefix, bits),
+        prefix,
+        bits,
+        vendor: cleanVendor(m[3]),
+      });
+    }
+    hex = null;
+  }
+  return entries;
+}
+
+/**
+ * @param {string} vendor
+ * @returns {string}
+ */
+function cleanVendor(vendor) {
+  return String(vendor || "").replace(/\s+/g, " ").trim() || "Unknown";
+}
+
+/**
+ * Compiles registry entries into the compact index format
+ * @param {Array<Object>} entries - From parseRegistry()
+ * @returns {string}
+ */
+function buildIndex(entries) {
+  const vendors = [];
+  const vendorIds = new Map();
+  const records = new Map();
+
+  for (const entry of entries) {
+    if (!vendorIds.has(entry.vendor)) {
+      vendorIds.set(entry.vendor, vendors.length);
+      vendors.push(entry.vendor);
+    }
+    const key = entry.prefix.padEnd(9, "0") + BLOCK_CLASSES[entry.bits];
+    // Later files win, so an update can be layered over an older registry
+    records.set(key, key + vendorIds.get(entry.vendor).toString(36).padStart(5, "0"));
+  }
+
+  const body = [...records.keys()].sort().map((key) => records.get(key) + "\n");
+  return `${INDEX_HEADER}\n${vendors.join("\n")}\n\n${body.join("")}`;
+}
+
+/**
+ * Parses a compact index
+ * @param {string} text - From buildIndex()
+ * @returns {Object} { vendors, records, count }
+ */
+function parseIndex(text) {
+  if (!text.startsWith(INDEX_HEADER + "\n")) {
+    throw new Error("Not a spoofy OUI index");
+  }
+  const separator = text.indexOf("\n\n");
+  const vendors = text.slice(INDEX_HEADER.length + 1, separator).split("\n");
+  const records = text.slice(separator + 2);
+  return { vendors, records, count: records.length / RECORD_LENGTH };
+}
+
+/**
+ * Loads a registry index from a file: either a compiled index or one or more
+ * IEEE registry files (CSV or TXT)
+ * @param {string|Array<string>} files
+ * @returns {Object} See parseIndex()
+ */
+function loadIndex(files) {
+  files = [].concat(files);
+  const texts = files.map((file) => fs.readFileSync(file, "utf8"));
+  if (texts.length === 1 && texts[0].startsWith(INDEX_HEADER + "\n")) {
+    return parseIndex(texts[0]);
+  }
+  const entries = [];
+  texts.forEach((text) => entries.push(...parseRegistry(text)));
+  if (entries.length === 0) {
+    throw new Error(`No OUI assignments found in ${files.join(", ")}`);
+  }
+  return parseIndex(buildIndex(entries));
+}
+
+/**
+ * Sets the registry index used for lookups
+ * @param {Object|string|Array<string>|null} [index] - Parsed index, file(s)
+ *     for loadIndex(), null to use only the built-in subset, or undefined to
+ *     go back to the imported index
+ * @returns {Object|null} The active index
+ */
+function useIndex(index) {
+  const files = typeof index === "string" || Array.isArray(index) ? [].concat(index) : null;
+  activeIndex = files ? loadIndex(files) : index;
+  activeSource = {
+    source: activeIndex ? "custom" : "built-in",
+    path: files ? files.join(", ") : null,
+  };
+  loadError = null;
+  return activeIndex;
+}
+
+/**
+ * Returns the active index, loading the imported one on first use
+ * @returns {Object|null}
+ */
+function getIndex() {
+  if (activeIndex !== undefined) {
+    return activeIndex;
+  }
+
+  activeIndex = null;
+  activeSource = { source: "built-in", path: null };
+  loadError = null;
+  if (fs.existsSync(IMPORTED_INDEX)) {
+    try {
+      activeIndex = loadIndex(IMPORTED_INDEX);
+      activeSource = { source: "imported", path: IMPORTED_INDEX };
+    } catch (err) {
+      // Damaged file: use the built-in list, `oui status` reports it
+      loadError = `${IMPORTED_INDEX}: ${err.message}`;
+    }
+  }
+  return activeIndex;
+}
+
+/**
+ * Validates and compiles IEEE registry files into the imported index used by
+ * lookupVendor() and getVendorInfo(). All registries to use must be imported
+ * together; a new import replaces the previous one.
+ * @param {string|Array<string>} files - CSV or TXT registry files
+ * @returns {Object} Import metadata, see getStatus()
+ */
+function importRegistry(files) {
+  files = [].concat(files);
+  const entries = [];
+  const sources = [];
+
+  for (const file of files) {
+    const parsed = parseRegistry(fs.readFileSync(file, "utf8"));
+    if (parsed.length === 0) {
+      throw new Error(
+        `${file} is not an IEEE registry file (expected the official CSV or TXT format)`
+      );
+    }
+    entries.push(...parsed);
+    sources.push({
+      file: path.resolve(file),
+      modified: fs.statSync(file).mtime.toISOString(),
+      entries: parsed.length,
+    });
+  }
+
+  const registries = {};
+  entries.forEach((entry) => {
+    registries[entry.registry] = (registries[entry.registry] || 0) + 1;
+  });
+
+  const text = buildIndex(entries);
+  const index = parseIndex(text);
+  const meta = {
+    importedAt: new Date().toISOString(),
+    // The registries carry no date of their own; use the newest file's
+    registryDate: sources.map((source) => source.modified).sort().pop(),
+    blocks: index.count,
+    vendors: index.vendors.length,
+    registries,
+    files: sources,
+  };
+
+  // Write to temporary files first so a failed import keeps the old one
+  fs.mkdirSync(path.dirname(IMPORTED_INDEX), { recursive: true });
+  fs.writeFileSync(`${IMPORTED_INDEX}.tmp`, text);
+  fs.writeFileSync(`${IMPORTED_META}.tmp`, JSON.stringify(meta, null, 2));
+  fs.renameSync(`${IMPORTED_INDEX}.tmp`, IMPORTED_INDEX);
+  fs.renameSync(`${IMPORTED_META}.tmp`, IMPORTED_META);
+
+  activeIndex = index;
+  activeSource = { source: "imported", path: IMPORTED_INDEX };
+  loadError = null;
+  return meta;
+}
+
+/**
+ * Describes the vendor database in use
+ * @returns {Object} { source, path, blocks, vendors, importedAt,
+ *     registryDate, registries, files, error }; source is "imported",
+ *     "custom" or "built-in"
+ */
+function getStatus() {
+  const index = getIndex();
+  const status = {
+    source: activeSource.source,
+    path: activeSource.path,
+    blocks: index ? index.count : Object.keys(OUI_DB).length,
+    vendors: index ? index.vendors.length : new Set(Object.values(OUI_DB)).size,
+    importedAt: null,
+    registryDate: null,
+    registries: null,
+    files: null,
+    error: loadError,
+  };
+
+  if (status.source === "imported") {
+    try {
+      const meta = JSON.parse(fs.readFileSync(IMPORTED_META, "utf8"));
+      status.importedAt = meta.importedAt || null;
+      status.registryDate = meta.registryDate || null;
+      status.registries = meta.registries || null;
+      status.files = meta.files || null;
+    } catch (err) {
+      // Index without metadata: counts above are still accurate
+    }
+  }
+  return status;
+}
+
+/**
+ * Binary-searches the index records for one block
+ * @param {Object} index
+ * @param {string} key - Padded prefix and block class
+ * @returns {string|null} Vendor name
+ */
+function findRecord(index, key) {
+  let low = 0;
+  let high = index.count - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const offset = mid * RECORD_LENGTH;
+    const candidate = index.records.slice(offset, offset + KEY_LENGTH);
+    if (candidate === key) {
+      const id = index.records.slice(offset + KEY_LENGTH, offset + RECORD_LENGTH - 1);
+      return index.vendors[parseInt(id, 36)];
+    }
+    if (candidate < key) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the most specific block containing the address
+ * @param {string} mac
+ * @returns {Object|null} { vendor, bits, prefix }
+ */
+function matchPrefix(mac) {
   if (!mac) return null;
-  
-  // Normalize MAC address
-  const normalized = mac.replace(/[:-]/g, "").toUpperCase();
-  if (normalized.length < 6) return null;
-  
-  // Get first 3 bytes (6 hex characters)
-  const prefix = normalized.substring(0, 6);
-  const formattedPrefix = `${prefix.substring(0, 2)}:${prefix.substring(2, 4)}:${prefix.substring(4, 6)}`;
-  
-  return OUI_DB[formattedPrefix] || OUI_DB[prefix] || null;
+  const hex = String(mac).replace(/[^0-9a-f]/gi, "").toUpperCase();
+  if (hex.length < 6) return null;
+
+  const index = getIndex();
+  if (index) {
+    for (const bits of [36, 28, 24]) {
+      if (hex.length < bits / 4) continue;
+      const prefix = hex.slice(0, bits / 4);
+      const vendor = findRecord(index, prefix.padEnd(9, "0") + BLOCK_CLASSES[bits]);
+      if (vendor) {
+        return { vendor, bits, prefix };
+      }
+    }
+  }
+
+  const prefix = hex.slice(0, 6);
+  const vendor = OUI_DB[formatPrefix(prefix)];
+  return vendor ? { vendor, bits: 24, prefix } : null;
+}
+
+/**
+ * Formats hex digits in colon-separated pairs, e.g. "70B3D5F91" becomes
+ * "70:B3:D5:F9:1"
+ * @param {string} hex
+ * @returns {string}
+ */
+function formatPrefix(hex) {
+  return hex.match(/.{1,2}/g).join(":");
+}
+
+function lookupVendor(mac) {
+  const match = matchPrefix(mac);
+  return match ? match.vendor : null;
 }
 
 function getVendorInfo(mac) {
-  if (!mac) return { mac: null, vendor: "Unknown", prefix: null };
+  if (!mac) return { mac: null, vendor: "Unknown", prefix: null, bits: null };
   const normalized = mac.replace(/[:-]/g, "").toUpperCase();
-  const prefix =
-    normalized.length >= 6
-      ? `${normalized.substring(0, 2)}:${normalized.substring(2, 4)}:${normalized.substring(4, 6)}`
-      : null;
-  const vendor = lookupVendor(mac);
+  const match = matchPrefix(mac);
   return {
     mac: mac,
-    vendor: vendor || "Unknown",
-    prefix: prefix,
+    vendor: match ? match.vendor : "Unknown",
+    prefix: match
+      ? formatPrefix(match.prefix)
+      : normalized.length >= 6 ? formatPrefix(normalized.substring(0, 6)) : null,
+    bits: match ? match.bits : null,
   };
 }
 
+/**
+ * Reduces a vendor name to a comparable form: "Apple, Inc." and "APPLE"
+ * both become "apple"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeVendorName(name) {
+  const words = String(name).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim().split(" ");
+  const legalForms = ["inc", "incorporated", "corp", "corporation", "corporate", "co",
+    "company", "ltd", "limited", "llc", "gmbh", "ag", "sa", "bv", "plc", "kg"];
+  while (words.length > 1 && legalForms.includes(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join(" ");
+}
+
+/**
+ * Calls `callback(prefix, bits, vendor)` for every block in the active
+ * database: the registry index when one is loaded, the built-in list
+ * otherwise
+ * @param {Function} callback
+ */
+function eachBlock(callback) {
+  const index = getIndex();
+  if (!index) {
+    Object.keys(OUI_DB).forEach((prefix) => callback(prefix.replace(/:/g, ""), 24, OUI_DB[prefix]));
+    return;
+  }
+  const bitsByClass = { L: 24, M: 28, S: 36 };
+  for (let offset = 0; offset < index.records.length; offset += RECORD_LENGTH) {
+    const bits = bitsByClass[index.records[offset + 9]];
+    const vendor = index.vendors[parseInt(index.records.slice(offset + KEY_LENGTH, offset + RECORD_LENGTH - 1), 36)];
+    callback(index.records.slice(offset, offset + bits / 4), bits, vendor);
+  }
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or max + 1 if larger
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Scores how well a vendor name matches a search pattern
+ * @param {string} name - Normalized vendor name
+ * @param {string} pattern - Normalized pattern
+ * @returns {number} 3 same name, 2 substring, 1 every pattern word is close
+ *     to (or a close prefix of) a word of the name, 0 no match
+ */
+function matchScore(name, pattern) {
+  if (name === pattern) return 3;
+  if (name.includes(pattern)) return 2;
+
+  const words = name.split(" ");
+  const fuzzy = pattern.split(" ").every((term) => {
+    // One typo per three letters; shorter words must match exactly
+    const allowed = Math.floor(term.length / 3);
+    return words.some((word) =>
+      editDistance(term, word, allowed) <= allowed ||
+      (word.length > term.length && editDistance(term, word.slice(0, term.length), allowed) <= allowed)
+    );
+  });
+  return fuzzy ? 1 : 0;
+}
+
+/**
+ * Finds the blocks registered to vendors whose name matches `pattern`.
+ * Matching ignores case, punctuation and legal forms ("Inc.", "Ltd"...) and
+ * tolerates typos, e.g. "rasbery pi" finds "Raspberry Pi Trading Ltd".
+ * @param {string} pattern
+ * @returns {Array<Object>} [{ prefix, bits, vendor }], best matches first,
+ *     prefix in XX:XX:XX form (longer for MA-M / MA-S blocks)
+ */
+function findPrefixesByVendor(pattern) {
+  const wanted = normalizeVendorName(pattern || "");
+  if (!wanted) return [];
+
+  const scores = new Map();
+  const matches = [];
+  eachBlock((prefix, bits, vendor) => {
+    if (!scores.has(vendor)) {
+      scores.set(vendor, matchScore(normalizeVendorName(vendor), wanted));
+    }
+    const score = scores.get(vendor);
+    if (score > 0) {
+      matches.push({ prefix: formatPrefix(prefix), bits, vendor, score });
+    }
+  });
+
+  return matches
+    .sort((a, b) => b.score - a.score || a.vendor.localeCompare(b.vendor) || a.prefix.localeCompare(b.prefix))
+    .map(({ prefix, bits, vendor }) => ({ prefix, bits, vendor }));
+}
+
+/**
+ * Whether a vendor name is, or contains, `pattern`, ignoring case,
+ * punctuation and legal forms: "Intel Corporate" matches "intel". Unlike
+ * findPrefixesByVendor() typos are not tolerated, so a near name doesn't
+ * stand in for another vendor.
+ * @param {string} vendor
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function vendorMatches(vendor, pattern) {
+  const wanted = normalizeVendorName(pattern || "");
+  return Boolean(wanted) && matchScore(normalizeVendorName(vendor || ""), wanted) >= 2;
+}
+
+/**
+ * Lists every vendor with the number of blocks registered to it
+ * @returns {Array<Object>} [{ vendor, count }], most blocks first
+ */
+function listVendors() {
+  const counts = new Map();
+  eachBlock((prefix, bits, vendor) => {
+    counts.set(vendor, (counts.get(vendor) || 0) + 1);
+  });
+  return [...counts]
+    .map(([vendor, count]) => ({ vendor, count }))
+    .sort((a, b) => b.count - a.count || a.vendor.localeCompare(b.vendor));
+}
+
+/**
+ * Returns the 24-bit (MA-L) prefixes registered to a vendor. Names are
+ * compared without case, punctuation or legal form, so "apple" matches
+ * "Apple, Inc." CIDs are left out: they are indexed like MA-L blocks but
+ * lie in the locally administered quadrant, so they are no vendor OUI.
+ * @param {string} vendor - Vendor name, e.g. "Apple"
+ * @returns {Array<string>} Prefixes in XX:XX:XX form
+ */
+function getVendorPrefixes(vendor) {
+  if (!vendor) return [];
+  const wanted = normalizeVendorName(vendor);
+  const prefixes = [];
+  eachBlock((prefix, bits, name) => {
+    const local = (parseInt(prefix.slice(0, 2), 16) & 0x02) !== 0;
+    if (bits === 24 && !local && normalizeVendorName(name) === wanted) {
+      prefixes.push(formatPrefix(prefix));
+    }
+  });
+  return prefixes.sort();
+}
+
+/**
+ * Lists the distinct vendor names in the database
+ * @returns {Array<string>}
+ */
+function getVendorNames() {
+  return listVendors().map((entry) => entry.vendor).sort();
+}
+
 module.exports = {
   lookupVendor,
   getVendorInfo,
+  getVendorPrefixes,
+  getVendorNames,
+  findPrefixesByVendor,
+  vendorMatches,
+  listVendors,
+  parseRegistry,
+  buildIndex,
+  parseIndex,
+  loadIndex,
+  useIndex,
+  importRegistry,
+  getStatus,
+  IMPORTED_INDEX,
   OUI_DB,
 };
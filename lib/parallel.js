@@ -0,0 +1,72 @@
+/**
+ * Runs independent changes concurrently
+ *
+ * Tasks start in the order given, at most `limit` at a time. Each task names
+ * the resources it touches (an interface, the DUID); tasks sharing a key
+ * run one after another in the order given, so a later step never overtakes
+ * an earlier one on the same interface. Because keys are claimed in task
+ * order and a task only waits for earlier ones, this cannot deadlock.
+ */
+
+const DEFAULT_LIMIT = 4
+
+/**
+ * Runs tasks concurrently
+ * @param {Array<{keys: Array<string>, run: Function}>} tasks - `run` returns
+ *   a promise (or a value)
+ * @param {Object} [options]
+ * @param {number} [options.limit=4] - Most tasks running at once
+ * @param {Function} [options.shouldStart] - Called before a task starts,
+ *   once the tasks it waits for are done; returning false skips it (e.g.
+ *   after a failure ends a transaction)
+ * @param {Function} [options.onSettled] - Called with (index, result) as
+ *   each task finishes or is skipped
+ * @returns {Promise<Array<Object>>} One result per task, in task order:
+ *   { status: 'fulfilled', value }, { status: 'rejected', reason } or
+ *   { status: 'skipped' }
+ */
+async function runTasks (tasks, options = {}) {
+  const limit = Math.max(1, options.limit || DEFAULT_LIMIT)
+  const shouldStart = options.shouldStart || (() => true)
+  const onSettled = options.onSettled || (() => {})
+
+  // Claim every key now, in task order: each task waits for the previous
+  // holder of each of its keys
+  const tails = new Map()
+  const gates = tasks.map((task) => {
+    const waitFor = (task.keys || []).map((key) => tails.get(key)).filter(Boolean)
+    let release
+    const done = new Promise((resolve) => { release = resolve })
+    ;(task.keys || []).forEach((key) => tails.set(key, done))
+    return { waitFor, release }
+  })
+
+  const results = new Array(tasks.length)
+  let next = 0
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++
+      await Promise.all(gates[index].waitFor)
+      try {
+        if (!shouldStart(index)) {
+          results[index] = { status: 'skipped' }
+        } else {
+          results[index] = { status: 'fulfilled', value: await tasks[index].run() }
+        }
+      } catch (err) {
+        results[index] = { status: 'rejected', reason: err }
+      } finally {
+        gates[index].release()
+      }
+      onSettled(index, results[index])
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker))
+  return results
+}
+
+module.exports = {
+  runTasks,
+  DEFAULT_LIMIT
+}
@@ -0,0 +1,107 @@
+/**
+ * Source of randomness for generated MAC addresses, DUIDs and UUIDs
+ *
+ * By default every value comes from the operating system's CSPRNG
+ * (crypto.randomBytes / crypto.randomInt). After seed() the same values are
+ * derived from the seed instead, so a run can be repeated exactly: the seed
+ * is hashed together with a block counter (SHA-256 in counter mode) and the
+ * resulting byte stream is consumed in order. Seeded output is predictable
+ * by design and must only be used for testing.
+ */
+
+const crypto = require('crypto')
+
+// Seeded state: { key, counter, pool }, or null for the system CSPRNG
+let state = null
+
+/**
+ * Makes all further output deterministic, or restores the system CSPRNG
+ * @param {string|number|null} value - Seed, or null/undefined to unseed
+ */
+function seed (value) {
+  if (value === null || value === undefined) {
+    state = null
+    return
+  }
+  state = {
+    key: crypto.createHash('sha256').update(String(value)).digest(),
+    counter: 0,
+    pool: Buffer.alloc(0)
+  }
+}
+
+/**
+ * Whether output is currently derived from a seed
+ * @returns {boolean}
+ */
+function isSeeded () {
+  return state !== null
+}
+
+/**
+ * Returns the next `length` bytes of the seeded stream
+ * @param {number} length
+ * @returns {Buffer}
+ */
+function seededBytes (length) {
+  while (state.pool.length < length) {
+    const block = Buffer.alloc(8)
+    block.writeBigUInt64BE(BigInt(state.counter++))
+    const digest = crypto.createHash('sha256').update(state.key).update(block).digest()
+    state.pool = Buffer.concat([state.pool, digest])
+  }
+  const out = state.pool.subarray(0, length)
+  state.pool = state.pool.subarray(length)
+  return Buffer.from(out)
+}
+
+/**
+ * Random bytes
+ * @param {number} length
+ * @returns {Buffer}
+ */
+function bytes (length) {
+  return state ? seededBytes(length) : crypto.randomBytes(length)
+}
+
+/**
+ * Random integer between min and max (inclusive), without modulo bias
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function int (min, max) {
+  if (!state && crypto.randomInt) {
+    return crypto.randomInt(min, max + 1)
+  }
+
+  // Rejection sampling over 32-bit values (ranges here are far smaller),
+  // also used without a seed before Node.js 14.10, which lacks randomInt
+  const range = max - min + 1
+  const limit = Math.floor(0x100000000 / range) * range
+  let value
+  do {
+    value = bytes(4).readUInt32BE(0)
+  } while (value >= limit)
+  return min + (value % range)
+}
+
+/**
+ * Random RFC 4122 version 4 UUID bytes
+ * @returns {Buffer} 16 bytes
+ */
+function uuid () {
+  const buf = bytes(16)
+  // Set version (4) and variant bits
+  buf[6] = (buf[6] & 0x0F) | 0x40
+  buf[8] = (buf[8] & 0x3F) | 0x80
+  return buf
+}
+
+module.exports = {
+  seed,
+  isSeeded,
+  bytes,
+  int,
+  uuid
+}
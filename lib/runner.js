@@ -0,0 +1,255 @@
+/**
+ * Sync and async drivers for system command sequences
+ *
+ * Platform logic is written once as generator functions that yield step
+ * descriptors:
+ *   { command, options }       run a shell command (execSync / exec)
+ *   { file, args, options }    run a binary directly (execFileSync / execFile)
+ *   { sleep }                  wait for the given number of milliseconds
+ *
+ * runSync() drives a generator with blocking calls, runAsync() drives the
+ * same generator without blocking the event loop, applying a per-command
+ * timeout and honouring an AbortSignal. Command output (or the error) is sent
+ * back into the generator, so try/catch inside platform logic behaves the
+ * same in both modes. plan() walks the same generator without running
+ * anything and collects the command lines instead.
+ */
+
+const quote = require('shell-quote').quote
+
+const DEFAULT_TIMEOUT = 30000
+
+/**
+ * Step: run a command line through the shell
+ * @param {string} command
+ * @param {Object} [options] - child_process options
+ * @returns {Object}
+ */
+function shell (command, options = {}) {
+  return { command, options }
+}
+
+/**
+ * Step: run a binary with an argument list (no shell)
+ * @param {string} file
+ * @param {Array<string>} [args]
+ * @param {Object} [options] - child_process options
+ * @returns {Object}
+ */
+function execFile (file, args = [], options = {}) {
+  return { file, args, options }
+}
+
+/**
+ * Step: wait
+ * @param {number} ms
+ * @returns {Object}
+ */
+function sleep (ms) {
+  return { sleep: ms }
+}
+
+/**
+ * Synchronous sleep using Atomics.wait (non-blocking alternative to busy-wait)
+ * Falls back to busy-wait only if SharedArrayBuffer is not available
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync (ms) {
+  if (typeof SharedArrayBuffer !== 'undefined') {
+    const sab = new SharedArrayBuffer(4)
+    const int32 = new Int32Array(sab)
+    Atomics.wait(int32, 0, 0, ms)
+  } else {
+    // Fallback for environments without SharedArrayBuffer
+    const end = Date.now() + ms
+    while (Date.now() < end) {
+      // Busy wait fallback
+    }
+  }
+}
+
+/**
+ * Creates the error used when an operation is aborted
+ * @param {AbortSignal} [signal]
+ * @returns {Error}
+ */
+function createAbortError (signal) {
+  const err = new Error('The operation was aborted')
+  err.name = 'AbortError'
+  err.code = 'ABORT_ERR'
+  if (signal && signal.reason !== undefined) {
+    err.cause = signal.reason
+  }
+  return err
+}
+
+/**
+ * Promise-based sleep that rejects early when the signal is aborted
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay (ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError(signal))
+      return
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(createAbortError(signal))
+    }
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Drives a step generator with blocking calls
+ * @param {Generator} steps
+ * @param {Object} exec - Executor (see lib/executor.js)
+ * @returns {any} The generator's return value
+ */
+function runSync (steps, exec) {
+  let result = steps.next()
+
+  while (!result.done) {
+    const step = result.value
+    let value
+    let error = null
+
+    try {
+      if (step.sleep !== undefined) {
+        sleepSync(step.sleep)
+      } else if (step.file !== undefined) {
+        value = exec.execFileSync(step.file, step.args, step.options)
+      } else {
+        value = exec.execSync(step.command, step.options)
+      }
+    } catch (err) {
+      error = err
+    }
+
+    result = error ? steps.throw(error) : steps.next(value)
+  }
+
+  return result.value
+}
+
+/**
+ * Drives a step generator without blocking the event loop
+ * @param {Generator} steps
+ * @param {Object} exec - Executor (see lib/executor.js)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the remaining steps
+ * @param {number} [options.timeout=30000] - Default per-command timeout in milliseconds
+ * @returns {Promise<any>} The generator's return value
+ */
+async function runAsync (steps, exec, options = {}) {
+  const signal = options.signal
+  const timeout = options.timeout || DEFAULT_TIMEOUT
+  let result = steps.next()
+
+  while (!result.done) {
+    const step = result.value
+    let value
+    let error = null
+
+    try {
+      if (signal && signal.aborted) {
+        throw createAbortError(signal)
+      }
+
+      if (step.sleep !== undefined) {
+        await delay(step.sleep, signal)
+      } else {
+        const stepOptions = { timeout, ...step.options, signal }
+        value = step.file !== undefined
+          ? await exec.execFile(step.file, step.args, stepOptions)
+          : await exec.exec(step.command, stepOptions)
+      }
+    } catch (err) {
+      error = err
+    }
+
+    // An abort ends the whole sequence; it must not be swallowed by the
+    // fallback paths inside the platform logic.
+    if ((error && error.name === 'AbortError') || (signal && signal.aborted)) {
+      steps.return()
+      throw error && error.name === 'AbortError' ? error : createAbortError(signal)
+    }
+
+    result = error ? steps.throw(error) : steps.next(value)
+  }
+
+  return result.value
+}
+
+/**
+ * Formats a step as the command line it runs, quoting only the arguments
+ * that need it
+ * @param {Object} step
+ * @returns {string}
+ */
+function commandLine (step) {
+  if (step.file === undefined) {
+    return step.command
+  }
+  return [step.file, ...step.args]
+    .map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : quote([arg]))
+    .join(' ')
+}
+
+/**
+ * Walks a step generator without executing anything, collecting the ordered
+ * command lines it would run. Every command succeeds with the output returned
+ * by `respond` (empty by default); throwing from `respond` simulates a failed
+ * command so that fallback paths can be planned as well. Sleeps are skipped.
+ * @param {Generator} steps
+ * @param {Function} [respond] - (commandLine) => output
+ * @returns {{ result: any, commands: Array<string> }}
+ */
+function plan (steps, respond = () => '') {
+  const commands = []
+  let result = steps.next()
+
+  while (!result.done) {
+    const step = result.value
+    let value
+    let error = null
+
+    if (step.sleep === undefined) {
+      const line = commandLine(step)
+      commands.push(line)
+      try {
+        value = respond(line)
+      } catch (err) {
+        error = err
+      }
+    }
+
+    result = error ? steps.throw(error) : steps.next(value)
+  }
+
+  return { result: result.value, commands }
+}
+
+module.exports = {
+  shell,
+  execFile,
+  sleep,
+  sleepSync,
+  delay,
+  createAbortError,
+  runSync,
+  runAsync,
+  plan,
+  commandLine,
+  DEFAULT_TIMEOUT
+}
@@ -0,0 +1,92 @@
+/**
+ * Per-host secret used to derive stable per-network MAC addresses
+ *
+ * The secret is 32 random bytes, created on first use and kept readable by
+ * the owner only. Without it the derived addresses of different networks
+ * can't be linked to each other or to the hardware address; deleting the
+ * file gives every network a new address.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const runner = require('./runner')
+
+const SECRET_FILE = path.join(os.homedir(), '.spoofy', 'secret')
+
+// How long to wait for a secret file that exists but is still empty, as
+// left for a moment by versions that created it before writing to it
+const EMPTY_WAIT = 1000
+const EMPTY_POLL = 20
+
+/**
+ * Reads an existing host secret
+ * @param {string} file
+ * @returns {Buffer|null} null if there is none yet
+ */
+function readHostSecret (file) {
+  const deadline = Date.now() + EMPTY_WAIT
+  let content
+  for (;;) {
+    try {
+      content = fs.readFileSync(file, 'utf8').trim()
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return null
+      }
+      throw e
+    }
+    if (content !== '' || Date.now() >= deadline) {
+      break
+    }
+    runner.sleepSync(EMPTY_POLL)
+  }
+
+  if (content === '') {
+    throw new Error(`Empty host secret in ${file} (delete it to create a new one)`)
+  }
+  // Replacing a damaged secret would silently change every derived address
+  if (!/^([0-9a-f]{2}){16,}$/i.test(content)) {
+    throw new Error(`Invalid host secret in ${file} (expected at least 16 hex-encoded bytes)`)
+  }
+  return Buffer.from(content, 'hex')
+}
+
+/**
+ * Returns the host secret, creating it if needed
+ * @param {string} [file]
+ * @returns {Buffer}
+ */
+function getHostSecret (file = SECRET_FILE) {
+  const existing = readHostSecret(file)
+  if (existing) {
+    return existing
+  }
+
+  // Never seeded (see lib/random.js): the secret must stay unpredictable
+  const secret = crypto.randomBytes(32)
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 })
+
+  // Written in full under a temporary name, then published with link(),
+  // which fails if another process published its secret first: the file is
+  // never seen empty or half written, and an existing one is never replaced
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  fs.writeFileSync(tmp, secret.toString('hex') + '\n', { flag: 'wx', mode: 0o600 })
+  try {
+    fs.linkSync(tmp, file)
+  } catch (e) {
+    if (e.code !== 'EEXIST') {
+      throw e
+    }
+    return readHostSecret(file) || getHostSecret(file)
+  } finally {
+    fs.unlinkSync(tmp)
+  }
+  return secret
+}
+
+module.exports = {
+  SECRET_FILE,
+  getHostSecret
+}
@@ -0,0 +1,183 @@
+/**
+ * Linux network interface discovery through sysfs
+ *
+ * Every interface has a directory under /sys/class/net/<name> whose files
+ * describe it, so discovery needs no external commands (iproute2 or
+ * net-tools may be missing on minimal distributions) and costs a few file
+ * reads per interface. The root directory is a parameter so that a fake
+ * tree can be used in tests.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_ROOT = '/sys/class/net'
+
+// ARPHRD_* values from include/uapi/linux/if_arp.h
+const ARPHRD_ETHER = 1
+const ARPHRD_LOOPBACK = 772
+const ARPHRD_NONE = 65534 // tun devices
+
+// addr_assign_type values from include/uapi/linux/netdevice.h
+const ADDR_ASSIGN_TYPES = {
+  0: 'permanent',
+  1: 'random',
+  2: 'stolen',
+  3: 'set'
+}
+
+/**
+ * Reads a single attribute file of an interface
+ * @param {string} root - sysfs class directory (e.g. /sys/class/net)
+ * @param {string} device - Interface name
+ * @param {string} name - Attribute file name
+ * @returns {string|null} Trimmed contents, or null if unreadable
+ */
+function readAttribute (root, device, name) {
+  try {
+    return fs.readFileSync(path.join(root, device, name), 'utf8').trim()
+  } catch (e) {
+    // Missing attribute, or reading it is not supported by the driver
+    return null
+  }
+}
+
+/**
+ * Checks whether a sysfs tree is present at `root`
+ * @param {string} [root]
+ * @returns {boolean}
+ */
+function isAvailable (root = DEFAULT_ROOT) {
+  try {
+    return fs.statSync(root).isDirectory()
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Returns the name of the kernel driver bound to the interface
+ * @param {string} root
+ * @param {string} device
+ * @returns {string|null}
+ */
+function readDriver (root, device) {
+  try {
+    return path.basename(fs.readlinkSync(path.join(root, device, 'device', 'driver')))
+  } catch (e) {
+    // Virtual interfaces have no backing device
+    return null
+  }
+}
+
+/**
+ * Reads the DEVTYPE from the interface's uevent file (e.g. wlan, bridge,
+ * bond, vlan)
+ * @param {string} root
+ * @param {string} device
+ * @returns {string|null}
+ */
+function readDevtype (root, device) {
+  const uevent = readAttribute(root, device, 'uevent') || ''
+  const match = /^DEVTYPE=(.+)$/m.exec(uevent)
+  return match ? match[1].trim() : null
+}
+
+/**
+ * Works out what kind of interface this is
+ * @param {string} root
+ * @param {string} device
+ * @param {Object} info - { type, ifindex, iflink, driver }
+ * @returns {string} ethernet, wifi, bridge, bond, vlan, veth, tun, loopback or other
+ */
+function detectKind (root, device, info) {
+  const has = name => fs.existsSync(path.join(root, device, name))
+  const devtype = readDevtype(root, device)
+
+  if (info.type === ARPHRD_LOOPBACK) return 'loopback'
+  if (has('wireless') || has('phy80211') || devtype === 'wlan') return 'wifi'
+  if (has('bridge') || devtype === 'bridge') return 'bridge'
+  if (has('bonding') || devtype === 'bond') return 'bond'
+  if (devtype === 'vlan') return 'vlan'
+  if (has('tun_flags') || info.type === ARPHRD_NONE) return 'tun'
+  if (info.driver === 'veth') return 'veth'
+  // A virtual link whose peer is another interface (veth pairs)
+  if (!info.driver && info.iflink !== null && info.iflink !== info.ifindex) return 'veth'
+  if (info.type === ARPHRD_ETHER && info.driver) return 'ethernet'
+  return 'other'
+}
+
+/**
+ * Reads a numeric attribute
+ * @param {string} root
+ * @param {string} device
+ * @param {string} name
+ * @returns {number|null}
+ */
+function readNumber (root, device, name) {
+  const value = parseInt(readAttribute(root, device, name), 10)
+  return isNaN(value) ? null : value
+}
+
+/**
+ * Reads everything sysfs knows about one interface
+ * @param {string} root
+ * @param {string} device
+ * @returns {Object} { device, ifindex, type, kind, address, addrAssignType,
+ *   operstate, carrier, mtu, driver }
+ */
+function readInterface (root, device) {
+  const assignType = readAttribute(root, device, 'addr_assign_type')
+  // Reading `carrier` fails with EINVAL while the interface is down
+  const carrier = readAttribute(root, device, 'carrier')
+
+  const info = {
+    device,
+    ifindex: readNumber(root, device, 'ifindex'),
+    iflink: readNumber(root, device, 'iflink'),
+    type: readNumber(root, device, 'type'),
+    kind: null,
+    address: readAttribute(root, device, 'address') || null,
+    addrAssignType: assignType === null ? null : (ADDR_ASSIGN_TYPES[assignType] || assignType),
+    operstate: readAttribute(root, device, 'operstate'),
+    carrier: carrier === null ? null : carrier === '1',
+    mtu: readNumber(root, device, 'mtu'),
+    driver: readDriver(root, device)
+  }
+  info.kind = detectKind(root, device, info)
+  return info
+}
+
+/**
+ * Lists all interfaces, ordered by interface index like `ip link`
+ * @param {string} [root]
+ * @returns {Array<Object>} See readInterface()
+ */
+function readInterfaces (root = DEFAULT_ROOT) {
+  return fs.readdirSync(root)
+    .map(device => readInterface(root, device))
+    .sort((a, b) => (a.ifindex || Infinity) - (b.ifindex || Infinity) || a.device.localeCompare(b.device))
+}
+
+/**
+ * Reads the current MAC address of an interface
+ * @param {string} device
+ * @param {string} [root]
+ * @returns {string|null}
+ */
+function readAddress (device, root = DEFAULT_ROOT) {
+  return readAttribute(root, device, 'address') || null
+}
+
+module.exports = {
+  DEFAULT_ROOT,
+  ARPHRD_ETHER,
+  ARPHRD_LOOPBACK,
+  ADDR_ASSIGN_TYPES,
+  isAvailable,
+  detectKind,
+  readAttribute,
+  readInterface,
+  readInterfaces,
+  readAddress
+}
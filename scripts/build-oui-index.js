@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+// Compiles IEEE registry files into an index that oui.useIndex() can load.
+// Download the registries first, e.g.:
+//
+//   https://standards-oui.ieee.org/oui/oui.csv       MA-L
+//   https://standards-oui.ieee.org/oui28/mam.csv     MA-M
+//   https://standards-oui.ieee.org/oui36/oui36.csv   MA-S
+//   https://standards-oui.ieee.org/iab/iab.csv       IAB
+//   https://standards-oui.ieee.org/cid/cid.csv       CID
+//
+// Usage: node scripts/build-oui-index.js <files>... --out=<file>
+
+const fs = require('fs')
+const oui = require('../lib/oui')
+
+const args = process.argv.slice(2)
+const outArg = args.find((arg) => arg.startsWith('--out='))
+const out = outArg ? outArg.slice('--out='.length) : null
+const files = args.filter((arg) => !arg.startsWith('--'))
+
+if (files.length === 0 || !out) {
+  console.error('Usage: node scripts/build-oui-index.js <files>... --out=<file>')
+  process.exit(1)
+}
+
+const entries = []
+for (const file of files) {
+  const parsed = oui.parseRegistry(fs.readFileSync(file, 'utf8'))
+  console.log(`${file}: ${parsed.length} assignments`)
+  entries.push(...parsed)
+}
+
+const text = oui.buildIndex(entries)
+fs.writeFileSync(out, text)
+console.log(`Wrote ${oui.parseIndex(text).count} blocks to ${out}`)
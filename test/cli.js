@@ -0,0 +1,89 @@
+/**
+ * Runs bin/cmd.js against recorded command transcripts, for the tests of
+ * the CLI commands (not a test suite itself)
+ */
+
+const assert = require('assert')
+const childProcess = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const ROOT = path.join(__dirname, '..')
+
+/**
+ * Runs `spoofy <args>` with every system command answered from a recorded
+ * transcript (see lib/executor.js), as root on the transcript's platform
+ * @param {Array<string>} args
+ * @param {string} transcript - Transcript file
+ * @param {Object} [options] - home: home directory (also PROGRAMDATA) to
+ *   use, a new temporary one by default; setup: called with it before the run
+ * @returns {Object} { status, stdout, stderr, documents, summary, calls,
+ *   history, home }; with --json, `documents` are the JSON documents printed
+ *   and `summary` the last one
+ */
+function runSpoofy (args, transcript, options = {}) {
+  const home = options.home || fs.mkdtempSync(path.join(os.tmpdir(), 'spoofy-test-'))
+  const callsFile = path.join(home, 'calls.json')
+  if (fs.existsSync(callsFile)) {
+    fs.unlinkSync(callsFile)
+  }
+  if (options.setup) {
+    options.setup(home)
+  }
+  // bin/cmd.js checks process.platform and the user id itself
+  const script = `
+    const spoof = require(${JSON.stringify(ROOT)})
+    const exec = spoof.executor.createFixtureExecutor(${JSON.stringify(transcript)})
+    spoof.configure({ exec })
+    Object.defineProperty(process, 'platform', { value: exec.platform })
+    process.getuid = () => 0
+    process.on('exit', () => require('fs').writeFileSync(${JSON.stringify(callsFile)}, JSON.stringify(exec.calls)))
+    require(${JSON.stringify(path.join(ROOT, 'bin', 'cmd.js'))})
+  `
+  const result = childProcess.spawnSync(process.execPath, ['-e', script, 'spoofy', ...args], {
+    env: { ...process.env, HOME: home, USERPROFILE: home, PROGRAMDATA: home },
+    encoding: 'utf8',
+    timeout: 60000
+  })
+  assert.ok(fs.existsSync(callsFile), `spoofy ${args.join(' ')} did not finish: ${result.stderr}`)
+  // Each change prints its own JSON document; a summary comes last
+  const documents = args.includes('--json') && result.stdout.trim()
+    ? result.stdout.split(/\n(?=\{)/).map(text => JSON.parse(text))
+    : []
+  const historyFile = path.join(home, '.spoofy', 'history.jsonl')
+  return {
+    status: result.status,
+    stdout: result.stdout,
+    stderr: result.stderr,
+    documents,
+    summary: documents.length > 0 ? documents[documents.length - 1] : null,
+    calls: JSON.parse(fs.readFileSync(callsFile, 'utf8')),
+    history: fs.existsSync(historyFile)
+      ? fs.readFileSync(historyFile, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+      : [],
+    home
+  }
+}
+
+/**
+ * The MAC addresses set with Set-NetAdapter and the DUIDs written to the
+ * registry, in order
+ * @param {Array<string>} calls
+ * @returns {Array<string>}
+ */
+function changesIn (calls) {
+  return calls.map(call => {
+    const mac = /Set-NetAdapter -MacAddress '([^']+)'/.exec(call)
+    const duid = /^reg add .* \/d ([0-9A-F]+) /.exec(call)
+    if (mac) return `mac ${mac[1]}`
+    if (duid) return `duid ${duid[1]}`
+    if (/^reg delete /.test(call)) return 'duid deleted'
+    return null
+  }).filter(Boolean)
+}
+
+module.exports = {
+  runSpoofy,
+  changesIn
+}
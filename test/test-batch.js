@@ -0,0 +1,634 @@
+/**
+ * Test suite for batch files (lib/batch.js)
+ *
+ * Run with: node test/test-batch.js
+ * Run specific tests: node test/test-batch.js --test=yaml
+ */
+
+const assert = require('assert')
+const childProcess = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Keep history and caches out of the user's home
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'spoofy-test-'))
+process.env.USERPROFILE = process.env.HOME
+
+const batch = require('../lib/batch')
+const { runSpoofy, changesIn } = require('./cli')
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'batch')
+const fixture = name => path.join(FIXTURES, name)
+
+/**
+ * Runs `spoofy batch <file> --json` against a recorded transcript (see
+ * test/cli.js)
+ * @param {string} file - Batch file
+ * @param {string} transcript - Transcript file
+ * @param {Object} [options] - args: extra arguments; setup: as runSpoofy()
+ * @returns {Object} { status, summary, calls, history }
+ */
+function runBatch (file, transcript, options = {}) {
+  return runSpoofy(['batch', file, '--json', ...(options.args || [])], transcript, options)
+}
+
+/**
+ * A batch variable reference, `${name}` in the file
+ */
+function ref (name) {
+  return '$' + '{' + name + '}'
+}
+
+/**
+ * The errors of a batch file that fails validation
+ */
+function errorsOf (text, file, options) {
+  try {
+    batch.parseBatch(text, file, options)
+  } catch (err) {
+    assert.strictEqual(err.code, 'BATCH_INVALID', err.message)
+    return err.errors.map(e => `${e.line} ${e.field || '-'}: ${e.message}`)
+  }
+  throw new Error('Expected validation errors')
+}
+
+const tests = {
+  /**
+   * Test JSON parsing with line numbers
+   */
+  json () {
+    console.log('Testing JSON with line numbers...\n')
+
+    const { value, lines } = batch.parseJSON('{\n  "steps": [\n    { "type": "reset",\n      "device": "en0" }\n  ]\n}')
+    assert.deepStrictEqual(value, { steps: [{ type: 'reset', device: 'en0' }] })
+    assert.strictEqual(lines.get('/steps/0'), 3)
+    assert.strictEqual(lines.get('/steps/0/device'), 4)
+    console.log('✓ Values and lines')
+
+    assert.throws(() => batch.parseJSON('[\n  {"type": "set",}\n]'), err => err.line === 2)
+    assert.throws(() => batch.parseJSON('{\n  "a": 1,\n  "a": 2\n}'), err => err.line === 3 && /Map keys must be unique/.test(err.message))
+    assert.throws(() => batch.parseJSON('{"a": 1} // note'), /Invalid JSON/, 'Comments are YAML, not JSON')
+    console.log('✓ Syntax errors have a line')
+
+    console.log('\nAll JSON tests passed!\n')
+  },
+
+  /**
+   * Test the YAML subset
+   */
+  yaml () {
+    console.log('Testing YAML...\n')
+
+    const yaml = batch.parseBatch(fs.readFileSync(fixture('rotate.yaml'), 'utf8'), 'rotate.yaml')
+    const json = batch.parseBatch(fs.readFileSync(fixture('rotate.json'), 'utf8'), 'rotate.json')
+    assert.deepStrictEqual(yaml, json, 'YAML and JSON forms should load the same')
+    console.log('✓ Same result as the JSON form')
+
+    const { value, lines } = batch.parseYAML([
+      'list:',
+      '- a',
+      '- [1, "two", {x: null}]',
+      'folded: >-',
+      '  one',
+      '  two',
+      '',
+      '  three',
+      'hash: a#b # comment',
+      "quoted: 'it''s'",
+      'nested:',
+      '  - - x',
+      '    - y'
+    ].join('\n'))
+    assert.deepStrictEqual(value, {
+      list: ['a', [1, 'two', { x: null }]],
+      folded: 'one two\nthree',
+      hash: 'a#b',
+      quoted: "it's",
+      nested: [['x', 'y']]
+    })
+    assert.strictEqual(lines.get('/list/1'), 3)
+    assert.strictEqual(lines.get('/quoted'), 10)
+    console.log('✓ Sequences, flow collections, block scalars, comments and quoting')
+
+    assert.deepStrictEqual(batch.parseYAML('mac: 00:11:22:33:44:55\nport: Wi-Fi\non: yes').value,
+      { mac: '00:11:22:33:44:55', port: 'Wi-Fi', on: 'yes' }, 'YAML 1.2 scalars: no sexagesimal numbers or yes/no booleans')
+    console.log('✓ MAC addresses stay strings')
+
+    assert.throws(() => batch.parseYAML('steps:\n  - type: set\n     device: x'), err => err.line === 2 && /compact mappings/.test(err.message))
+    assert.throws(() => batch.parseYAML('a: 1\na: 2'), err => err.line === 2 && /Map keys must be unique/.test(err.message))
+    assert.throws(() => batch.parseYAML('a: 1\n---\nb: 2\n---\nc: 3'), /one YAML document/)
+    console.log('✓ Unsupported YAML is rejected with a line')
+
+    assert.deepStrictEqual(batch.parseYAML('defaults: &base {local: true}\nsteps:\n  - *base').value.steps[0],
+      { local: true }, 'Aliases are resolved')
+    for (const key of ['__proto__', 'constructor', 'prototype']) {
+      assert.throws(() => batch.parseYAML(`steps:\n  - type: set\n    ${key}: {device: x}`), err => err.line === 3 && err.message === `"${key}" is not allowed as a key`)
+      assert.throws(() => batch.parseJSON(`{\n  "vars": {\n    "${key}": {}\n  }\n}`), err => err.line === 3)
+    }
+    console.log('✓ Keys that reach the prototype are rejected')
+
+    console.log('\nAll YAML tests passed!\n')
+  },
+
+  /**
+   * Test schema validation and error locations
+   */
+  validation () {
+    console.log('Testing validation...\n')
+
+    assert.deepStrictEqual(errorsOf(fs.readFileSync(fixture('invalid.yaml'), 'utf8'), 'invalid.yaml'), [
+      '2 mode: must be one of "continue", "transaction", not "fast"',
+      '6 steps[0].mac: "01:02" is not a valid MAC address',
+      '7 steps[1].type: must be one of "set", "randomize", "derive", "reset", "identity", "duid-randomize", "duid-set", "duid-sync", "duid-restore", "duid-reset", not "randomise" (did you mean "randomize"?)',
+      '9 steps[2].device: is required',
+      '10 steps[2].devce: unknown field (did you mean "device"?)',
+      '11 steps[2].mac: not used by "randomize" steps (fields: type, device, local, vendor, sameVendor, if, unless)',
+      '14 steps[3].mac: must be a string, not integer (quote it)'
+    ])
+    console.log('✓ Every problem, with line and field')
+
+    assert.deepStrictEqual(errorsOf('[\n  { "type": "set", "device": "eth0" },\n  { "type": "reset" }\n]', 'list.json'), [
+      '2 steps[0].mac: is required',
+      '3 steps[1].device: is required'
+    ], 'A bare list is validated as the steps')
+    assert.deepStrictEqual(errorsOf('{ "steps": [] }', 'empty.json'), ['1 steps: must have at least 1 item'])
+    assert.deepStrictEqual(errorsOf('"steps"', 'string.json'), ['1 -: must be an array or an object, not string'])
+    assert.deepStrictEqual(errorsOf('steps:\n  - type: duid-set\n    duid: zz\n', 'duid.yml'), ['3 steps[0].duid: "zz" is not a valid DUID'])
+    console.log('✓ Lists, empty files and formats')
+
+    assert.deepStrictEqual(errorsOf('{\n  "steps": [\n    { "type": "set",\n      "mac": "00:11:22:33:44:55" }\n  ]\n}', 'broken.json'), [
+      '3 steps[0].device: is required'
+    ], 'A missing field is reported at its step')
+    // The message after "Invalid JSON" comes from JSON.parse and varies between Node.js versions
+    assert.deepStrictEqual(errorsOf('[\n  { "type": "set"\n    "device": "x" }\n]', 'syntax.json').map(e => e.replace(/JSON: .*/, 'JSON')), [
+      '3 -: Invalid JSON'
+    ])
+    console.log('✓ Syntax errors are reported the same way')
+
+    console.log('\nAll validation tests passed!\n')
+  },
+
+  /**
+   * Test defaults
+   */
+  defaults () {
+    console.log('Testing defaults...\n')
+
+    const loaded = batch.parseBatch([
+      'defaults:',
+      '  device: en0',
+      '  local: true',
+      'steps:',
+      '  - type: randomize',
+      '  - type: set',
+      '    mac: 02:00:00:00:00:01',
+      '  - type: duid-randomize',
+      '  - type: randomize',
+      '    device: en1',
+      '    local: false'
+    ].join('\n'), 'defaults.yaml')
+    assert.deepStrictEqual(loaded.steps, [
+      { type: 'randomize', device: 'en0', local: true },
+      { type: 'set', mac: '02:00:00:00:00:01', device: 'en0' },
+      { type: 'duid-randomize', device: 'en0' },
+      { type: 'randomize', device: 'en1', local: false }
+    ], 'Only fields a step accepts, and never over its own')
+    assert.strictEqual(loaded.mode, 'continue')
+    console.log('✓ Applied to the steps that accept them')
+
+    assert.deepStrictEqual(errorsOf('defaults:\n  device: 7\nsteps:\n  - type: reset\n', 'bad-default.yaml'), [
+      '2 defaults.device: must be a string or an object, not integer (quote it)'
+    ], 'Errors in a default are reported once, at the default')
+    assert.deepStrictEqual(errorsOf('defaults:\n  mac: 02:00:00:00:00:01\nsteps:\n  - type: reset\n    device: en0\n', 'mac-default.yaml'), [
+      '2 defaults.mac: unknown field'
+    ])
+    console.log('✓ Invalid defaults')
+
+    console.log('\nAll defaults tests passed!\n')
+  },
+
+  /**
+   * Test variables
+   */
+  variables () {
+    console.log('Testing variables...\n')
+
+    const env = { IFACE: 'wlan0' }
+    const text = [
+      `name: ${ref('site')} rotation`,
+      'vars:',
+      '  site: lab',
+      `  wired: ${ref('env.WIRED:-eth0')}`,
+      'defaults:',
+      `  device: ${ref('env.IFACE')}`,
+      'steps:',
+      '  - type: randomize',
+      '  - type: set',
+      `    device: ${ref('wired')}`,
+      `    mac: ${ref('mac')}`,
+      '  - type: derive',
+      `    key: $${ref('literal')}-${ref('site')}`
+    ].join('\n')
+    const loaded = batch.parseBatch(text, 'vars.yaml', { env, vars: { mac: '02:00:00:00:00:01' } })
+    assert.strictEqual(loaded.name, 'lab rotation')
+    assert.deepStrictEqual(loaded.steps, [
+      { type: 'randomize', device: 'wlan0' },
+      { type: 'set', device: 'eth0', mac: '02:00:00:00:00:01' },
+      { type: 'derive', key: `${ref('literal')}-lab`, device: 'wlan0' }
+    ])
+    console.log(`✓ vars, --var, environment, fallbacks and $${ref('...')}`)
+
+    assert.strictEqual(batch.parseBatch(text, 'vars.yaml', { env: { IFACE: 'en0', WIRED: 'en1' }, vars: { mac: '02:00:00:00:00:01', site: 'hq' } }).name,
+      'hq rotation', '--var overrides the file')
+
+    assert.deepStrictEqual(errorsOf(text, 'vars.yaml', { env: {} }), [
+      `6 defaults.device: environment variable "IFACE" is not set (use ${ref('env.IFACE:-value')} for a fallback)`,
+      '11 steps[1].mac: undefined variable "mac" (define it under "vars" or with --var mac=value)'
+    ])
+    assert.deepStrictEqual(errorsOf(`[{ "type": "set", "device": "${ref('1x')}", "mac": "${ref('mac')}" }]`, 'bad.json', { vars: { mac: 'zz' } }), [
+      `1 steps[0].device: invalid variable reference "${ref('1x')}"`,
+      '1 steps[0].mac: "zz" is not a valid MAC address'
+    ], 'Values from variables are validated')
+    console.log('✓ Undefined and invalid references')
+
+    console.log('\nAll variables tests passed!\n')
+  },
+
+  /**
+   * Test device patterns and conditions
+   */
+  conditions () {
+    console.log('Testing device patterns and conditions...\n')
+
+    const interfaces = [
+      { device: 'eth0', port: 'eth0', kind: 'ethernet', operstate: 'up', address: '00:1b:21:00:00:01', spoofed: false },
+      { device: 'eth1', port: 'eth1', kind: 'ethernet', operstate: 'down', address: '00:1b:21:00:00:02', spoofed: true },
+      { device: 'wlan0', port: 'Wi-Fi', kind: 'wifi', operstate: 'up', address: 'b8:27:eb:00:00:03', spoofed: false }
+    ]
+    let discoveries = 0
+    const host = (platform) => ({
+      platform,
+      hostname: 'web-01.example.org',
+      findInterfaces: () => {
+        discoveries++
+        return interfaces
+      },
+      vendorOf: (mac) => mac.startsWith('00:1b:21') ? 'Intel Corporate' : null
+    })
+    const plan = (text, platform = 'linux') => batch.planSteps(batch.parseBatch(text, 'plan.yaml').steps, host(platform))
+      .map(({ index, operation, skipped }) => `${index} ${operation.type} ${JSON.stringify(operation.device)}${skipped ? ': ' + skipped : ''}`)
+
+    assert.deepStrictEqual(plan([
+      'steps:',
+      '  - { type: randomize, device: "eth*" }',
+      '  - { type: randomize, device: wi-fi }',
+      '  - { type: reset, device: "en[0-3]" }',
+      '  - { type: reset, device: { type: wifi } }',
+      '  - { type: reset, device: { name: "eth?", up: true } }'
+    ].join('\n')), [
+      '0 randomize "eth0"',
+      '0 randomize "eth1"',
+      '1 randomize "wi-fi"',
+      '2 reset "en[0-3]": no interface matches "en[0-3]"',
+      '3 reset "wlan0"',
+      '4 reset "eth0"'
+    ])
+    console.log('✓ Globs and selectors, by device or port name')
+
+    discoveries = 0
+    const conditional = [
+      'steps:',
+      '  - { type: reset, device: eth0, if: { platform: [macos, windows] } }',
+      '  - { type: reset, device: eth0, if: { platform: linux, hostname: "web-*" } }',
+      '  - { type: reset, device: eth0, unless: { platform: linux } }',
+      '  - { type: duid-reset, if: { hostname: "db-*" } }'
+    ].join('\n')
+    assert.deepStrictEqual(plan(conditional), [
+      '0 reset "eth0": condition if.platform not met (linux)',
+      '1 reset "eth0"',
+      '2 reset "eth0": unless condition met (linux)',
+      '3 duid-reset undefined: condition if.hostname not met (web-01.example.org)'
+    ])
+    assert.strictEqual(discoveries, 0, 'Host conditions need no interfaces')
+    assert.deepStrictEqual(plan(conditional, 'darwin').slice(0, 1), ['0 reset "eth0"'])
+    console.log('✓ Platform and hostname')
+
+    assert.deepStrictEqual(plan([
+      'steps:',
+      '  - { type: randomize, device: "*", if: { vendor: intel } }',
+      '  - { type: randomize, device: "*", unless: { spoofed: true } }',
+      '  - { type: randomize, device: eth1, unless: { spoofed: true, platform: win32 } }',
+      '  - { type: randomize, device: eth9, if: { vendor: intel } }'
+    ].join('\n')), [
+      '0 randomize "eth0"',
+      '0 randomize "eth1"',
+      '0 randomize "wlan0": condition if.vendor not met (unknown vendor)',
+      '1 randomize "eth0"',
+      '1 randomize "eth1": unless condition met (spoofed)',
+      '1 randomize "wlan0"',
+      '2 randomize "eth1"',
+      '3 randomize "eth9"'
+    ], 'Unknown devices are left to fail when run')
+    assert.strictEqual(discoveries, 1, 'Interfaces are listed once')
+    console.log('✓ Vendor and spoofed, per interface')
+
+    assert.deepStrictEqual(errorsOf([
+      'steps:',
+      '  - type: duid-randomize',
+      '    unless: { spoofed: true }',
+      '  - type: reset',
+      '    device: { type: wireless }',
+      '    if: { platform: linux, os: linux }',
+      '  - type: reset',
+      '    device: {}',
+      '    if: { platform: [] }'
+    ].join('\n'), 'conditions.yaml'), [
+      '3 steps[0].unless.spoofed: needs a "device" to check',
+      '5 steps[1].device.type: must be one of "ethernet", "wifi", "bridge", "bond", "vlan", "veth", "tun", "loopback", "other", not "wireless"',
+      '6 steps[1].if.os: unknown field',
+      '8 steps[2].device: must have at least 1 field',
+      '9 steps[2].if.platform: must have at least 1 item'
+    ])
+    console.log('✓ Invalid patterns and conditions')
+
+    console.log('\nAll conditions tests passed!\n')
+  },
+
+  /**
+   * Test that a failed transaction rolls back the steps that ran
+   */
+  transaction () {
+    console.log('Testing transactions...\n')
+
+    const run = runBatch(fixture('rollback.json'), fixture('win32-rollback.json'))
+    assert.strictEqual(run.status, 1, 'A rolled back batch fails')
+    assert.deepStrictEqual(changesIn(run.calls), [
+      'mac 02:11:22:33:44:55',
+      'duid 00030001021122334455',
+      'mac 02:66:77:88:99:AA',
+      'mac 02:AA:BB:CC:DD:EE',
+      'mac 00:1B:21:DD:EE:FF',
+      'duid deleted',
+      'mac 00:1B:21:AA:BB:CC'
+    ], 'Completed steps are reverted newest first')
+    console.log('✓ Completed steps reverted in reverse order')
+
+    const { summary } = run
+    assert.strictEqual(summary.mode, 'transaction')
+    assert.strictEqual(summary.rolledBack, true)
+    assert.deepStrictEqual(summary.results.map(r => [r.index, r.success, Boolean(r.skipped)]), [
+      [0, true, false],
+      [1, true, false],
+      [2, true, false],
+      [3, false, false],
+      [4, false, true]
+    ])
+    assert.ok(/Access is denied/.test(summary.results[3].error), summary.results[3].error)
+    assert.strictEqual(summary.results[4].error, 'Not run: the transaction was rolled back')
+    assert.deepStrictEqual(summary.rollback, [
+      { type: 'mac', device: 'Ethernet', to: '02:11:22:33:44:55', index: 3, success: true, unchanged: true },
+      { type: 'mac', device: 'Wi-Fi', to: '00:1B:21:DD:EE:FF', index: 2, success: true },
+      { type: 'duid', device: 'system', to: null, index: 1, success: true },
+      { type: 'mac', device: 'Ethernet', to: '00:1B:21:AA:BB:CC', index: 0, success: true }
+    ])
+    console.log('✓ The failed step changed nothing and is left alone')
+    console.log('✓ Rollback summary in the JSON output')
+
+    const rollbacks = run.history.filter(entry => entry.operation === 'rollback')
+    assert.deepStrictEqual(rollbacks.map(entry => [entry.device, entry.newMac || entry.newDuid || null]), [
+      ['Wi-Fi', '00:1B:21:DD:EE:FF'],
+      ['system', null],
+      ['Ethernet', '00:1B:21:AA:BB:CC']
+    ])
+    assert.strictEqual(rollbacks[1].oldDuid, '00:03:00:01:02:11:22:33:44:55', 'The DUID that did not exist before is removed again')
+    console.log('✓ DUID removed again when there was none before')
+
+    console.log('\nAll transaction tests passed!\n')
+  },
+
+  /**
+   * Test the DUID steps
+   */
+  duid () {
+    console.log('Testing DUID steps...\n')
+
+    const run = runBatch(fixture('duid.json'), fixture('win32-duid.json'), { args: ['--seed=duid'] })
+    assert.strictEqual(run.status, 0, run.summary.results.map(r => r.error).join('\n'))
+    const duids = run.summary.results.map(r => r.duid)
+    assert.ok(/^00:03:00:01(:[0-9A-F]{2}){6}$/.test(duids[0]), `duid-randomize makes a DUID-LL: ${duids[0]}`)
+    assert.deepStrictEqual(duids.slice(1), [
+      '00:03:00:01:02:11:22:33:44:55',
+      '00:03:00:01:00:1B:21:AA:BB:CC',
+      '00:01:00:01:2C:5A:1B:7E:00:1B:21:AA:BB:CC',
+      null
+    ], 'duid-set, duid-sync (from the MAC of Ethernet), duid-restore and duid-reset')
+    assert.deepStrictEqual(changesIn(run.calls), [
+      `duid ${duids[0].replace(/:/g, '')}`,
+      'duid 00030001021122334455',
+      'duid 00030001001B21AABBCC',
+      'duid 000100012C5A1B7E001B21AABBCC',
+      'duid deleted'
+    ])
+    console.log('✓ Every DUID step type:', duids.join(' | '))
+
+    assert.strictEqual(run.calls.filter(call => call === 'netsh interface ipv6 set interface "Ethernet" enabled').length, 2,
+      'IPv6 is restarted on the device of duid-sync and duid-reset')
+    assert.deepStrictEqual(run.history.map(entry => [entry.operation, entry.device, entry.success]), [
+      ['batch-randomize', 'system', true],
+      ['batch-set', 'system', true],
+      ['batch-sync', 'Ethernet', true],
+      ['batch-restore', 'system', true],
+      ['batch-reset', 'Ethernet', true]
+    ])
+    assert.strictEqual(run.history[0].oldDuid, '00:01:00:01:2C:5A:1B:7E:00:1B:21:AA:BB:CC')
+    console.log('✓ History entries')
+
+    console.log('\nAll DUID step tests passed!\n')
+  },
+
+  /**
+   * Test an identity step whose DUID change fails after the MAC changed
+   */
+  identity () {
+    console.log('Testing identity steps...\n')
+
+    const run = runBatch(fixture('identity.json'), fixture('win32-identity.json'), { args: ['--seed=identity'] })
+    assert.strictEqual(run.status, 1)
+    const result = run.summary.results[0]
+    assert.strictEqual(result.success, false)
+    assert.strictEqual(result.error, 'MAC address of Ethernet changed to DE:16:3E:68:3D:CE, but the DUID was not: ' +
+      'Failed to set DUID. Make sure you are running as Administrator.')
+    console.log('✓ The error says the MAC address changed')
+
+    assert.deepStrictEqual(changesIn(run.calls), [
+      'mac DE:16:3E:68:3D:CE',
+      'duid 00030001DE163E683DCE',
+      'mac 00:1B:21:AA:BB:CC'
+    ], 'The DUID write follows the new MAC address; the MAC address is reverted')
+    assert.deepStrictEqual(run.summary.rollback.map(r => [r.type, r.to, Boolean(r.unchanged)]), [
+      ['duid', '00:01:00:01:2C:5A:1B:7E:00:1B:21:AA:BB:CC', true],
+      ['mac', '00:1B:21:AA:BB:CC', false]
+    ])
+    assert.deepStrictEqual(run.history.map(entry => [entry.operation, entry.type || 'mac', entry.success]), [
+      ['batch-identity', 'mac', true],
+      ['batch-identity', 'duid', false],
+      ['rollback', 'mac', true]
+    ])
+    console.log('✓ The MAC address is rolled back, the unchanged DUID left alone')
+
+    console.log('\nAll identity tests passed!\n')
+  },
+
+  /**
+   * Test --parallel: steps on the same interface, and the DUID steps, keep
+   * their order
+   */
+  parallel () {
+    console.log('Testing batch --parallel...\n')
+
+    const run = runBatch(fixture('parallel.json'), fixture('win32-parallel.json'), { args: ['--parallel=2', '--seed=parallel'] })
+    assert.strictEqual(run.status, 0, run.stderr)
+    assert.deepStrictEqual([run.summary.parallel, run.summary.total, run.summary.success, run.summary.failed], [2, 6, 6, 0])
+    assert.deepStrictEqual(run.summary.results.map(result => [result.index, result.operation.type]), [
+      [0, 'set'],
+      [1, 'duid-set'],
+      [2, 'set'],
+      [3, 'identity'],
+      [4, 'set'],
+      [5, 'duid-reset']
+    ], 'Results are in file order')
+    console.log('✓ Summary in file order')
+
+    assert.deepStrictEqual(changesIn(run.calls), [
+      'mac 02:11:22:33:44:55',
+      'duid 00030001021122334455',
+      'mac 02:66:77:88:99:AA',
+      'mac 02:AA:BB:CC:DD:EE',
+      'mac D2:50:56:67:FE:98',
+      'duid 00030001D2505667FE98',
+      'duid deleted'
+    ], 'Each interface and the DUID change in file order; the second Ethernet step does not wait for Wi-Fi')
+    assert.deepStrictEqual(run.history.map(entry => [entry.operation, entry.device, entry.type || 'mac', entry.success]), [
+      ['batch-set', 'Ethernet', 'mac', true],
+      ['batch-set', 'system', 'duid', true],
+      ['batch-set', 'Wi-Fi', 'mac', true],
+      ['batch-set', 'Ethernet', 'mac', true],
+      ['batch-identity', 'Wi-Fi', 'mac', true],
+      ['batch-identity', 'Wi-Fi', 'duid', true],
+      ['batch-reset', 'system', 'duid', true]
+    ])
+    console.log('✓ Same interface and DUID steps in order, others concurrently')
+
+    console.log('\nAll parallel tests passed!\n')
+  },
+
+  /**
+   * Test that the CLI help, which documents the batch options, runs
+   */
+  help () {
+    console.log('Testing the help text...\n')
+
+    const cli = path.join(__dirname, '..', 'bin', 'cmd.js')
+    for (const args of [['help'], ['--help']]) {
+      const result = childProcess.spawnSync(process.execPath, [cli, ...args], { env: process.env, encoding: 'utf8', timeout: 30000 })
+      assert.strictEqual(result.status, 0, `spoofy ${args.join(' ')} failed: ${result.stderr}`)
+      assert.ok(result.stdout.includes(`--var <name>=<value>  Set a ${ref('name')} variable`), 'Batch variables are documented')
+      console.log('✓ spoofy', args.join(' '))
+    }
+
+    console.log('\nAll help tests passed!\n')
+  },
+
+  /**
+   * Test the published schema and the example files
+   */
+  schema () {
+    console.log('Testing the schema...\n')
+
+    const root = path.join(__dirname, '..')
+    const schema = JSON.parse(fs.readFileSync(path.join(root, 'batch.schema.json'), 'utf8'))
+    assert.strictEqual(schema.$schema, 'http://json-schema.org/draft-07/schema#')
+    const types = schema.definitions.step.properties.type.enum
+    types.forEach(type => {
+      assert.ok(schema.definitions.step.allOf.some(part => {
+        const match = part.if.properties.type
+        return match.const === type || (match.enum || []).includes(type)
+      }), `Fields of "${type}" steps should be listed`)
+    })
+    console.log('✓', types.length, 'step types')
+
+    for (const example of ['batch.example.json', 'batch.example.yaml']) {
+      const loaded = batch.loadBatchFile(path.join(root, example))
+      assert.ok(loaded.steps.length > 0)
+      console.log('✓', example, 'is valid')
+    }
+
+    console.log('\nAll schema tests passed!\n')
+  }
+}
+
+function runTests (testNames) {
+  console.log('='.repeat(60))
+  console.log('Batch File Tests')
+  console.log('='.repeat(60))
+  console.log()
+
+  let passed = 0
+  let failed = 0
+
+  for (const name of testNames) {
+    if (tests[name]) {
+      try {
+        tests[name]()
+        passed++
+      } catch (e) {
+        console.error(`✗ Test "${name}" failed:`, e.message)
+        console.error(e.stack)
+        failed++
+      }
+    } else {
+      console.error(`Unknown test: ${name}`)
+    }
+  }
+
+  console.log('='.repeat(60))
+  console.log(`Results: ${passed} passed, ${failed} failed`)
+  console.log('='.repeat(60))
+
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+// Parse args
+const args = process.argv.slice(2)
+const testArg = args.find(a => a.startsWith('--test='))
+
+if (testArg) {
+  runTests([testArg.split('=')[1]])
+} else if (args.includes('--help')) {
+  console.log(`
+Usage: node test-batch.js [options]
+
+Options:
+  --test=<name>   Run specific test
+  --help          Show this help
+
+Available tests:
+  json            Test JSON parsing with line numbers
+  yaml            Test the YAML subset
+  validation      Test schema validation and error locations
+  defaults        Test defaults
+  variables       Test variables
+  conditions      Test device patterns and conditions
+  transaction     Test that a failed transaction rolls back the steps that ran
+  duid            Test the DUID steps
+  identity        Test an identity step whose DUID change fails after the MAC changed
+  parallel        Test that --parallel keeps the order of dependent steps
+  help            Test that the CLI help runs
+  schema          Test the published schema and the example files
+
+Run without options to execute all tests.
+`)
+} else {
+  runTests(Object.keys(tests))
+}
@@ -6,7 +6,11 @@
  */
 
 const duid = require('../lib/duid')
+const random = require('../lib/random')
 const assert = require('assert')
+const childProcess = require('child_process')
+const crypto = require('crypto')
+const path = require('path')
 
 const tests = {
   /**
@@ -129,6 +133,79 @@ const tests = {
     console.log('\nAll random MAC tests passed!\n')
   },
 
+  /**
+   * Test seeded (reproducible) randomness
+   */
+  seededRandom () {
+    console.log('Testing seeded randomness...\n')
+
+    const sequence = () => [
+      duid.generateRandomMAC(),
+      duid.formatDUID(duid.generateDUID(duid.DUID_TYPES.DUID_UUID)),
+      random.int(0, 1000)
+    ]
+
+    try {
+      random.seed('lab-42')
+      const first = sequence()
+      random.seed('lab-42')
+      assert.deepStrictEqual(sequence(), first, 'Same seed should give the same sequence')
+      console.log('✓ Same seed, same sequence:', first[0])
+
+      random.seed('lab-43')
+      assert.notDeepStrictEqual(sequence(), first, 'Different seeds should differ')
+      console.log('✓ Different seed, different sequence')
+
+      const uuid = duid.generateDUID(duid.DUID_TYPES.DUID_UUID)
+      assert.strictEqual(uuid[8] & 0xF0, 0x40, 'UUID version should be 4')
+      assert.strictEqual(uuid[10] & 0xC0, 0x80, 'UUID variant should be RFC 4122')
+      console.log('✓ Seeded UUIDs are valid v4 UUIDs')
+
+      for (let i = 0; i < 200; i++) {
+        const value = random.int(3, 5)
+        assert(value >= 3 && value <= 5, 'int() should stay within bounds')
+      }
+      console.log('✓ Seeded integers stay within bounds')
+    } finally {
+      random.seed(null)
+    }
+
+    assert(!random.isSeeded(), 'Unseeding should restore the system generator')
+
+    random.seed('lab-42')
+    const expected = duid.generateRandomMAC()
+    duid.configure({ seed: 'lab-42' })
+    assert.strictEqual(duid.generateRandomMAC(), expected, 'configure({ seed }) should seed DUID generation')
+    duid.configure({ seed: null })
+    assert(!random.isSeeded(), 'configure({ seed: null }) should unseed')
+    console.log('✓ duid.configure({ seed })')
+
+    const generate = (...args) => childProcess.execFileSync(process.execPath, [
+      path.join(__dirname, '..', 'lib', 'duid-cli.js'), 'generate', ...args
+    ], { env: { ...process.env, SPOOFY_JSON: 'true' }, encoding: 'utf8' })
+    const separate = generate('--seed', 'lab-42', '--type=LL')
+    assert.strictEqual(generate('--seed=lab-42', '--type=LL'), separate, '--seed <value> should match --seed=<value>')
+    assert.notStrictEqual(generate('--seed', 'lab-43', '--type=LL'), separate)
+    console.log('✓ duid CLI accepts --seed <value>')
+
+    // Node.js before 14.10 has no crypto.randomInt
+    const randomInt = crypto.randomInt
+    try {
+      crypto.randomInt = undefined
+      const values = new Set()
+      for (let i = 0; i < 200; i++) {
+        const value = random.int(3, 5)
+        assert(value >= 3 && value <= 5, 'int() should stay within bounds without crypto.randomInt')
+        values.add(value)
+      }
+      assert.strictEqual(values.size, 3, 'Every value should come up')
+    } finally {
+      crypto.randomInt = randomInt
+    }
+    console.log('✓ Integers without crypto.randomInt')
+    console.log('\nAll seeded randomness tests passed!\n')
+  },
+
   /**
    * Test platform detection (non-destructive)
    */
@@ -240,6 +317,7 @@ Available tests:
   parsing         Test DUID parsing
   conversion      Test hex conversion
   randomMac       Test random MAC generation
+  seededRandom    Test seeded (reproducible) randomness
   platform        Test platform support (read-only)
 
 Run without options to execute all tests.
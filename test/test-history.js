@@ -0,0 +1,548 @@
+/**
+ * Test suite for the change history store (lib/history.js)
+ *
+ * Run with: node test/test-history.js
+ * Run specific tests: node test/test-history.js --test=migration
+ */
+
+const assert = require('assert')
+const cp = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Keep the user's change history out of the tests (read through os.homedir())
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'spoofy-test-'))
+process.env.USERPROFILE = process.env.HOME
+
+const history = require('../lib/history')
+const { runSpoofy, changesIn } = require('./cli')
+
+const fixture = name => path.join(__dirname, 'fixtures', `${name}.json`)
+
+// Changes recorded before the undo and restore commands run; the
+// transcripts start from the state they left: Ethernet 02:00:00:00:00:02,
+// Wi-Fi 02:00:00:00:00:0A and DUID 00:03:00:01:02:00:00:00:00:02
+const RECORDED = [
+  { timestamp: '2024-01-01T10:00:00.000Z', device: 'Ethernet', oldMac: '00:1B:21:AA:BB:CC', newMac: '02:00:00:00:00:01', operation: 'randomize' },
+  { timestamp: '2024-01-02T10:00:00.000Z', device: 'Wi-Fi', oldMac: '3C:A9:F4:10:20:30', newMac: '02:00:00:00:00:0A', operation: 'set' },
+  { timestamp: '2024-01-03T10:00:00.000Z', device: 'Ethernet', oldMac: '02:00:00:00:00:01', newMac: '02:00:00:00:00:02', operation: 'set' },
+  { timestamp: '2024-01-04T10:00:00.000Z', type: 'duid', device: 'system', oldDuid: '00:03:00:01:00:1B:21:AA:BB:CC', newDuid: '00:03:00:01:02:00:00:00:00:02', operation: 'sync' }
+]
+
+/**
+ * Runs `spoofy <args> --json` with `entries` in the history
+ * @param {Array<string>} args
+ * @param {string} transcript - Transcript name in test/fixtures
+ * @param {Array} [entries]
+ * @returns {Object} As runSpoofy(), with `added`: the history entries the
+ *   run wrote
+ */
+function runWithHistory (args, transcript, entries = RECORDED) {
+  const run = runSpoofy([...args, '--json'], fixture(transcript), {
+    setup (home) {
+      fs.mkdirSync(path.join(home, '.spoofy'))
+      fs.writeFileSync(path.join(home, '.spoofy', 'history.jsonl'), entries.map(e => JSON.stringify(e) + '\n').join(''))
+    }
+  })
+  run.added = run.history.slice(entries.length)
+  return run
+}
+
+function reset () {
+  for (const file of [history.HISTORY_FILE, history.LEGACY_HISTORY_FILE, history.LEGACY_HISTORY_FILE + '.migrated']) {
+    try {
+      fs.unlinkSync(file)
+    } catch (e) {
+      // Not there
+    }
+  }
+  history.configure({ maxEntries: null, maxAgeDays: null })
+}
+
+const tests = {
+  /**
+   * Test appending and reading entries
+   */
+  append () {
+    console.log('Testing append-only store...\n')
+    reset()
+
+    assert.deepStrictEqual(history.getHistory(), [], 'No history yet')
+    for (let i = 0; i < 150; i++) {
+      history.addHistoryEntry('eth0', null, `02:00:00:00:00:${(i % 256).toString(16).padStart(2, '0').toUpperCase()}`, 'set')
+    }
+    history.addDUIDHistoryEntry('eth0', null, '00:03:00:01', 'randomize')
+
+    const entries = history.getHistory()
+    assert.strictEqual(entries.length, 151, 'Nothing should be dropped without a retention limit')
+    assert.strictEqual(entries[0].type, 'duid', 'Newest entry first')
+    assert.strictEqual(entries[150].newMac, '02:00:00:00:00:00')
+    assert.strictEqual(history.getDUIDHistory().length, 1)
+
+    const lines = fs.readFileSync(history.HISTORY_FILE, 'utf8').trim().split('\n')
+    assert.strictEqual(lines.length, 151, 'One line per entry')
+    assert.strictEqual(JSON.parse(lines[0]).newMac, '02:00:00:00:00:00', 'Oldest entry first on disk')
+    console.log('✓ 151 entries kept, one JSON object per line')
+
+    assert.ok(!fs.existsSync(history.HISTORY_FILE + '.lock'), 'Lock should be released')
+    console.log('✓ Lock released')
+
+    console.log('\nAll append tests passed!\n')
+  },
+
+  /**
+   * Test conversion of the old JSON array file
+   */
+  migration () {
+    console.log('Testing migration...\n')
+    reset()
+
+    const legacy = [
+      { timestamp: '2024-02-01T00:00:00.000Z', device: 'eth0', oldMac: '02:00:00:00:00:01', newMac: '02:00:00:00:00:02', operation: 'set' },
+      { timestamp: '2024-01-01T00:00:00.000Z', device: 'eth0', oldMac: '00:1B:21:AA:BB:CC', newMac: '02:00:00:00:00:01', operation: 'randomize' }
+    ]
+    fs.writeFileSync(history.LEGACY_HISTORY_FILE, JSON.stringify(legacy, null, 2))
+
+    assert.deepStrictEqual(history.getHistory(), legacy, 'Old entries should be read in the same order')
+    assert.ok(fs.existsSync(history.HISTORY_FILE), 'History should be converted')
+    assert.ok(!fs.existsSync(history.LEGACY_HISTORY_FILE))
+    assert.ok(fs.existsSync(history.LEGACY_HISTORY_FILE + '.migrated'), 'The old file should be kept')
+    assert.strictEqual(history.getFirstRecordedMAC('eth0'), '00:1B:21:AA:BB:CC')
+    console.log('✓ JSON array converted, oldest first')
+
+    history.addHistoryEntry('eth0', '02:00:00:00:00:02', '02:00:00:00:00:03', 'set')
+    assert.strictEqual(history.getHistory().length, 3)
+    console.log('✓ New entries appended after the migrated ones')
+
+    reset()
+    fs.writeFileSync(history.LEGACY_HISTORY_FILE, '[{"device": "eth0",')
+    assert.deepStrictEqual(history.getHistory(), [])
+    assert.ok(fs.existsSync(history.LEGACY_HISTORY_FILE), 'An unreadable old file is left alone')
+    console.log('✓ Unreadable old file is not touched')
+
+    console.log('\nAll migration tests passed!\n')
+  },
+
+  /**
+   * Test that damaged lines only lose themselves
+   */
+  corruption () {
+    console.log('Testing corruption recovery...\n')
+    reset()
+
+    history.addHistoryEntry('eth0', null, '02:00:00:00:00:01', 'set')
+    fs.appendFileSync(history.HISTORY_FILE, 'not json\n[1, 2]\n')
+    history.addHistoryEntry('eth0', null, '02:00:00:00:00:02', 'set')
+    // Simulate a crash in the middle of a write
+    fs.appendFileSync(history.HISTORY_FILE, '{"device": "eth0", "newM')
+
+    let entries = history.getHistory()
+    assert.deepStrictEqual(entries.map(e => e.newMac), ['02:00:00:00:00:02', '02:00:00:00:00:01'])
+    assert.strictEqual(history.getSkippedLines(), 3)
+    console.log('✓ Damaged lines skipped, the rest kept')
+
+    history.addHistoryEntry('eth0', null, '02:00:00:00:00:03', 'set')
+    entries = history.getHistory()
+    assert.strictEqual(entries.length, 3, 'A partial last line must not swallow the next entry')
+    assert.strictEqual(entries[0].newMac, '02:00:00:00:00:03')
+    console.log('✓ Appends after a partial line start on a new line')
+
+    console.log('\nAll corruption tests passed!\n')
+  },
+
+  /**
+   * Test retention limits
+   */
+  retention () {
+    console.log('Testing retention...\n')
+    reset()
+
+    fs.mkdirSync(path.dirname(history.HISTORY_FILE), { recursive: true })
+    fs.writeFileSync(history.HISTORY_FILE, [
+      { timestamp: '2000-01-01T00:00:00.000Z', device: 'eth0', newMac: '02:00:00:00:00:01' },
+      { timestamp: new Date().toISOString(), device: 'eth0', newMac: '02:00:00:00:00:02' }
+    ].map(e => JSON.stringify(e) + '\n').join(''))
+
+    history.configure({ maxAgeDays: 30 })
+    history.addHistoryEntry('eth0', null, '02:00:00:00:00:03', 'set')
+    assert.deepStrictEqual(history.getHistory().map(e => e.newMac), ['02:00:00:00:00:03', '02:00:00:00:00:02'], 'Old entries should expire')
+    console.log('✓ maxAgeDays')
+
+    history.configure({ maxAgeDays: null, maxEntries: 2 })
+    history.addHistoryEntry('eth0', null, '02:00:00:00:00:04', 'set')
+    history.addHistoryEntry('eth0', null, '02:00:00:00:00:05', 'set')
+    assert.deepStrictEqual(history.getHistory().map(e => e.newMac), ['02:00:00:00:00:05', '02:00:00:00:00:04'], 'Newest entries should be kept')
+    console.log('✓ maxEntries')
+
+    assert.throws(() => history.configure({ maxEntries: 0 }), /Invalid history maxEntries/)
+    assert.throws(() => history.configure({ maxAgeDays: 'soon' }), /Invalid history maxAgeDays/)
+    console.log('✓ Invalid limits are rejected')
+
+    console.log('\nAll retention tests passed!\n')
+  },
+
+  /**
+   * Test undo bookkeeping and point-in-time state
+   */
+  undo () {
+    console.log('Testing undo and restore...\n')
+    reset()
+
+    fs.mkdirSync(path.dirname(history.HISTORY_FILE), { recursive: true })
+    fs.writeFileSync(history.HISTORY_FILE, [
+      { timestamp: '2024-01-01T10:00:00.000Z', device: 'eth0', oldMac: '00:1B:21:AA:BB:CC', newMac: '02:00:00:00:00:01', operation: 'randomize' },
+      { timestamp: '2024-01-02T10:00:00.000Z', device: 'wlan0', oldMac: '3C:A9:F4:10:20:30', newMac: '02:00:00:00:00:0A', operation: 'set' },
+      { timestamp: '2024-01-03T10:00:00.000Z', device: 'eth0', oldMac: '02:00:00:00:00:01', newMac: '02:00:00:00:00:02', operation: 'set' },
+      { timestamp: '2024-01-04T10:00:00.000Z', type: 'duid', device: 'system', oldDuid: '00:03:00:01:00:1B:21:AA:BB:CC', newDuid: '00:03:00:01:02:00:00:00:00:02', operation: 'sync' }
+    ].map(e => JSON.stringify(e) + '\n').join(''))
+
+    assert.strictEqual(history.getUndoableEntries()[0].type, 'duid', 'Most recent change of any device')
+    assert.deepStrictEqual(history.getUndoableEntries('eth0', 5).map(e => e.newMac), ['02:00:00:00:00:02', '02:00:00:00:00:01'])
+    console.log('✓ Most recent changes first')
+
+    const [last] = history.getUndoableEntries('eth0')
+    history.addHistoryEntry('eth0', last.newMac, last.oldMac, 'undo', { undoes: [history.entryKey(last)] })
+    const next = history.getUndoableEntries('eth0')
+    assert.strictEqual(next.length, 1)
+    assert.strictEqual(next[0].newMac, '02:00:00:00:00:01', 'An undone change and the undo itself are skipped')
+    console.log('✓ Repeated undos walk back in time')
+
+    const [wlan] = history.getUndoableEntries('wlan0')
+    history.addHistoryEntry('wlan0', wlan.newMac, wlan.oldMac, 'undo', {
+      undoes: [history.entryKey(wlan)],
+      ...history.failureDetails({ message: 'Must run as root', code: 'EPERM' })
+    })
+    const failedUndo = history.getUndoableEntries('wlan0')
+    assert.strictEqual(failedUndo.length, 1, 'A failed undo leaves its target undoable')
+    assert.strictEqual(history.entryKey(failedUndo[0]), history.entryKey(wlan))
+    console.log('✓ Failed undos undo nothing')
+
+    const state = at => history.getStateAt(at).map(s => `${s.type} ${s.device} ${s.value}`)
+    assert.deepStrictEqual(state('2024-01-02T12:00:00Z'), [
+      'mac eth0 02:00:00:00:00:01',
+      'mac wlan0 02:00:00:00:00:0A',
+      'duid system 00:03:00:01:00:1B:21:AA:BB:CC'
+    ])
+    assert.deepStrictEqual(state('2023-12-31'), [
+      'mac eth0 00:1B:21:AA:BB:CC',
+      'mac wlan0 3C:A9:F4:10:20:30',
+      'duid system 00:03:00:01:00:1B:21:AA:BB:CC'
+    ], 'Before the first change: the values it replaced')
+    assert.strictEqual(history.getStateAt(new Date('2024-01-03T10:00:00Z'))[0].since, '2024-01-03T10:00:00.000Z', 'Changes at that exact time count')
+    assert.throws(() => history.getStateAt('yesterday-ish'), /Invalid timestamp/)
+    console.log('✓ State at a point in time')
+
+    console.log('\nAll undo tests passed!\n')
+  },
+
+  /**
+   * Test the undo and restore commands against recorded transcripts
+   */
+  commands () {
+    console.log('Testing the undo and restore commands...\n')
+
+    const undo = runWithHistory(['undo', 'Ethernet', '--steps=2'], 'win32-undo')
+    assert.strictEqual(undo.status, 0, undo.stderr)
+    assert.deepStrictEqual(undo.summary.plan, [{
+      type: 'mac',
+      device: 'Ethernet',
+      from: '02:00:00:00:00:02',
+      to: '00:1B:21:AA:BB:CC',
+      undoes: ['mac/Ethernet/2024-01-03T10:00:00.000Z', 'mac/Ethernet/2024-01-01T10:00:00.000Z']
+    }])
+    assert.deepStrictEqual(changesIn(undo.calls), ['mac 00:1B:21:AA:BB:CC'], 'One change, back to the oldest address')
+    assert.deepStrictEqual(undo.added.map(e => [e.operation, e.device, e.oldMac, e.newMac, e.undoes]), [
+      ['undo', 'Ethernet', '02:00:00:00:00:02', '00:1B:21:AA:BB:CC', undo.summary.plan[0].undoes]
+    ])
+    console.log('✓ Several steps on one device become one change')
+
+    const duid = runWithHistory(['undo'], 'win32-undo-duid')
+    assert.strictEqual(duid.status, 0, duid.stderr)
+    assert.deepStrictEqual(changesIn(duid.calls), ['duid 00030001001B21AABBCC'])
+    assert.deepStrictEqual(duid.summary.results, [{ type: 'duid', device: 'system', success: true }])
+    assert.deepStrictEqual(duid.added.map(e => [e.type, e.operation, e.oldDuid, e.newDuid, e.undoes]), [
+      ['duid', 'undo', '00:03:00:01:02:00:00:00:00:02', '00:03:00:01:00:1B:21:AA:BB:CC', ['duid/system/2024-01-04T10:00:00.000Z']]
+    ])
+    console.log('✓ DUID changes are undone through the registry')
+
+    const dryRun = runWithHistory(['undo', '--steps=4', '--dry-run'], 'win32-undo-dry-run')
+    assert.strictEqual(dryRun.status, 0, dryRun.stderr)
+    assert.strictEqual(dryRun.summary.dryRun, true)
+    assert.deepStrictEqual(dryRun.summary.plan.map(change => [change.type, change.device, change.to, change.undoes.length]), [
+      ['duid', 'system', '00:03:00:01:00:1B:21:AA:BB:CC', 1],
+      ['mac', 'Ethernet', '00:1B:21:AA:BB:CC', 2],
+      ['mac', 'Wi-Fi', '3C:A9:F4:10:20:30', 1]
+    ])
+    assert.deepStrictEqual(changesIn(dryRun.calls), [], 'A dry run changes nothing')
+    assert.deepStrictEqual(dryRun.added, [], 'A dry run records nothing')
+    console.log('✓ --dry-run only shows the plan')
+
+    const unrecorded = runWithHistory(['undo', 'Wi-Fi'], 'win32-undo', [
+      ...RECORDED,
+      { timestamp: '2024-01-05T10:00:00.000Z', device: 'Wi-Fi', oldMac: null, newMac: '02:00:00:00:00:0B', operation: 'set' }
+    ])
+    assert.notStrictEqual(unrecorded.status, 0)
+    assert.ok(unrecorded.stderr.includes('Cannot undo the set of Wi-Fi at 2024-01-05T10:00:00.000Z: the previous MAC address was not recorded'),
+      unrecorded.stderr)
+    assert.deepStrictEqual([changesIn(unrecorded.calls), unrecorded.added], [[], []], 'Nothing is changed')
+    console.log('✓ Changes without a recorded previous value are not undone')
+
+    const restore = runWithHistory(['restore', '--at=2024-01-02T12:00:00Z'], 'win32-restore')
+    assert.strictEqual(restore.status, 0, restore.stderr)
+    assert.deepStrictEqual(restore.summary.plan, [
+      { type: 'mac', device: 'Ethernet', from: '02:00:00:00:00:02', to: '02:00:00:00:00:01' },
+      { type: 'duid', device: 'system', from: '00:03:00:01:02:00:00:00:00:02', to: '00:03:00:01:00:1B:21:AA:BB:CC' }
+    ], 'Wi-Fi already has its address from that time')
+    assert.deepStrictEqual(changesIn(restore.calls), ['mac 02:00:00:00:00:01', 'duid 00030001001B21AABBCC'])
+    assert.deepStrictEqual(restore.added.map(e => [e.operation, e.device, e.type || 'mac', e.success]), [
+      ['restore', 'Ethernet', 'mac', true],
+      ['restore', 'system', 'duid', true]
+    ])
+    console.log('✓ Restore changes only what differs')
+
+    const unchanged = runWithHistory(['restore', '--at=2024-01-05'], 'win32-restore')
+    assert.strictEqual(unchanged.status, 0, unchanged.stderr)
+    assert.deepStrictEqual([unchanged.summary.plan, changesIn(unchanged.calls), unchanged.added], [[], [], []])
+    console.log('✓ Nothing to restore')
+
+    console.log('\nAll command tests passed!\n')
+  },
+
+  /**
+   * Test filters, export, prune and clear
+   */
+  query () {
+    console.log('Testing queries and export...\n')
+    reset()
+
+    fs.mkdirSync(path.dirname(history.HISTORY_FILE), { recursive: true })
+    fs.writeFileSync(history.HISTORY_FILE, [
+      { timestamp: '2024-01-01T10:00:00.000Z', device: 'eth0', oldMac: '00:1B:21:AA:BB:CC', newMac: '02:00:00:00:00:01', operation: 'randomize', platform: 'linux' },
+      { timestamp: '2024-01-02T10:00:00.000Z', device: 'wlan0', oldMac: '3C:A9:F4:10:20:30', newMac: '02:00:00:00:00:0A', operation: 'set', platform: 'linux' },
+      { timestamp: '2024-01-03T10:00:00.000Z', device: 'en0', oldMac: 'AC:DE:48:00:11:22', newMac: '02:00:00:00:00:0B', operation: 'randomize', platform: 'darwin' },
+      { timestamp: '2024-01-04T10:00:00.000Z', type: 'duid', device: 'system', oldDuid: '00:03:00:01:00:1B:21:AA:BB:CC', newDuid: '00:04:00:11,"x"', operation: 'set', platform: 'linux' }
+    ].map(e => JSON.stringify(e) + '\n').join(''))
+
+    const devices = filters => history.queryHistory(filters).map(e => e.device)
+    assert.deepStrictEqual(devices(), ['system', 'en0', 'wlan0', 'eth0'], 'Newest first by default')
+    assert.deepStrictEqual(devices({ since: '2024-01-02T10:00:00Z', until: '2024-01-03T12:00:00Z' }), ['en0', 'wlan0'], 'Period bounds are inclusive')
+    assert.deepStrictEqual(devices({ operation: 'randomize' }), ['en0', 'eth0'])
+    assert.deepStrictEqual(devices({ operation: 'randomize,set', type: 'mac', platform: 'linux' }), ['wlan0', 'eth0'])
+    assert.deepStrictEqual(devices({ type: 'duid' }), ['system'])
+    assert.deepStrictEqual(devices({ since: '30d' }), [], 'Relative ages count back from now')
+    console.log('✓ Filters')
+
+    assert.deepStrictEqual(devices({ sort: 'oldest', limit: 2 }), ['eth0', 'wlan0'], 'Limit applies after sorting')
+    assert.deepStrictEqual(devices({ sort: 'device' }), ['en0', 'eth0', 'system', 'wlan0'])
+    assert.throws(() => history.queryHistory({ sort: 'random' }), /Invalid sort order/)
+    assert.throws(() => history.queryHistory({ type: 'ip' }), /Invalid history type/)
+    assert.throws(() => history.queryHistory({ since: 'last tuesday' }), /Invalid timestamp/)
+    console.log('✓ Sorting and limits')
+
+    const csv = history.exportHistory(history.queryHistory({ sort: 'oldest' }), 'csv').split('\r\n')
+    assert.strictEqual(csv[0], 'timestamp,type,device,operation,old,new,platform,success,error,errorCode,user,sudoUser,hostname')
+    assert.strictEqual(csv[1], '2024-01-01T10:00:00.000Z,mac,eth0,randomize,00:1B:21:AA:BB:CC,02:00:00:00:00:01,linux,true,,,,,')
+    assert.strictEqual(csv[4], '2024-01-04T10:00:00.000Z,duid,system,set,00:03:00:01:00:1B:21:AA:BB:CC,"00:04:00:11,""x""",linux,true,,,,,', 'Fields are quoted')
+    assert.strictEqual(csv[5], '', 'Rows end with CRLF')
+    const failed = history.exportHistory([{
+      timestamp: '2024-01-05T10:00:00.000Z',
+      device: 'eth0',
+      oldMac: '02:00:00:00:00:01',
+      newMac: '02:00:00:00:00:0C',
+      operation: 'set',
+      platform: 'linux',
+      user: 'alice',
+      sudoUser: 'root',
+      hostname: 'box',
+      ...history.failureDetails({ message: 'Must run as root', code: 'EPERM' })
+    }], 'csv').split('\r\n')
+    assert.strictEqual(failed[1], '2024-01-05T10:00:00.000Z,mac,eth0,set,02:00:00:00:00:01,02:00:00:00:00:0C,linux,false,Must run as root,EPERM,alice,root,box', 'Failed attempts and who made them are exported')
+    const ndjson = history.exportHistory(history.queryHistory(), 'ndjson').trim().split('\n').map(line => JSON.parse(line))
+    assert.strictEqual(ndjson.length, 4)
+    assert.strictEqual(ndjson[0].newDuid, '00:04:00:11,"x"', 'NDJSON keeps every field')
+    assert.throws(() => history.exportHistory([], 'xml'), /Invalid export format/)
+    console.log('✓ CSV and NDJSON export')
+
+    assert.deepStrictEqual(history.pruneHistory({ before: Date.parse('2024-01-02T00:00:00Z') }), { removed: 1, remaining: 3 })
+    assert.deepStrictEqual(history.pruneHistory({ maxEntries: 2 }), { removed: 1, remaining: 2 })
+    assert.deepStrictEqual(devices(), ['system', 'en0'], 'The newest entries are kept')
+    console.log('✓ Prune')
+
+    assert.strictEqual(history.clearHistory(), 2)
+    assert.deepStrictEqual(history.getHistory(), [])
+    assert.ok(!fs.existsSync(history.HISTORY_FILE + '.lock'), 'Lock should be released')
+    console.log('✓ Clear')
+
+    console.log('\nAll query tests passed!\n')
+  },
+
+  /**
+   * Test audit records, the hash chain and failed attempts
+   */
+  audit () {
+    console.log('Testing audit mode...\n')
+    reset()
+
+    history.addHistoryEntry('eth0', '00:1B:21:AA:BB:CC', '02:00:00:00:00:01', 'randomize')
+    history.configure({ audit: true })
+    try {
+      history.addHistoryEntry('eth0', '02:00:00:00:00:01', '02:00:00:00:00:02', 'set')
+      history.addHistoryEntry('eth0', '02:00:00:00:00:02', '01:00:5E:00:00:01', 'set', history.failureDetails({ message: 'multicast', code: 'VALIDATION_ERROR' }))
+      history.addDUIDHistoryEntry('system', '00:01', '00:03:00:01:02:00:00:00:00:02', 'sync')
+    } finally {
+      history.configure({ audit: false })
+    }
+
+    const entries = history.getHistory().reverse()
+    assert.strictEqual(entries[0].hash, undefined, 'Entries before audit mode are not chained')
+    assert.strictEqual(entries[1].user, os.userInfo().username)
+    assert.strictEqual(entries[1].hostname, os.hostname())
+    assert.ok(Array.isArray(entries[1].argv))
+    assert.strictEqual(entries[1].prevHash, null, 'The chain starts at the first audited entry')
+    assert.strictEqual(entries[2].prevHash, entries[1].hash)
+    assert.strictEqual(entries[3].prevHash, entries[2].hash, 'MAC and DUID entries share one chain')
+    console.log('✓ Audit fields and hash chain')
+
+    assert.strictEqual(entries[2].success, false)
+    assert.strictEqual(entries[2].errorCode, 'VALIDATION_ERROR')
+    assert.deepStrictEqual(history.getUndoableEntries('eth0', 5).map(e => e.newMac), ['02:00:00:00:00:02', '02:00:00:00:00:01'], 'Failed attempts are not undone')
+    assert.strictEqual(history.getStateAt(Date.now()).find(s => s.device === 'eth0').value, '02:00:00:00:00:02', 'Failed attempts do not change the state')
+    console.log('✓ Failed attempts are recorded but not applied')
+
+    const verified = history.verifyHistory()
+    assert.strictEqual(verified.valid, true)
+    assert.deepStrictEqual([verified.entries, verified.chained, verified.head], [4, 3, entries[3].hash])
+    console.log('✓ Intact history verifies')
+
+    const original = fs.readFileSync(history.HISTORY_FILE, 'utf8')
+    const lines = original.split('\n')
+    const tamper = (edited, pattern) => {
+      fs.writeFileSync(history.HISTORY_FILE, edited.join('\n'))
+      const result = history.verifyHistory()
+      assert.strictEqual(result.valid, false)
+      assert.strictEqual(result.problems.length, 1, JSON.stringify(result.problems))
+      assert.ok(pattern.test(result.problems[0].problem), result.problems[0].problem)
+      return result.problems[0]
+    }
+
+    assert.strictEqual(tamper([lines[0], lines[1].replace('02:00:00:00:00:02', '02:00:00:00:00:09'), ...lines.slice(2)], /modified/).line, 2)
+    assert.strictEqual(tamper([lines[0], lines[1], lines[3], lines[4]], /chain broken/).line, 3)
+    fs.writeFileSync(history.HISTORY_FILE, [lines[0], lines[2], lines[1], lines[3], lines[4]].join('\n'))
+    assert.deepStrictEqual(history.verifyHistory().problems.map(p => p.line), [3, 4], 'Swapped entries break the chain')
+    const forged = JSON.parse(lines[2])
+    delete forged.hash
+    delete forged.prevHash
+    assert.strictEqual(tamper([lines[0], lines[1], lines[2], JSON.stringify(forged), lines[3], lines[4]], /not chained/).line, 4)
+    console.log('✓ Edited, removed, reordered and unchained entries are detected')
+
+    fs.writeFileSync(history.HISTORY_FILE, [lines[2], lines[3], ''].join('\n'))
+    const pruned = history.verifyHistory()
+    assert.strictEqual(pruned.valid, true)
+    assert.strictEqual(pruned.startsAfter, entries[1].hash, 'Pruned entries are reported, not flagged')
+    console.log('✓ Pruned history')
+
+    console.log('\nAll audit tests passed!\n')
+  },
+
+  /**
+   * Test concurrent writers and lock recovery
+   */
+  async locking () {
+    console.log('Testing concurrent writes...\n')
+    reset()
+
+    const writers = 4
+    const perWriter = 25
+    const script = `
+      const history = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'history'))})
+      for (let i = 0; i < ${perWriter}; i++) history.addHistoryEntry('w' + process.argv[1], null, '02:00:00:00:00:01', 'set')
+    `
+    await Promise.all(Array.from({ length: writers }, (_, n) => new Promise((resolve, reject) => {
+      const child = cp.spawn(process.execPath, ['-e', script, String(n)], { env: process.env, stdio: 'inherit', timeout: 30000 })
+      child.on('error', reject)
+      child.on('exit', code => code === 0 ? resolve() : reject(new Error(`Writer ${n} exited with ${code}`)))
+    })))
+
+    const entries = history.getHistory()
+    assert.strictEqual(entries.length, writers * perWriter, 'No entry should be lost')
+    assert.strictEqual(history.getSkippedLines(), 0, 'No lines should be interleaved')
+    for (let n = 0; n < writers; n++) {
+      assert.strictEqual(history.getHistoryForDevice('w' + n).length, perWriter)
+    }
+    console.log(`✓ ${writers} processes, ${entries.length} entries`)
+
+    // A lock left behind by a process that no longer exists
+    const child = cp.spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))'])
+    fs.writeFileSync(history.HISTORY_FILE + '.lock', child.stdout.toString())
+    history.addHistoryEntry('eth0', null, '02:00:00:00:00:02', 'set')
+    assert.strictEqual(history.getHistory().length, writers * perWriter + 1)
+    assert.ok(!fs.existsSync(history.HISTORY_FILE + '.lock'))
+    console.log('✓ Stale lock taken over')
+
+    console.log('\nAll locking tests passed!\n')
+  }
+}
+
+async function runTests (testNames) {
+  console.log('='.repeat(60))
+  console.log('History Store Tests')
+  console.log('='.repeat(60))
+  console.log()
+
+  let passed = 0
+  let failed = 0
+
+  for (const name of testNames) {
+    if (tests[name]) {
+      try {
+        await tests[name]()
+        passed++
+      } catch (e) {
+        console.error(`✗ Test "${name}" failed:`, e.message)
+        console.error(e.stack)
+        failed++
+      }
+    } else {
+      console.error(`Unknown test: ${name}`)
+      failed++
+    }
+  }
+
+  console.log('='.repeat(60))
+  console.log(`Results: ${passed} passed, ${failed} failed`)
+  console.log('='.repeat(60))
+
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+// Parse args
+const args = process.argv.slice(2)
+const testArg = args.find(a => a.startsWith('--test='))
+
+if (testArg) {
+  runTests([testArg.split('=')[1]])
+} else if (args.includes('--help')) {
+  console.log(`
+Usage: node test-history.js [options]
+
+Options:
+  --test=<name>   Run specific test
+  --help          Show this help
+
+Available tests:
+  append          Test the append-only store
+  migration       Test conversion of the old JSON array file
+  corruption      Test recovery from damaged lines
+  retention       Test retention limits
+  undo            Test undo bookkeeping and point-in-time state
+  commands        Test the undo and restore commands against recorded transcripts
+  query           Test filters, export, prune and clear
+  audit           Test audit records, the hash chain and failed attempts
+  locking         Test concurrent writers and stale locks
+
+Run without options to execute all tests.
+`)
+} else {
+  runTests(Object.keys(tests))
+}
@@ -0,0 +1,281 @@
+/**
+ * Test suite for the OUI registry (lib/oui.js)
+ *
+ * Run with: node test/test-oui.js
+ * Run specific tests: node test/test-oui.js --test=parsing
+ */
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Keep imports out of the user's ~/.spoofy (read through os.homedir())
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'spoofy-test-'))
+process.env.USERPROFILE = process.env.HOME
+
+const oui = require('../lib/oui')
+
+const REGISTRY = path.join(__dirname, 'fixtures', 'oui')
+const registryFiles = ['ma-l.csv', 'ma-m.csv', 'ma-s.txt', 'iab.txt'].map(file => path.join(REGISTRY, file))
+
+const tests = {
+  /**
+   * Test parsing of the official CSV and TXT formats
+   */
+  parsing () {
+    console.log('Testing registry parsing...\n')
+
+    const read = file => fs.readFileSync(path.join(REGISTRY, file), 'utf8')
+
+    const csv = oui.parseRegistry(read('ma-l.csv'))
+    assert.strictEqual(csv.length, 7, 'Should parse every MA-L row')
+    assert.deepStrictEqual(csv[0], {
+      registry: 'MA-L',
+      prefix: '286FB9',
+      bits: 24,
+      vendor: 'Nokia Shanghai Bell Co., Ltd.'
+    }, 'Quoted fields with commas should be kept whole')
+    console.log('✓ MA-L CSV')
+
+    const mam = oui.parseRegistry(read('ma-m.csv'))
+    assert.deepStrictEqual(mam.map(e => [e.prefix, e.bits]), [['70B3D5E', 28]])
+    console.log('✓ MA-M CSV (28-bit)')
+
+    const txt = oui.parseRegistry(read('oui.txt'))
+    assert.deepStrictEqual(txt.map(e => [e.registry, e.prefix, e.vendor]), [
+      ['MA-L', '286FB9', 'Nokia Shanghai Bell Co., Ltd.'],
+      ['MA-L', '0050C2', 'IEEE Registration Authority']
+    ])
+    console.log('✓ MA-L TXT')
+
+    const mas = oui.parseRegistry(read('ma-s.txt'))
+    assert.deepStrictEqual(mas.map(e => [e.registry, e.prefix, e.bits]), [['MA-S', '70B3D5E91', 36]])
+    const iab = oui.parseRegistry(read('iab.txt'))
+    assert.deepStrictEqual(iab.map(e => [e.registry, e.prefix, e.vendor]), [['IAB', '0050C2000', 'T.L.S. Corp.']])
+    console.log('✓ MA-S and IAB TXT ranges (36-bit)')
+
+    const cid = oui.parseRegistry(read('cid.csv'))
+    assert.deepStrictEqual(cid.map(e => [e.registry, e.prefix, e.bits]), [['CID', '2AC377', 24]])
+    console.log('✓ CID CSV')
+
+    console.log('\nAll parsing tests passed!\n')
+  },
+
+  /**
+   * Test longest-prefix matching
+   */
+  lookup () {
+    console.log('Testing longest-prefix lookup...\n')
+
+    oui.useIndex(registryFiles)
+    try {
+      assert.strictEqual(oui.lookupVendor('70:B3:D5:E9:1A:BC'), 'Larson Davis', '36-bit block should win')
+      assert.strictEqual(oui.lookupVendor('70:B3:D5:E2:00:01'), 'Example Sensors GmbH', '28-bit block should win over 24-bit')
+      assert.strictEqual(oui.lookupVendor('70:B3:D5:12:34:56'), 'IEEE Registration Authority')
+      assert.strictEqual(oui.lookupVendor('00-50-C2-00-0F-FF'), 'T.L.S. Corp.')
+      console.log('✓ 36, 28 and 24-bit blocks')
+
+      const info = oui.getVendorInfo('70:B3:D5:E9:1A:BC')
+      assert.strictEqual(info.prefix, '70:B3:D5:E9:1')
+      assert.strictEqual(info.bits, 36)
+      console.log('✓ Matched prefix reported:', info.prefix)
+
+      assert.strictEqual(oui.lookupVendor('00:0C:29:00:00:01'), 'VMware', 'Built-in subset is the fallback')
+      assert.strictEqual(oui.lookupVendor('02:00:00:00:00:01'), null)
+      console.log('✓ Falls back to the built-in subset')
+
+      const apple = oui.getVendorPrefixes('apple')
+      assert.ok(apple.includes('AC:DE:48'), '"Apple, Inc." should match "apple"')
+      assert.deepStrictEqual(apple, [...apple].sort(), 'Prefixes should be sorted')
+      assert.ok(oui.getVendorPrefixes('Intel').includes('3C:A9:F4'), '"Intel Corporate" should match "Intel"')
+      console.log('✓ Vendor prefixes by name')
+
+      // A CID is in the locally administered quadrant: not a vendor OUI
+      oui.useIndex([...registryFiles, path.join(REGISTRY, 'cid.csv')])
+      assert.strictEqual(oui.lookupVendor('2A:C3:77:00:00:01'), 'Apple, Inc.', 'CID blocks should be looked up')
+      assert.deepStrictEqual(oui.getVendorPrefixes('apple'), apple, 'CID blocks are not vendor prefixes')
+      console.log('✓ CID blocks are not vendor prefixes')
+    } finally {
+      oui.useIndex(null)
+    }
+
+    assert.strictEqual(oui.lookupVendor('70:B3:D5:E9:1A:BC'), null, 'No registry once unloaded')
+    console.log('\nAll lookup tests passed!\n')
+  },
+
+  /**
+   * Test reverse lookup by vendor name
+   */
+  search () {
+    console.log('Testing vendor search...\n')
+
+    oui.useIndex(registryFiles)
+    try {
+      const raspberry = oui.findPrefixesByVendor('raspberry')
+      assert.deepStrictEqual(raspberry.map(m => m.prefix), ['B8:27:EB', 'DC:A6:32'], 'Substring match, case-insensitive')
+      assert.deepStrictEqual(raspberry[0], { prefix: 'B8:27:EB', bits: 24, vendor: 'Raspberry Pi Foundation' })
+      console.log('✓ "raspberry":', raspberry.map(m => m.vendor).join(', '))
+
+      assert.deepStrictEqual(oui.findPrefixesByVendor('rasbery pi').map(m => m.prefix), ['B8:27:EB', 'DC:A6:32'], 'Typos should be tolerated')
+      assert.deepStrictEqual(oui.findPrefixesByVendor('LARSON').map(m => [m.prefix, m.bits]), [['70:B3:D5:E9:1', 36]], 'MA-S blocks are included')
+      console.log('✓ Fuzzy matching and 36-bit blocks')
+
+      const apple = oui.findPrefixesByVendor('Apple Inc')
+      assert.strictEqual(apple.length, 2, 'Legal forms should be ignored')
+      assert.deepStrictEqual(oui.findPrefixesByVendor('xyzzy'), [])
+      assert.deepStrictEqual(oui.findPrefixesByVendor(''), [])
+      console.log('✓ No false positives')
+
+      assert.ok(oui.vendorMatches('Raspberry Pi Foundation', 'raspberry pi'))
+      assert.ok(oui.vendorMatches('Apple, Inc.', 'APPLE INC'), 'Legal forms and case are ignored')
+      assert.ok(!oui.vendorMatches('Raspberry Pi Foundation', 'rasbery'), 'Typos are not tolerated when matching one vendor')
+      assert.ok(!oui.vendorMatches('Apple, Inc.', ''))
+      console.log('✓ vendorMatches()')
+
+      const vendors = oui.listVendors()
+      assert.deepStrictEqual(vendors[0], { vendor: 'Apple, Inc.', count: 2 }, 'Most blocks first')
+      assert.strictEqual(vendors.reduce((sum, v) => sum + v.count, 0), 10, 'Every block should be counted')
+      console.log('✓ listVendors():', vendors.length, 'vendors')
+    } finally {
+      oui.useIndex(null)
+    }
+
+    const builtIn = oui.listVendors().find(v => v.vendor === 'VMware')
+    assert.ok(builtIn && builtIn.count >= 3, 'Built-in list is used without a registry')
+    assert.ok(oui.findPrefixesByVendor('virtualbox').some(m => m.prefix === '08:00:27'))
+    console.log('✓ Built-in list without a registry')
+
+    console.log('\nAll vendor search tests passed!\n')
+  },
+
+  /**
+   * Test the compact index round trip
+   */
+  index () {
+    console.log('Testing compact index...\n')
+
+    const entries = []
+    registryFiles.forEach(file => entries.push(...oui.parseRegistry(fs.readFileSync(file, 'utf8'))))
+    const text = oui.buildIndex(entries)
+    const index = oui.parseIndex(text)
+
+    assert.strictEqual(index.count, 10, 'Each block should be one record')
+    assert.strictEqual(new Set(index.vendors).size, index.vendors.length, 'Vendor names should be stored once')
+    assert.ok(index.records.split('\n').slice(0, -1).every(record => record.length === 15), 'Records should be fixed-width')
+    console.log(`✓ ${index.count} blocks, ${index.vendors.length} vendors, ${text.length} bytes`)
+
+    oui.useIndex(index)
+    try {
+      assert.strictEqual(oui.lookupVendor('28:6F:B9:00:00:01'), 'Nokia Shanghai Bell Co., Ltd.')
+    } finally {
+      oui.useIndex(null)
+    }
+    console.log('✓ Parsed index answers lookups')
+
+    assert.throws(() => oui.parseIndex('{}'), /Not a spoofy OUI index/)
+    console.log('✓ Other files are rejected')
+
+    console.log('\nAll index tests passed!\n')
+  },
+
+  /**
+   * Test importing registries into the cache
+   */
+  importRegistry () {
+    console.log('Testing registry import...\n')
+
+    assert.ok(!fs.existsSync(oui.IMPORTED_INDEX), 'Test home should start empty')
+    oui.useIndex(undefined)
+    assert.strictEqual(oui.getStatus().source, 'built-in', 'Built-in list without an import')
+    assert.strictEqual(oui.lookupVendor('08:00:27:00:00:01'), 'VirtualBox')
+    console.log('✓ Built-in fallback')
+
+    const notRegistry = path.join(__dirname, 'fixtures', 'linux-list.json')
+    assert.throws(() => oui.importRegistry(notRegistry), /not an IEEE registry file/)
+    assert.ok(!fs.existsSync(oui.IMPORTED_INDEX), 'A rejected file must not be imported')
+    console.log('✓ Other files are rejected')
+
+    const meta = oui.importRegistry(registryFiles)
+    assert.strictEqual(meta.blocks, 10)
+    assert.deepStrictEqual(meta.registries, { 'MA-L': 7, 'MA-M': 1, 'MA-S': 1, IAB: 1 })
+    assert.ok(meta.registryDate, 'Registry date should be recorded')
+    assert.strictEqual(oui.lookupVendor('70:B3:D5:E9:1A:BC'), 'Larson Davis', 'Import should be used immediately')
+    console.log('✓ Imported', meta.blocks, 'blocks')
+
+    // A fresh process picks the import up from the cache
+    oui.useIndex(undefined)
+    const status = oui.getStatus()
+    assert.strictEqual(status.source, 'imported')
+    assert.strictEqual(status.blocks, 10)
+    assert.strictEqual(status.importedAt, meta.importedAt)
+    assert.strictEqual(oui.lookupVendor('28:6F:B9:00:00:01'), 'Nokia Shanghai Bell Co., Ltd.')
+    console.log('✓ Cached import is loaded on first lookup')
+
+    fs.writeFileSync(oui.IMPORTED_INDEX, 'garbage')
+    oui.useIndex(undefined)
+    assert.strictEqual(oui.getStatus().source, 'built-in', 'A damaged cache falls back')
+    assert.ok(oui.getStatus().error, 'The damaged cache should be reported')
+    console.log('✓ Damaged cache falls back to the built-in list')
+
+    console.log('\nAll import tests passed!\n')
+  }
+}
+
+function runTests (testNames) {
+  console.log('='.repeat(60))
+  console.log('OUI Registry Tests')
+  console.log('='.repeat(60))
+  console.log()
+
+  let passed = 0
+  let failed = 0
+
+  for (const name of testNames) {
+    if (tests[name]) {
+      try {
+        tests[name]()
+        passed++
+      } catch (e) {
+        console.error(`✗ Test "${name}" failed:`, e.message)
+        console.error(e.stack)
+        failed++
+      }
+    } else {
+      console.error(`Unknown test: ${name}`)
+    }
+  }
+
+  console.log('='.repeat(60))
+  console.log(`Results: ${passed} passed, ${failed} failed`)
+  console.log('='.repeat(60))
+
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+// Parse args
+const args = process.argv.slice(2)
+const testArg = args.find(a => a.startsWith('--test='))
+
+if (testArg) {
+  runTests([testArg.split('=')[1]])
+} else if (args.includes('--help')) {
+  console.log(`
+Usage: node test-oui.js [options]
+
+Options:
+  --test=<name>   Run specific test
+  --help          Show this help
+
+Available tests:
+  parsing         Test parsing of the IEEE CSV and TXT formats
+  lookup          Test longest-prefix lookup
+  search          Test reverse lookup by vendor name
+  index           Test the compact index
+  importRegistry  Test importing registries into the cache
+
+Run without options to execute all tests.
+`)
+} else {
+  runTests(Object.keys(tests))
+}
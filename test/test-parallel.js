@@ -0,0 +1,317 @@
+/**
+ * Test suite for parallel device changes (lib/parallel.js)
+ *
+ * Run with: node test/test-parallel.js
+ * Run specific tests: node test/test-parallel.js --test=keys
+ */
+
+const assert = require('assert')
+const path = require('path')
+const parallel = require('../lib/parallel')
+const { runSpoofy, changesIn } = require('./cli')
+
+const fixture = name => path.join(__dirname, 'fixtures', `${name}.json`)
+
+const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * A task that records when it starts and ends in `events`
+ */
+function task (name, keys, events, ms = 10, fail = false) {
+  return {
+    keys,
+    run: async () => {
+      events.push(`start ${name}`)
+      await tick(ms)
+      events.push(`end ${name}`)
+      if (fail) {
+        throw new Error(`${name} failed`)
+      }
+      return name
+    }
+  }
+}
+
+const tests = {
+  /**
+   * Test the concurrency limit
+   */
+  async limit () {
+    console.log('Testing the concurrency limit...\n')
+
+    let running = 0
+    let most = 0
+    const tasks = Array.from({ length: 7 }, (_, index) => ({
+      keys: [`interface:eth${index}`],
+      run: async () => {
+        running++
+        most = Math.max(most, running)
+        await tick(5 + (index % 3) * 5)
+        running--
+        return index
+      }
+    }))
+
+    const results = await parallel.runTasks(tasks, { limit: 3 })
+    assert.strictEqual(most, 3, 'At most 3 tasks should run at once')
+    assert.deepStrictEqual(results.map((r) => r.value), [0, 1, 2, 3, 4, 5, 6], 'Results are in task order')
+    console.log('✓ 3 at a time, results in order')
+
+    most = 0
+    await parallel.runTasks(tasks, { limit: 1 })
+    assert.strictEqual(most, 1)
+    console.log('✓ limit 1 runs one task at a time')
+
+    assert.deepStrictEqual(await parallel.runTasks([], { limit: 4 }), [])
+    assert.strictEqual(parallel.DEFAULT_LIMIT, 4)
+    console.log('✓ No tasks')
+
+    console.log('\nAll limit tests passed!\n')
+  },
+
+  /**
+   * Test that tasks sharing a key run in order, one at a time
+   */
+  async keys () {
+    console.log('Testing keys...\n')
+
+    const events = []
+    await parallel.runTasks([
+      task('a1', ['interface:en0'], events, 30),
+      task('b', ['interface:en1'], events, 5),
+      task('a2', ['interface:en0'], events, 5),
+      task('c', [], events, 5)
+    ], { limit: 4 })
+    assert.ok(events.indexOf('end a1') < events.indexOf('start a2'), 'a2 waits for a1')
+    assert.ok(events.indexOf('end b') < events.indexOf('end a1'), 'b runs beside a1')
+    assert.ok(events.indexOf('start c') < events.indexOf('end a1'), 'c has no keys and does not wait')
+    console.log('✓ Same interface in order, others concurrently')
+
+    const duid = []
+    await parallel.runTasks([
+      task('identity en0', ['interface:en0', 'duid'], duid, 20),
+      task('randomize en1', ['interface:en1'], duid, 5),
+      task('duid-randomize', ['duid'], duid, 5),
+      task('reset en0', ['interface:en0'], duid, 5)
+    ], { limit: 4 })
+    assert.ok(duid.indexOf('end identity en0') < duid.indexOf('start duid-randomize'), 'DUID changes are serialized')
+    assert.ok(duid.indexOf('end identity en0') < duid.indexOf('start reset en0'))
+    assert.ok(duid.indexOf('start randomize en1') < duid.indexOf('end identity en0'))
+    console.log('✓ A task with several keys waits for each')
+
+    console.log('\nAll keys tests passed!\n')
+  },
+
+  /**
+   * Test failures, skipping and onSettled
+   */
+  async settling () {
+    console.log('Testing failures and skipping...\n')
+
+    const events = []
+    let failed = false
+    const settled = []
+    const tasks = [
+      task('one', ['a'], events, 5),
+      task('two', ['b'], events, 10, true),
+      task('three', ['b'], events, 5),
+      task('four', ['c'], events, 5)
+    ]
+    tasks[1].run = ((run) => () => run().catch((err) => {
+      failed = true
+      throw err
+    }))(tasks[1].run)
+
+    const results = await parallel.runTasks(tasks, {
+      limit: 2,
+      shouldStart: () => !failed,
+      onSettled: (index, result) => settled.push(`${index} ${result.status}`)
+    })
+    assert.deepStrictEqual(results.map((r) => r.status), ['fulfilled', 'rejected', 'skipped', 'skipped'])
+    assert.strictEqual(results[1].reason.message, 'two failed')
+    assert.ok(!events.includes('start three') && !events.includes('start four'), 'Nothing starts after a failure')
+    assert.deepStrictEqual(settled.slice().sort(), ['0 fulfilled', '1 rejected', '2 skipped', '3 skipped'])
+    console.log('✓ A failure stops later tasks when shouldStart says so')
+
+    const plain = await parallel.runTasks([
+      { keys: ['x'], run: () => { throw new Error('sync') } },
+      { keys: ['x'], run: () => 'after' }
+    ], { limit: 2 })
+    assert.deepStrictEqual(plain.map((r) => r.status), ['rejected', 'fulfilled'], 'A failure releases its keys')
+    assert.strictEqual(plain[1].value, 'after')
+    console.log('✓ Failed tasks release their keys')
+
+    console.log('\nAll settling tests passed!\n')
+  },
+
+  /**
+   * Test the combined JSON result of randomize and set --parallel
+   */
+  commands () {
+    console.log('Testing set and randomize --parallel...\n')
+
+    const args = ['randomize', 'Ethernet', 'Wi-Fi', '--seed=parallel', '--json']
+    const run = runSpoofy([...args, '--parallel=2'], fixture('win32-parallel-randomize'))
+    assert.strictEqual(run.status, 0, run.stderr)
+    assert.strictEqual(run.documents.length, 1, 'One JSON document for the whole run')
+    assert.deepStrictEqual(run.summary, {
+      parallel: 2,
+      total: 2,
+      success: 2,
+      failed: 0,
+      results: [
+        {
+          device: 'Ethernet',
+          success: true,
+          output: [{ success: true, device: 'Ethernet', mac: 'D2:50:56:67:FE:98', oldMac: '00:1B:21:AA:BB:CC', message: 'MAC address changed successfully' }]
+        },
+        {
+          device: 'Wi-Fi',
+          success: true,
+          output: [{ success: true, device: 'Wi-Fi', mac: 'D2:50:56:56:6F:C9', oldMac: '00:1B:21:DD:EE:FF', message: 'MAC address changed successfully' }]
+        }
+      ]
+    })
+    console.log('✓ Combined JSON result, in device order')
+
+    const ethernet = run.calls.map((call, index) => [call, index]).filter(([call]) => call.includes("'Ethernet'"))
+    assert.deepStrictEqual(ethernet.map(([call]) => /Set-NetAdapter/.test(call) ? 'set' : 'read'), ['read', 'set', 'read'],
+      'Each interface is read, changed and checked in order')
+    assert.ok(ethernet[2][1] > run.calls.findIndex(call => call.includes("'Wi-Fi'")),
+      'The second device starts before the first is done')
+    assert.deepStrictEqual(changesIn(run.calls).sort(), ['mac D2:50:56:56:6F:C9', 'mac D2:50:56:67:FE:98'])
+    assert.deepStrictEqual(run.history.map(entry => [entry.device, entry.operation, entry.newMac]).sort(), [
+      ['Ethernet', 'randomize', 'D2:50:56:67:FE:98'],
+      ['Wi-Fi', 'randomize', 'D2:50:56:56:6F:C9']
+    ])
+    console.log('✓ Commands per interface in order, history recorded')
+
+    const sequential = runSpoofy(args, fixture('win32-parallel-randomize'))
+    assert.deepStrictEqual(sequential.documents.map(document => document.mac), ['D2:50:56:67:FE:98', 'D2:50:56:56:6F:C9'],
+      'A seed gives the same addresses with and without --parallel')
+    console.log('✓ Seeded addresses do not depend on --parallel')
+
+    const failing = runSpoofy(['set', '02:11:22:33:44:55', 'Wi-Fi', 'Ethernet', '--parallel=2', '--json'], fixture('win32-parallel-set'))
+    assert.strictEqual(failing.status, 1, 'A failed device fails the command')
+    assert.deepStrictEqual(
+      [failing.summary.success, failing.summary.failed, failing.summary.results.map(result => [result.device, result.success])],
+      [1, 1, [['Wi-Fi', false], ['Ethernet', true]]]
+    )
+    assert.ok(/Access is denied/.test(failing.summary.results[0].error), failing.summary.results[0].error)
+    assert.strictEqual(failing.summary.results[0].output[0].code, 'NETWORK_ERROR')
+    assert.deepStrictEqual(changesIn(failing.calls), ['mac 02:11:22:33:44:55', 'mac 02:11:22:33:44:55'])
+    assert.deepStrictEqual(failing.history.map(entry => [entry.device, entry.success !== false]).sort(), [['Ethernet', true], ['Wi-Fi', false]])
+    console.log('✓ A failing device does not stop the others')
+
+    console.log('\nAll set and randomize --parallel tests passed!\n')
+  },
+
+  /**
+   * Test that each device's console output is printed as one block
+   */
+  output () {
+    console.log('Testing --parallel output...\n')
+
+    const run = runSpoofy(['reset', 'Ethernet', 'Wi-Fi', '--parallel'], fixture('win32-parallel-reset'))
+    assert.strictEqual(run.status, 0, run.stderr)
+    assert.deepStrictEqual(run.stdout.trim().split('\n'), [
+      'ℹ Resetting to hardware MAC address: 00:1B:21:AA:BB:CC',
+      '✓ Successfully set MAC address to 00:1B:21:AA:BB:CC on Ethernet',
+      'ℹ Resetting to hardware MAC address: 3C:A9:F4:10:20:30',
+      '✓ Successfully set MAC address to 3C:A9:F4:10:20:30 on Wi-Fi'
+    ], 'Output is grouped per device, in the order given')
+    assert.ok(run.calls.findIndex(call => call.includes("'Wi-Fi'")) < run.calls.map(call => call.includes("'Ethernet'")).lastIndexOf(true),
+      'The devices are changed at the same time')
+    assert.deepStrictEqual(changesIn(run.calls), ['mac 00:1B:21:AA:BB:CC', 'mac 3C:A9:F4:10:20:30'])
+    console.log('✓ One block per device, in order')
+
+    console.log('\nAll output tests passed!\n')
+  },
+
+  /**
+   * Test --parallel and --parallel=N
+   */
+  option () {
+    console.log('Testing the --parallel option...\n')
+
+    // A bare --parallel doesn't take the next argument as its value
+    const bare = runSpoofy(['randomize', '--parallel', 'Ethernet', 'Wi-Fi', '--seed=parallel', '--json'], fixture('win32-parallel-randomize'))
+    assert.strictEqual(bare.status, 0, bare.stderr)
+    assert.strictEqual(bare.summary.parallel, parallel.DEFAULT_LIMIT)
+    assert.deepStrictEqual(bare.summary.results.map(result => result.device), ['Ethernet', 'Wi-Fi'])
+    console.log('✓ --parallel defaults to', parallel.DEFAULT_LIMIT)
+
+    for (const value of ['0', '-1', '1.5', 'many']) {
+      const invalid = runSpoofy(['randomize', 'Ethernet', `--parallel=${value}`], fixture('win32-parallel-randomize'))
+      assert.notStrictEqual(invalid.status, 0, `--parallel=${value} should fail`)
+      assert.ok(invalid.stderr.includes(`Invalid --parallel: ${value} (expected a positive number)`), invalid.stderr)
+      assert.deepStrictEqual(changesIn(invalid.calls), [], 'Nothing is changed')
+    }
+    console.log('✓ Invalid limits are rejected')
+
+    const one = runSpoofy(['randomize', 'Ethernet', 'Wi-Fi', '--parallel=1', '--seed=parallel', '--json'], fixture('win32-parallel-randomize'))
+    assert.strictEqual(one.documents.length, 2, '--parallel=1 changes one device after another')
+    console.log('✓ --parallel=1 runs one device at a time')
+
+    console.log('\nAll option tests passed!\n')
+  }
+}
+
+async function runTests (testNames) {
+  console.log('='.repeat(60))
+  console.log('Parallel Tests')
+  console.log('='.repeat(60))
+  console.log()
+
+  let passed = 0
+  let failed = 0
+
+  for (const name of testNames) {
+    if (tests[name]) {
+      try {
+        await tests[name]()
+        passed++
+      } catch (e) {
+        console.error(`✗ Test "${name}" failed:`, e.message)
+        console.error(e.stack)
+        failed++
+      }
+    } else {
+      console.error(`Unknown test: ${name}`)
+    }
+  }
+
+  console.log('='.repeat(60))
+  console.log(`Results: ${passed} passed, ${failed} failed`)
+  console.log('='.repeat(60))
+
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+// Parse args
+const args = process.argv.slice(2)
+const testArg = args.find(a => a.startsWith('--test='))
+
+if (testArg) {
+  runTests([testArg.split('=')[1]])
+} else if (args.includes('--help')) {
+  console.log(`
+Usage: node test-parallel.js [options]
+
+Options:
+  --test=<name>   Run specific test
+  --help          Show this help
+
+Available tests:
+  limit           Test the concurrency limit
+  keys            Test that tasks sharing a key run in order, one at a time
+  settling        Test failures, skipping and onSettled
+  commands        Test the combined JSON result of randomize and set --parallel
+  output          Test that each device's console output is printed as one block
+  option          Test --parallel and --parallel=N
+
+Run without options to execute all tests.
+`)
+} else {
+  runTests(Object.keys(tests))
+}